@@ -2,15 +2,25 @@
 import { SVGManager } from './svgManager.js';
 import { SVGProcessor } from './svgProcessor.js';
 import { GCodeGenerator } from './gcodeGenerator.js';
+import { GCodeDialects } from './gcodeDialects.js';
+import { HPGLGenerator } from './hpglGenerator.js';
 import { ProjectManager } from './projectManager.js';
 import { Preview3D } from './preview3d.js';
 import { ImportDialog } from './importDialog.js';
 import { ImageImportDialog } from './imageImportDialog.js';
 import { ExclusionZonesManager } from './exclusionZones.js';
+import { PaperArea } from './paperArea.js';
 import { PresetManager } from './presetManager.js';
 import { HistoryManager } from './historyManager.js';
 import { ThemeManager } from './themeManager.js';
 import { PathOptimizer } from './pathOptimizer.js';
+import { PlotTimeEstimator } from './plotTimeEstimator.js';
+import { SerialSender } from './serialSender.js';
+import { MockSerialPort } from './mockSerialPort.js';
+import { MockPrinterHost } from './mockPrinterHost.js';
+import { PrinterHostClient } from './printerHostClient.js';
+import { ToolpathSimulator } from './toolpathSimulator.js';
+import { HersheyFont } from './hersheyFont.js';
 
 import { GCodeHighlighter } from './gcodeHighlighter.js';
 import { GCodeValidator } from './gcodeValidator.js';
@@ -29,7 +39,26 @@ const COLOR_PALETTE = [
     0x9333ea  // purple-600
 ];
 
+// Pens selectable per SVG; 'default' keeps the palette color in the preview
+const PEN_COLORS = [
+    { value: 'default', label: 'Default', color: null },
+    { value: 'black', label: 'Black', color: 0x111827 },
+    { value: 'blue', label: 'Blue', color: 0x1e40af },
+    { value: 'red', label: 'Red', color: 0xdc2626 },
+    { value: 'green', label: 'Green', color: 0x059669 },
+    { value: 'yellow', label: 'Yellow', color: 0xca8a04 },
+    { value: 'purple', label: 'Purple', color: 0x7c3aed },
+    { value: 'orange', label: 'Orange', color: 0xea580c }
+];
+
+// Pen values like '#1e40af' come from color-layered imports
+const HEX_PEN_PATTERN = /^#[0-9a-f]{6}$/i;
+
 const DEFAULT_BED_MARGIN = 0.9;
+const MAX_SERIAL_CONSOLE_LINES = 500;
+const HOST_POLL_INTERVAL = 2000;
+const HOST_STARTUP_POLLS = 5;
+const MAX_TEXT_NAME_LENGTH = 24;
 
 /**
  * Main application class for PlotLab.
@@ -49,9 +78,28 @@ class App {
         this.projectManager = null; // Will be initialized after _cacheDOM
         this.history = new HistoryManager();
         this.themeManager = new ThemeManager();
+        this.serialSender = new SerialSender({
+            onLog: (text, direction) => this._appendSerialLog(text, direction),
+            onProgress: (sent, total) => {
+                this.ui.serialProgress.textContent = `${sent} / ${total}`;
+            },
+            onStateChange: (state) => this._updateSerialControls(state)
+        });
+        this.simulator = new ToolpathSimulator({
+            onFrame: (frame) => this._showSimulationFrame(frame),
+            onPlayStateChange: (playing) => {
+                this.ui.btnSimPlay.textContent = playing ? '⏸' : '▶';
+            }
+        });
+        this.simulationLineStarts = [];
+        this.serialLog = [];
+        this.hostPoll = null;
+        this.mockPrinterHost = null;
         this.preview3D = null;
         this.selectedSVGId = null;
         this.pendingHistoryAction = false;
+        this.editingZoneId = null;
+        this.editingTextId = null;
         
         // Cache all DOM elements and initialize
         this._cacheDOM();
@@ -78,6 +126,7 @@ class App {
             // File import
             btnImport: document.getElementById('btn-import'),
             fileInput: document.getElementById('file-input'),
+            btnAddText: document.getElementById('btn-add-text'),
             
             // Transform controls
             posX: document.getElementById('pos-x'),
@@ -85,6 +134,10 @@ class App {
             scale: document.getElementById('scale'),
             rotation: document.getElementById('rotation'),
             svgSize: document.getElementById('svg-size'),
+            hatchEnabled: document.getElementById('hatch-enabled'),
+            hatchPattern: document.getElementById('hatch-pattern'),
+            hatchSpacing: document.getElementById('hatch-spacing'),
+            hatchAngle: document.getElementById('hatch-angle'),
             
             // Settings
             btnApplySettings: document.getElementById('btn-apply-settings'),
@@ -97,9 +150,24 @@ class App {
             penOffsetX: document.getElementById('pen-offset-x'),
             penOffsetY: document.getElementById('pen-offset-y'),
             penOffsetZ: document.getElementById('pen-offset-z'),
+            gcodeDialect: document.getElementById('gcode-dialect'),
+            penDwell: document.getElementById('pen-dwell'),
+            acceleration: document.getElementById('acceleration'),
+            junctionDeviation: document.getElementById('junction-deviation'),
+            penLiftTime: document.getElementById('pen-lift-time'),
             gcodeHeader: document.getElementById('gcode-header'),
             gcodeFooter: document.getElementById('gcode-footer'),
+            parkX: document.getElementById('park-x'),
+            parkY: document.getElementById('park-y'),
+            gcodeToolChange: document.getElementById('gcode-tool-change'),
             optimizePaths: document.getElementById('optimize-paths'),
+            clipZones: document.getElementById('clip-zones'),
+            travelAvoidance: document.getElementById('travel-avoidance'),
+            clearanceZ: document.getElementById('clearance-z'),
+            arcFitting: document.getElementById('arc-fitting'),
+            arcTolerance: document.getElementById('arc-tolerance'),
+            hpglOrigin: document.getElementById('hpgl-origin'),
+            hpglRotation: document.getElementById('hpgl-rotation'),
             
             // Exclusion zones
             btnAddZone: document.getElementById('btn-add-zone'),
@@ -107,12 +175,45 @@ class App {
             zoneModalClose: document.getElementById('zone-modal-close'),
             zoneModalCancel: document.getElementById('zone-modal-cancel'),
             zoneModalAdd: document.getElementById('zone-modal-add'),
+            zoneModalTitle: document.getElementById('zone-modal-title'),
             zoneName: document.getElementById('zone-name'),
+            zoneType: document.getElementById('zone-type'),
+            zoneRectFields: document.getElementById('zone-rect-fields'),
+            zoneCircleFields: document.getElementById('zone-circle-fields'),
+            zonePolygonFields: document.getElementById('zone-polygon-fields'),
             zoneX: document.getElementById('zone-x'),
             zoneY: document.getElementById('zone-y'),
             zoneWidth: document.getElementById('zone-width'),
             zoneHeight: document.getElementById('zone-height'),
+            zoneCx: document.getElementById('zone-cx'),
+            zoneCy: document.getElementById('zone-cy'),
+            zoneRadius: document.getElementById('zone-radius'),
+            zonePoints: document.getElementById('zone-points'),
             zoneList: document.getElementById('zone-list'),
+            zoneEditTool: document.getElementById('zone-edit-tool'),
+            
+            // Paper
+            paperEnabled: document.getElementById('paper-enabled'),
+            paperSize: document.getElementById('paper-size'),
+            paperOrientation: document.getElementById('paper-orientation'),
+            paperX: document.getElementById('paper-x'),
+            paperY: document.getElementById('paper-y'),
+            paperWidth: document.getElementById('paper-width'),
+            paperHeight: document.getElementById('paper-height'),
+            paperMargin: document.getElementById('paper-margin'),
+            btnFitPaper: document.getElementById('btn-fit-paper'),
+            
+            // Text
+            textModal: document.getElementById('text-modal'),
+            textModalTitle: document.getElementById('text-modal-title'),
+            textModalClose: document.getElementById('text-modal-close'),
+            textModalCancel: document.getElementById('text-modal-cancel'),
+            textModalSave: document.getElementById('text-modal-save'),
+            textInput: document.getElementById('text-content'),
+            textFont: document.getElementById('text-font'),
+            textSize: document.getElementById('text-size'),
+            textLineHeight: document.getElementById('text-line-height'),
+            textAlign: document.getElementById('text-align'),
             
             // Presets
             btnSavePreset: document.getElementById('btn-save-preset'),
@@ -130,6 +231,31 @@ class App {
             // G-Code
             btnExportGcode: document.getElementById('btn-export-gcode'),
             btnViewGcode: document.getElementById('btn-view-gcode'),
+            btnExportHpgl: document.getElementById('btn-export-hpgl'),
+            btnEstimateTime: document.getElementById('btn-estimate-time'),
+            
+            // Printer host
+            hostType: document.getElementById('host-type'),
+            hostUrl: document.getElementById('host-url'),
+            hostApiKey: document.getElementById('host-api-key'),
+            hostStartJob: document.getElementById('host-start-job'),
+            hostStatus: document.getElementById('host-status'),
+            btnHostUpload: document.getElementById('btn-host-upload'),
+            btnHostTest: document.getElementById('btn-host-test'),
+            btnHostCancel: document.getElementById('btn-host-cancel'),
+            
+            // Send to machine
+            serialBaudRate: document.getElementById('serial-baud-rate'),
+            serialSupportHint: document.getElementById('serial-support-hint'),
+            btnSerialConnect: document.getElementById('btn-serial-connect'),
+            serialProgress: document.getElementById('serial-progress'),
+            btnSerialSend: document.getElementById('btn-serial-send'),
+            btnSerialPause: document.getElementById('btn-serial-pause'),
+            btnSerialAbort: document.getElementById('btn-serial-abort'),
+            serialConsole: document.getElementById('serial-console'),
+            serialCommand: document.getElementById('serial-command'),
+            btnSerialCommand: document.getElementById('btn-serial-command'),
+            plotTimeEstimate: document.getElementById('plot-time-estimate'),
             gcodeModal: document.getElementById('gcode-modal'),
             modalClose: document.getElementById('modal-close'),
             btnCopyGcode: document.getElementById('btn-copy-gcode'),
@@ -146,6 +272,16 @@ class App {
             btnResetCamera: document.getElementById('btn-reset-camera'),
             btnToggleGrid: document.getElementById('btn-toggle-grid'),
             
+            // Simulation
+            btnSimulate: document.getElementById('btn-simulate'),
+            simulationBar: document.getElementById('simulation-bar'),
+            btnSimPlay: document.getElementById('btn-sim-play'),
+            simSpeed: document.getElementById('sim-speed'),
+            simScrubber: document.getElementById('sim-scrubber'),
+            simTime: document.getElementById('sim-time'),
+            simLine: document.getElementById('sim-line'),
+            btnSimClose: document.getElementById('btn-sim-close'),
+            
             // History
             btnUndo: document.getElementById('btn-undo'),
             btnRedo: document.getElementById('btn-redo'),
@@ -189,22 +325,70 @@ class App {
         this.ui.btnImport.addEventListener('click', () => this.ui.fileInput.click());
         this.ui.fileInput.addEventListener('change', (e) => this._handleFileImport(e));
         
+        // Text
+        HersheyFont.getFonts().forEach(font => {
+            const option = document.createElement('option');
+            option.value = font.id;
+            option.textContent = font.name;
+            this.ui.textFont.appendChild(option);
+        });
+        this.ui.textFont.value = HersheyFont.getDefaultFontId();
+        this.ui.btnAddText.addEventListener('click', () => this._openTextModal());
+        this.ui.textModalClose.addEventListener('click', () => this._closeModal('textModal'));
+        this.ui.textModalCancel.addEventListener('click', () => this._closeModal('textModal'));
+        this.ui.textModalSave.addEventListener('click', () => this._saveText());
+        
         // Transform controls
         this.ui.posX.addEventListener('input', () => this._updateTransform());
         this.ui.posY.addEventListener('input', () => this._updateTransform());
         this.ui.scale.addEventListener('input', () => this._updateTransform());
         this.ui.rotation.addEventListener('input', () => this._updateTransform());
         
+        // Hatching controls
+        this.ui.hatchEnabled.addEventListener('change', () => this._updateHatching());
+        this.ui.hatchPattern.addEventListener('change', () => this._updateHatching());
+        this.ui.hatchSpacing.addEventListener('input', () => this._updateHatching());
+        this.ui.hatchAngle.addEventListener('input', () => this._updateHatching());
+        
         // Settings
         this.ui.btnApplySettings.addEventListener('click', () => {
             this._applySettings();
         });
         
         // Exclusion zones
-        this.ui.btnAddZone.addEventListener('click', () => this._openModal('zoneModal'));
+        this.ui.btnAddZone.addEventListener('click', () => this._openZoneModal());
         this.ui.zoneModalClose.addEventListener('click', () => this._closeModal('zoneModal'));
         this.ui.zoneModalCancel.addEventListener('click', () => this._closeModal('zoneModal'));
-        this.ui.zoneModalAdd.addEventListener('click', () => this._addZone());
+        this.ui.zoneModalAdd.addEventListener('click', () => this._saveZone());
+        this.ui.zoneType.addEventListener('change', () => this._updateZoneTypeFields());
+        this.ui.zoneEditTool.addEventListener('change', () => {
+            if (this.preview3D) this.preview3D.setZoneTool(this.ui.zoneEditTool.value);
+        });
+        
+        // Paper
+        PaperArea.getAllSizes().forEach(size => {
+            const option = document.createElement('option');
+            option.value = size.id;
+            option.textContent = size.name;
+            this.ui.paperSize.appendChild(option);
+        });
+        const customOption = document.createElement('option');
+        customOption.value = PaperArea.getCustomId();
+        customOption.textContent = 'Custom';
+        this.ui.paperSize.appendChild(customOption);
+        this.ui.paperSize.value = PaperArea.getDefaultId();
+        this.ui.paperSize.addEventListener('change', () => this._applyPaperSize());
+        this.ui.paperOrientation.addEventListener('change', () => this._applyPaperSize());
+        [this.ui.paperWidth, this.ui.paperHeight].forEach(input => {
+            input.addEventListener('change', () => {
+                this.ui.paperSize.value = PaperArea.getCustomId();
+                this._updatePaper();
+            });
+        });
+        [this.ui.paperEnabled, this.ui.paperX, this.ui.paperY, this.ui.paperMargin].forEach(input => {
+            input.addEventListener('change', () => this._updatePaper());
+        });
+        this.ui.btnFitPaper.addEventListener('click', () => this._fitSelectedToPaper());
         
         // Presets
         this.ui.btnSavePreset.addEventListener('click', () => this._openModal('presetSaveModal'));
@@ -229,7 +413,35 @@ class App {
         
         // G-Code buttons
         this.ui.btnExportGcode.addEventListener('click', () => this._exportGCode());
+        
+        // G-Code dialect
+        GCodeDialects.getAllDialects().forEach(dialect => {
+            const option = document.createElement('option');
+            option.value = dialect.id;
+            option.textContent = dialect.name;
+            this.ui.gcodeDialect.appendChild(option);
+        });
+        this.ui.gcodeDialect.value = GCodeDialects.getDefaultId();
+        this.ui.gcodeDialect.addEventListener('change', () => this._applyDialectDefaults());
         this.ui.btnViewGcode.addEventListener('click', () => this._viewGCode());
+        this.ui.btnExportHpgl.addEventListener('click', () => this._exportHPGL());
+        this.ui.btnEstimateTime.addEventListener('click', () => this._estimatePlotTime());
+        
+        // Printer host
+        this.ui.btnHostUpload.addEventListener('click', () => this._uploadToHost());
+        this.ui.btnHostTest.addEventListener('click', () => this._testHostConnection());
+        this.ui.btnHostCancel.addEventListener('click', () => this._cancelHostJob());
+        
+        // Send to machine
+        this.ui.serialSupportHint.hidden = SerialSender.isSupported() || this._useMockSerial();
+        this.ui.btnSerialConnect.addEventListener('click', () => this._toggleSerialConnection());
+        this.ui.btnSerialSend.addEventListener('click', () => this._sendGCodeToMachine());
+        this.ui.btnSerialPause.addEventListener('click', () => this._toggleSerialPause());
+        this.ui.btnSerialAbort.addEventListener('click', () => this.serialSender.abort());
+        this.ui.btnSerialCommand.addEventListener('click', () => this._sendSerialCommand());
+        this.ui.serialCommand.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this._sendSerialCommand();
+        });
         
         // 3D controls
         this.ui.btnResetCamera.addEventListener('click', () => {
@@ -239,6 +451,24 @@ class App {
             if (this.preview3D) this.preview3D.toggleGrid();
         });
         
+        // Simulation
+        this.ui.btnSimulate.addEventListener('click', () => this._startSimulation());
+        this.ui.btnSimPlay.addEventListener('click', () => {
+            if (this.simulator.playing) {
+                this.simulator.pause();
+            } else {
+                this.simulator.play();
+            }
+        });
+        this.ui.simSpeed.addEventListener('change', () => {
+            this.simulator.setSpeed(parseFloat(this.ui.simSpeed.value));
+        });
+        this.ui.simScrubber.addEventListener('input', () => {
+            const fraction = parseFloat(this.ui.simScrubber.value) / parseFloat(this.ui.simScrubber.max);
+            this.simulator.seek(fraction * this.simulator.toolpath.totalTime);
+        });
+        this.ui.btnSimClose.addEventListener('click', () => this._closeSimulation());
+        
         // History controls
         this.ui.btnUndo.addEventListener('click', () => this._handleUndo());
         this.ui.btnRedo.addEventListener('click', () => this._handleRedo());
@@ -270,7 +500,20 @@ class App {
      * @private
      */
     _init3DPreview() {
-        this.preview3D = new Preview3D(this.ui.previewCanvas);
+        this.preview3D = new Preview3D(this.ui.previewCanvas, {
+            onZoneCreate: (geometry) => {
+                this.exclusionZones.createZone(geometry);
+                this._updateZoneList();
+                this._updateZoneVisualization();
+            },
+            onZoneChange: (id, geometry) => {
+                this.exclusionZones.setZoneGeometry(id, geometry);
+                this._updateZoneList();
+                this._updateZoneVisualization();
+            },
+            onSVGSelect: (id) => this._selectSVG(id),
+            onSVGTransform: (id, delta) => this._applyGizmoTransform(id, delta)
+        });
         
         // Set initial bed size
         const bedWidth = parseFloat(this.ui.bedWidth.value);
@@ -279,7 +522,7 @@ class App {
     }
 
     /**
-     * Handle file import - routes to SVG or image handler based on file type
+     * Handle file import - routes to SVG, image or G-code handler based on file type
      * @private
      * @param {Event} event - File input change event
      */
@@ -298,6 +541,9 @@ class App {
             if (isSVG) {
                 // Handle as SVG directly
                 await this._handleSVGImport(file);
+            } else if (this._isGCodeFile(file)) {
+                // Show existing toolpath (no conversion)
+                await this._handleGCodeImport(file);
             } else if (this._isRasterImage(file)) {
                 // Handle as raster image (needs conversion)
                 await this._handleImageImport(file);
@@ -333,6 +579,48 @@ class App {
                rasterExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
     }
 
+    /**
+     * Check if file is a G-code file
+     * @private
+     * @param {File} file - File to check
+     * @returns {boolean} True if G-code
+     */
+    _isGCodeFile(file) {
+        const gcodeExtensions = ['.gcode', '.gco', '.nc'];
+        return gcodeExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
+    }
+
+    /**
+     * Handle G-code file import - shows its draw and travel moves and validates it
+     * @private
+     * @param {File} file - G-code file to import
+     */
+    async _handleGCodeImport(file) {
+        const gcode = await file.text();
+        const settings = this._getSettings();
+
+        const toolpath = ToolpathSimulator.parse(gcode, {
+            feedRate: settings.feedRate,
+            travelFeedRate: settings.travelFeedRate,
+            offset: this._getSimulationOffset(settings),
+            penMode: 'auto'
+        });
+        if (toolpath.segments.length === 0) {
+            alert(`"${file.name}" contains no G0/G1/G2/G3 moves.`);
+            return;
+        }
+
+        this._showToolpath(gcode, toolpath);
+        this.simulator.seek(toolpath.totalTime);
+
+        const validationResult = GCodeValidator.validate(gcode, {
+            bedWidth: parseFloat(this.ui.bedWidth.value),
+            bedHeight: parseFloat(this.ui.bedHeight.value)
+        });
+        this._displayValidation(validationResult);
+        this._openModal('gcodeModal');
+    }
+
     /**
      * Handle SVG file import
      * @private
@@ -340,16 +628,52 @@ class App {
      */
     async _handleSVGImport(file) {
         const result = await this._loadSVGFile(file);
-        const dialogResult = await this._showImportDialog(file, result);
+        const svgContent = await file.text();
+        const splitOptions = SVGProcessor.getSplitOptions(svgContent);
+        const dialogResult = await this._showImportDialog(file, result, splitOptions);
         
         if (!dialogResult) {
             return;
         }
         
+        if (dialogResult.split && dialogResult.split !== 'none') {
+            this._importSplitSVG(file, svgContent, dialogResult.split, result);
+            return;
+        }
+        
         const { id, autoScale } = this._calculateSVGPlacement(result);
         this._addSVGToWorkspace(id, file.name, result, autoScale);
     }
 
+    /**
+     * Import the layers, groups or colors of an SVG as separate SVGs, one pen per source color
+     * @private
+     * @param {File} file - SVG file
+     * @param {string} svgContent - SVG content as string
+     * @param {string} mode - Split mode ('layer', 'group' or 'color')
+     * @param {Object} result - Parsed SVG data of the whole file
+     */
+    _importSplitSVG(file, svgContent, mode, result) {
+        const parts = SVGProcessor.splitContent(svgContent, mode);
+        
+        if (parts.length === 0) {
+            alert('No paths found in the split SVG parts.');
+            return;
+        }
+        
+        const { autoScale } = this._calculateSVGPlacement(result);
+        const offsets = this._getGroupOffsets(parts.map(part => part.result), autoScale);
+        const baseName = file.name.replace(/\.[^/.]+$/, '');
+        
+        parts.forEach((part, index) => {
+            const name = part.name.replace(/[^\w-]+/g, '_');
+            this._addSVGToWorkspace(null, `${baseName}_${name}.svg`, part.result, autoScale, {
+                penColor: part.color,
+                offset: offsets[index]
+            });
+        });
+    }
+
     /**
      * Handle image file import with conversion to SVG
      * @private
@@ -358,14 +682,19 @@ class App {
     async _handleImageImport(file) {
         // Show image import dialog with conversion controls
         const imageDialog = new ImageImportDialog(file);
-        const svgString = await imageDialog.show();
+        const conversion = await imageDialog.show();
         
-        if (!svgString) {
+        if (!conversion) {
             return; // User cancelled
         }
         
+        if (conversion.layers) {
+            await this._importColorLayers(file, conversion);
+            return;
+        }
+        
         // Process the SVG string to get polylines
-        const result = SVGProcessor._processContent(svgString, false, 2.0);
+        const result = SVGProcessor._processContent(conversion.svgString, false, 2.0);
         
         if (result.polylines.length === 0) {
             alert('No paths found in converted SVG.');
@@ -385,6 +714,66 @@ class App {
         this._addSVGToWorkspace(id, filename, result, autoScale);
     }
 
+    /**
+     * Import color layers of a traced image as separate SVGs, one pen per color
+     * @private
+     * @param {File} file - Image file
+     * @param {{svgString: string, layers: Array<{color: string, svgString: string}>}} conversion - Traced image
+     */
+    async _importColorLayers(file, conversion) {
+        const layers = conversion.layers
+            .map(layer => ({ color: layer.color, result: SVGProcessor._processContent(layer.svgString, false, 2.0) }))
+            .filter(layer => layer.result.polylines.length > 0);
+        
+        if (layers.length === 0) {
+            alert('No paths found in converted SVG.');
+            return;
+        }
+        
+        // Confirm once with all layers combined
+        const combined = SVGProcessor._processContent(conversion.svgString, false, 2.0);
+        const dialogResult = await this._showImportDialog(file, combined);
+        
+        if (!dialogResult) {
+            return;
+        }
+        
+        const { autoScale } = this._calculateSVGPlacement(combined);
+        const offsets = this._getGroupOffsets(layers.map(layer => layer.result), autoScale);
+        const baseName = file.name.replace(/\.[^/.]+$/, '');
+        
+        layers.forEach((layer, index) => {
+            this._addSVGToWorkspace(null, `${baseName}_${layer.color}.svg`, layer.result, autoScale, {
+                penColor: layer.color,
+                offset: offsets[index]
+            });
+        });
+    }
+
+    /**
+     * Offsets that keep SVGs sharing one coordinate space aligned when each is centered on the bed
+     * @private
+     * @param {Array<Object>} results - Parsed SVG data sharing one ViewBox
+     * @param {number} scale - Import scale
+     * @returns {Array<[number, number]>} Offset of each SVG center from the group center in mm
+     */
+    _getGroupOffsets(results, scale) {
+        const minX = Math.min(...results.map(result => result.bounds.minX));
+        const minY = Math.min(...results.map(result => result.bounds.minY));
+        const maxX = Math.max(...results.map(result => result.bounds.maxX));
+        const maxY = Math.max(...results.map(result => result.bounds.maxY));
+        const groupCenterX = (minX + maxX) / 2;
+        const groupCenterY = (minY + maxY) / 2;
+        
+        return results.map(({ bounds, scaleFactor }) => {
+            const mmScale = (scaleFactor?.avgScale || 1) * scale;
+            return [
+                ((bounds.minX + bounds.maxX) / 2 - groupCenterX) * mmScale,
+                ((bounds.minY + bounds.maxY) / 2 - groupCenterY) * mmScale
+            ];
+        });
+    }
+
     /**
      * Load and parse SVG file
      * @private
@@ -392,13 +781,13 @@ class App {
      * @returns {Promise<Object>} Parsed SVG data with polylines, bounds, scaleFactor, physical dimensions
      */
     async _loadSVGFile(file) {
-        const { polylines, bounds, scaleFactor, physical, viewBox } = await SVGProcessor.loadSVG(file);
+        const { polylines, bounds, scaleFactor, physical, viewBox, fills } = await SVGProcessor.loadSVG(file);
         
         if (polylines.length === 0) {
             throw new Error('No paths found in SVG file.');
         }
         
-        return { polylines, bounds, scaleFactor, physical, viewBox };
+        return { polylines, bounds, scaleFactor, physical, viewBox, fills };
     }
 
     /**
@@ -406,11 +795,12 @@ class App {
      * @private
      * @param {File} file - Original SVG file
      * @param {Object} result - Parsed SVG data
+     * @param {Object} [splitOptions] - Parts per split mode, offered in the dialog
      * @returns {Promise<Object|null>} Dialog result or null if cancelled
      */
-    async _showImportDialog(file, result) {
+    async _showImportDialog(file, result, splitOptions = null) {
         const { polylines, bounds, scaleFactor, physical, viewBox } = result;
-        const dialog = new ImportDialog(file, polylines, bounds, { scaleFactor, physical, viewBox });
+        const dialog = new ImportDialog(file, polylines, bounds, { scaleFactor, physical, viewBox, splitOptions });
         return await dialog.show();
     }
 
@@ -432,16 +822,30 @@ class App {
      * @param {string} filename - Original filename
      * @param {Object} svgData - Parsed SVG data
      * @param {number} autoScale - Calculated scale factor
+     * @param {Object} options - Placement options
+     * @param {string} options.penColor - Pen to assign (default: 'default')
+     * @param {[number, number]} options.offset - Offset from the bed center in mm (default: [0, 0])
+     * @param {Object} options.text - Text settings for objects created with the text tool
      */
-    _addSVGToWorkspace(suggestedId, filename, svgData, autoScale) {
-        const { polylines, bounds, scaleFactor, physical, viewBox } = svgData;
+    _addSVGToWorkspace(suggestedId, filename, svgData, autoScale, options = {}) {
+        const { polylines, bounds, scaleFactor, physical, viewBox, fills } = svgData;
+        const { penColor = null, offset = null, text = null } = options;
         
         // Pass metadata (physical dimensions, scale factor) to SVG manager
-        const id = this.svgManager.addSVG(filename, polylines, bounds, autoScale, { 
-            scaleFactor, 
-            physical, 
-            viewBox 
-        });
+        const metadata = { scaleFactor, physical, viewBox };
+        if (text) {
+            metadata.text = text;
+        }
+        const id = this.svgManager.addSVG(filename, polylines, bounds, autoScale, metadata, fills);
+        
+        if (penColor) {
+            this.svgManager.updatePenColor(id, penColor);
+        }
+        if (offset) {
+            const added = this.svgManager.svgObjects.get(id);
+            const [x, y] = added.translation;
+            this.svgManager.updateTransformation(id, [x + offset[0], y + offset[1]], added.scale, added.rotation);
+        }
         
         // Capture state after addition for undo
         if (!this.pendingHistoryAction) {
@@ -471,6 +875,15 @@ class App {
      * @returns {number} Hex color value
      */
     _getColorForSVG(id) {
+        const svg = this.svgManager.svgObjects.get(id);
+        const pen = PEN_COLORS.find(p => p.value === svg?.penColor);
+        if (pen && pen.color !== null) {
+            return pen.color;
+        }
+        if (HEX_PEN_PATTERN.test(svg?.penColor || '')) {
+            return parseInt(svg.penColor.slice(1), 16);
+        }
+        
         const index = Array.from(this.svgManager.svgObjects.keys()).indexOf(id);
         return COLOR_PALETTE[index % COLOR_PALETTE.length];
     }
@@ -494,6 +907,28 @@ class App {
         const controls = document.createElement('div');
         controls.className = 'svg-list__controls';
         
+        const penSelect = document.createElement('select');
+        penSelect.className = 'pen-color-select';
+        penSelect.title = 'Pen';
+        penSelect.setAttribute('aria-label', 'Pen');
+        PEN_COLORS.forEach(pen => {
+            const option = document.createElement('option');
+            option.value = pen.value;
+            option.textContent = pen.label;
+            penSelect.appendChild(option);
+        });
+        const penColor = this.svgManager.svgObjects.get(id)?.penColor || 'default';
+        if (!PEN_COLORS.some(pen => pen.value === penColor)) {
+            // Color taken from the source image
+            const option = document.createElement('option');
+            option.value = penColor;
+            option.textContent = penColor;
+            penSelect.appendChild(option);
+        }
+        penSelect.value = penColor;
+        penSelect.addEventListener('click', (e) => e.stopPropagation());
+        penSelect.addEventListener('change', () => this._setPenColor(id, penSelect.value));
+        
         const visBtn = document.createElement('button');
         visBtn.textContent = '👁';
         visBtn.title = 'Toggle visibility';
@@ -512,6 +947,18 @@ class App {
             this._removeSVG(id);
         });
         
+        controls.appendChild(penSelect);
+        if (this.svgManager.svgObjects.get(id)?.metadata?.text) {
+            const editBtn = document.createElement('button');
+            editBtn.textContent = '✎';
+            editBtn.title = 'Edit text';
+            editBtn.setAttribute('aria-label', 'Edit text');
+            editBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._openTextModal(id);
+            });
+            controls.appendChild(editBtn);
+        }
         controls.appendChild(visBtn);
         controls.appendChild(delBtn);
         
@@ -523,6 +970,23 @@ class App {
         this.ui.svgList.appendChild(li);
     }
 
+    /**
+     * Assign a pen to an SVG and recolor its preview
+     * @private
+     * @param {string} id - SVG identifier
+     * @param {string} penColor - Pen color name
+     */
+    _setPenColor(id, penColor) {
+        this.svgManager.updatePenColor(id, penColor);
+        
+        const svg = this.svgManager.svgObjects.get(id);
+        if (svg && svg.visible) {
+            const transformedPolylines = this.svgManager.getTransformedPolylines(svg);
+            const color = this._getColorForSVG(id);
+            this.preview3D.updateSVG(id, transformedPolylines, color);
+        }
+    }
+
     /**
      * Select SVG and update UI state
      * @private
@@ -545,6 +1009,7 @@ class App {
             this.ui.scale.value = (svg.scale * 100).toFixed(0);
             this.ui.rotation.value = svg.rotation.toFixed(0);
             this._updateSizeDisplay();
+            this._updateHatchingControls(svg);
         }
         
         // Update 3D preview
@@ -663,6 +1128,78 @@ class App {
         this._checkCollisions();
     }
 
+    /**
+     * Apply a move, scale or rotation dragged with the preview gizmo
+     * Goes through the transform controls so the change is recorded for undo.
+     * @private
+     * @param {string} id - SVG identifier
+     * @param {{translation: [number, number], scale: number, rotation: number}} delta - Change relative to the current transform
+     */
+    _applyGizmoTransform(id, delta) {
+        if (id !== this.selectedSVGId) this._selectSVG(id);
+        const svg = this.svgManager.getSelectedSVG();
+        if (!svg) return;
+
+        this.ui.posX.value = (svg.translation[0] + delta.translation[0]).toFixed(1);
+        this.ui.posY.value = (svg.translation[1] + delta.translation[1]).toFixed(1);
+        this.ui.scale.value = (svg.scale * delta.scale * 100).toFixed(1);
+        this.ui.rotation.value = (svg.rotation + delta.rotation).toFixed(1);
+        this._updateTransform();
+    }
+
+    /**
+     * Update hatching of the selected SVG from UI controls
+     * @private
+     */
+    _updateHatching() {
+        if (!this.selectedSVGId) return;
+        
+        // Capture state before the change for undo
+        const beforeState = this.pendingHistoryAction ? null : this._captureState('hatching', this.selectedSVGId);
+        
+        const spacing = parseFloat(this.ui.hatchSpacing.value);
+        const angle = parseFloat(this.ui.hatchAngle.value);
+        
+        this.svgManager.updateHatching(this.selectedSVGId, this.ui.hatchEnabled.checked, {
+            pattern: this.ui.hatchPattern.value,
+            spacing: Number.isFinite(spacing) && spacing > 0 ? spacing : 2,
+            angle: Number.isFinite(angle) ? angle : 45
+        });
+        
+        // Keep both versions so the change can be undone and redone
+        if (beforeState) {
+            this.history.pushState('hatching', { ...beforeState, next: this._captureState('hatching', this.selectedSVGId) });
+            this._updateHistoryButtons();
+        }
+        
+        // Update 3D preview
+        const svg = this.svgManager.getSelectedSVG();
+        if (svg && svg.visible) {
+            const transformedPolylines = this.svgManager.getTransformedPolylines(svg);
+            const color = this._getColorForSVG(this.selectedSVGId);
+            this.preview3D.updateSVG(this.selectedSVGId, transformedPolylines, color);
+        }
+        
+        this._checkCollisions();
+    }
+
+    /**
+     * Show hatching settings of an SVG in the transform panel
+     * @private
+     * @param {Object} svg - SVG object
+     */
+    _updateHatchingControls(svg) {
+        const settings = svg.hatchingSettings || { spacing: 2, angle: 45, pattern: 'parallel' };
+        const hasFills = Array.isArray(svg.fills) && svg.fills.length > 0;
+        
+        this.ui.hatchEnabled.checked = !!svg.hatchingEnabled;
+        this.ui.hatchEnabled.disabled = !hasFills;
+        this.ui.hatchEnabled.title = hasFills ? '' : 'This SVG has no filled shapes';
+        this.ui.hatchPattern.value = settings.pattern || 'parallel';
+        this.ui.hatchSpacing.value = settings.spacing;
+        this.ui.hatchAngle.value = settings.angle;
+    }
+
     /**
      * Apply bed dimensions to managers and preview
      * @private
@@ -686,6 +1223,20 @@ class App {
      * @property {number[]} penOffset - [X, Y, Z] offset for pen position (mm)
      * @property {string} headerTemplate - G-Code header template
      * @property {string} footerTemplate - G-Code footer template
+     * @property {number[]} parkPosition - [X, Y] park position for pen changes (mm)
+     * @property {string} toolChangeTemplate - G-Code tool change template
+     * @property {string} dialect - G-Code dialect id
+     * @property {number} penDwell - Dwell after pen up/down (ms)
+     * @property {boolean} arcFitting - Emit G2/G3 arcs where points lie on a circle
+     * @property {number} arcTolerance - Arc fitting tolerance (mm)
+     * @property {number} acceleration - Machine acceleration (mm/s²)
+     * @property {number} junctionDeviation - Junction deviation (mm)
+     * @property {number} penLiftTime - Duration of one pen up/down move (s)
+     * @property {boolean} clipToZones - Drop the parts of polylines inside enabled exclusion zones
+     * @property {string} travelAvoidance - Pen-up travel over zones: 'off', 'route' or 'raise'
+     * @property {number} clearanceZ - Pen height for travel over zones (mm)
+     * @property {Array<ExclusionZone>} exclusionZones - Enabled exclusion zones
+     * @property {Paper} paper - Paper (keep-in area) on the bed
      */
 
     /**
@@ -707,10 +1258,169 @@ class App {
                 parseFloat(this.ui.penOffsetZ.value)
             ],
             headerTemplate: this.ui.gcodeHeader.value,
-            footerTemplate: this.ui.gcodeFooter.value
+            footerTemplate: this.ui.gcodeFooter.value,
+            parkPosition: [
+                parseFloat(this.ui.parkX.value),
+                parseFloat(this.ui.parkY.value)
+            ],
+            toolChangeTemplate: this.ui.gcodeToolChange.value,
+            dialect: this.ui.gcodeDialect.value,
+            penDwell: parseFloat(this.ui.penDwell.value),
+            arcFitting: this.ui.arcFitting.checked,
+            arcTolerance: parseFloat(this.ui.arcTolerance.value),
+            acceleration: parseFloat(this.ui.acceleration.value),
+            junctionDeviation: parseFloat(this.ui.junctionDeviation.value),
+            penLiftTime: parseFloat(this.ui.penLiftTime.value),
+            clipToZones: this.ui.clipZones.checked,
+            travelAvoidance: this.ui.travelAvoidance.value,
+            clearanceZ: parseFloat(this.ui.clearanceZ.value),
+            exclusionZones: this.exclusionZones.getZones().filter(zone => zone.enabled),
+            paper: this._getPaper()
+        };
+    }
+
+    /**
+     * Read the paper settings from the paper panel
+     * @private
+     * @returns {Paper} Paper settings
+     */
+    _getPaper() {
+        return {
+            enabled: this.ui.paperEnabled.checked,
+            size: this.ui.paperSize.value,
+            x: parseFloat(this.ui.paperX.value) || 0,
+            y: parseFloat(this.ui.paperY.value) || 0,
+            width: parseFloat(this.ui.paperWidth.value) || 0,
+            height: parseFloat(this.ui.paperHeight.value) || 0,
+            margin: parseFloat(this.ui.paperMargin.value) || 0
         };
     }
 
+    /**
+     * Fill in width and height for the selected paper size and orientation
+     * @private
+     */
+    _applyPaperSize() {
+        const size = PaperArea.getSize(this.ui.paperSize.value);
+        const landscape = this.ui.paperOrientation.value === 'landscape';
+        let width = size ? size.width : parseFloat(this.ui.paperWidth.value);
+        let height = size ? size.height : parseFloat(this.ui.paperHeight.value);
+
+        // Custom sizes keep their dimensions and only swap sides
+        if ((width > height) !== landscape && width !== height) {
+            [width, height] = [height, width];
+        }
+
+        this.ui.paperWidth.value = width;
+        this.ui.paperHeight.value = height;
+        this._updatePaper();
+    }
+
+    /**
+     * Show the paper in the preview and re-check drawings against it
+     * @private
+     */
+    _updatePaper() {
+        if (!this.preview3D) return;
+
+        this.preview3D.updatePaperArea(this._getPaper());
+        this._checkCollisions();
+    }
+
+    /**
+     * Scale and center the selected SVG so it fills the paper inside the margins
+     * @private
+     */
+    _fitSelectedToPaper() {
+        const svg = this.svgManager.getSelectedSVG();
+        if (!svg) {
+            alert('Select an SVG to fit first.');
+            return;
+        }
+
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (const polyline of this.svgManager.getTransformedPolylines(svg)) {
+            for (const [x, y] of polyline) {
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+            }
+        }
+
+        const { penOffset } = this._getSettings();
+        const offset = penOffset.map(value => (Number.isFinite(value) ? value : 0));
+        const fit = PaperArea.fitBounds({ minX, minY, maxX, maxY }, svg.scale, this._getPaper(), offset);
+        if (!fit || !Number.isFinite(fit.scale)) {
+            alert('The SVG cannot be fitted: check the paper size and margin.');
+            return;
+        }
+
+        // Round the scale down so rounding never pushes the drawing into the margin
+        this.ui.posX.value = fit.translation[0].toFixed(2);
+        this.ui.posY.value = fit.translation[1].toFixed(2);
+        this.ui.scale.value = Math.floor(fit.scale * 10000) / 100;
+        this._updateTransform();
+    }
+
+    /**
+     * Replace templates and dwell with the defaults of the selected dialect
+     * @private
+     */
+    _applyDialectDefaults() {
+        const dialect = GCodeDialects.getDialect(this.ui.gcodeDialect.value);
+        this.ui.gcodeHeader.value = dialect.header;
+        this.ui.gcodeFooter.value = dialect.footer;
+        this.ui.gcodeToolChange.value = dialect.toolChange;
+        this.ui.penDwell.value = dialect.defaultDwell;
+    }
+
+    /**
+     * Group polylines of visible SVGs per pen, in order of first use.
+     * Each group is optimized on its own so a pen is used in one session.
+     * With zone clipping enabled the parts inside exclusion zones are removed first.
+     * @private
+     * @param {Array} visibleSvgs - Visible SVGs with transformed polylines
+     * @param {Settings} settings - Current settings
+     * @returns {Array<{pen: string, polylines: Array}>} Pen groups
+     */
+    _getPenGroups(visibleSvgs, settings) {
+        const groups = new Map();
+        for (const svg of visibleSvgs) {
+            const pen = svg.penColor || 'default';
+            if (!groups.has(pen)) {
+                groups.set(pen, []);
+            }
+            groups.get(pen).push(...svg.polylines);
+        }
+        
+        if (settings.clipToZones) {
+            // Zones are in machine coordinates, like the safety check
+            const [offsetX, offsetY] = settings.penOffset.map(value => (Number.isFinite(value) ? value : 0));
+            for (const [pen, polylines] of groups) {
+                const clipped = this.exclusionZones.clipPolylines(polylines, [offsetX, offsetY]);
+                if (clipped.length > 0) {
+                    groups.set(pen, clipped);
+                } else {
+                    groups.delete(pen);
+                }
+            }
+        }
+        
+        const [parkX, parkY] = settings.parkPosition.map(value => (Number.isFinite(value) ? value : 0));
+        return Array.from(groups.entries()).map(([pen, polylines], index) => {
+            if (this.ui.optimizePaths.checked) {
+                // After a tool change the pen starts from the park position
+                const start = index === 0 ? [0, 0] : [parkX, parkY];
+                polylines = PathOptimizer.optimize(polylines, start);
+            }
+            return { pen, polylines };
+        });
+    }
+
     /**
      * Validate polylines against bed bounds and exclusion zones
      * @private
@@ -738,7 +1448,8 @@ class App {
                     outOfBoundsPoints += 1;
                 }
 
-                if (this.exclusionZones.isPointInAnyZone(x, y)) {
+                // Clipped end points lie on zone edges
+                if (!settings.clipToZones && this.exclusionZones.isPointInAnyZone(x, y)) {
                     zoneHits += 1;
                 }
             }
@@ -751,6 +1462,12 @@ class App {
         if (zoneHits > 0) {
             warnings.push(`Found ${zoneHits} point(s) inside exclusion zones.`);
         }
+        if (settings.paper.enabled) {
+            const offPaper = PaperArea.countPointsOutside(polylines, settings.paper, [offsetX, offsetY]);
+            if (offPaper > 0) {
+                warnings.push(`Found ${offPaper} point(s) outside the paper margins.`);
+            }
+        }
 
         if (warnings.length === 0) return '';
         return `Warning:\n${warnings.join('\n')}\nG-code will still be generated as-is.`;
@@ -773,16 +1490,13 @@ class App {
         try {
             const settings = this._getSettings();
             
-            // Get all polylines from visible SVGs
-            let polylines = visibleSvgs.flatMap(svg => svg.polylines);
-            
-            // Optimize path order if enabled
-            if (this.ui.optimizePaths.checked) {
-                polylines = PathOptimizer.optimize(polylines, [0, 0]);
-            }
+            // Group polylines per pen (optimized per group if enabled)
+            const penGroups = this._getPenGroups(visibleSvgs, settings);
+            const polylines = penGroups.flatMap(group => group.polylines);
             
             // Generate G-Code
-            const gcode = GCodeGenerator.generate(polylines, settings);
+            const gcode = GCodeGenerator.generateMultiPen(penGroups, settings);
+            this._showPlotTimeEstimate(penGroups, settings);
             
             // Check for safety warnings
             const warning = this._getSafetyWarnings(polylines, settings);
@@ -805,36 +1519,443 @@ class App {
     }
 
     /**
-     * View G-Code in modal
+     * Estimate plot time of visible SVGs and show it in the G-Code panel
      * @private
      */
-    _viewGCode() {
-        let svgs = this.svgManager.getAllSVGsWithPolylines();
-        const visibleSvgs = svgs.filter(svg => svg.visible);
+    _estimatePlotTime() {
+        const visibleSvgs = this.svgManager.getAllSVGsWithPolylines().filter(svg => svg.visible);
         
         if (visibleSvgs.length === 0) {
-            console.warn('No visible SVG files to view');
-            alert('No visible SVG files to view.');
+            this.ui.plotTimeEstimate.textContent = '-';
             return;
         }
         
         try {
             const settings = this._getSettings();
-            
-            // Get all polylines from visible SVGs
-            let polylines = visibleSvgs.flatMap(svg => svg.polylines);
-            
-            // Optimize path order if enabled
-            if (this.ui.optimizePaths.checked) {
-                polylines = PathOptimizer.optimize(polylines, [0, 0]);
+            const penGroups = this._getPenGroups(visibleSvgs, settings);
+            this._showPlotTimeEstimate(penGroups, settings);
+        } catch (error) {
+            console.error('Error estimating plot time:', error);
+            alert('Failed to estimate plot time: ' + error.message);
+        }
+    }
+
+    /**
+     * Show plot time estimate for pen groups
+     * @private
+     * @param {Array<{pen: string, polylines: Array}>} penGroups - Pen groups in drawing order
+     * @param {Settings} settings - Current settings
+     */
+    _showPlotTimeEstimate(penGroups, settings) {
+        // Same planned travel, lifts and pen swaps as the generated G-Code
+        const estimate = GCodeGenerator.estimatePlotTime(penGroups, settings);
+        const format = PlotTimeEstimator.formatDuration;
+        
+        this.ui.plotTimeEstimate.textContent = format(estimate.totalTime);
+        this.ui.plotTimeEstimate.title = `Drawing: ${format(estimate.drawTime)}\n` +
+            `Travel: ${format(estimate.travelTime)}\n` +
+            `Pen lifts: ${format(estimate.penTime)}` +
+            (estimate.toolChangeTime > 0 ? `\nPen changes: ${format(estimate.toolChangeTime)}` : '');
+    }
+
+    // ========================================
+    // PRINTER HOST (OCTOPRINT / MOONRAKER)
+    // ========================================
+
+    /**
+     * Create a client for the configured printer host
+     * @private
+     * @returns {PrinterHostClient} Host client
+     */
+    _createHostClient() {
+        const type = this.ui.hostType.value;
+        let fetchImpl = null;
+        
+        if (this._useMockHost()) {
+            if (this.mockPrinterHost?.type !== type) {
+                this.mockPrinterHost = new MockPrinterHost({ type });
             }
-            
-            // Generate G-Code
-            const gcode = GCodeGenerator.generate(polylines, settings);
-            
-            // Check for safety warnings
-            const warning = this._getSafetyWarnings(polylines, settings);
-            if (warning) {
+            fetchImpl = this.mockPrinterHost.fetch;
+        }
+        
+        return new PrinterHostClient({
+            type,
+            url: this.ui.hostUrl.value,
+            apiKey: this.ui.hostApiKey.value
+        }, fetchImpl);
+    }
+
+    /**
+     * Whether to talk to the local mock host (`?mock-host` in the URL)
+     * @private
+     * @returns {boolean} True when the mock host should be used
+     */
+    _useMockHost() {
+        return new URLSearchParams(window.location.search).has('mock-host');
+    }
+
+    /**
+     * Check the connection to the printer host
+     * @private
+     */
+    async _testHostConnection() {
+        try {
+            const version = await this._createHostClient().testConnection();
+            this.ui.hostStatus.textContent = `Connected: ${version}`;
+        } catch (error) {
+            console.error('Printer host connection failed:', error);
+            this.ui.hostStatus.textContent = 'Not connected';
+            alert('Printer host connection failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Generate G-Code for visible SVGs and upload it to the printer host
+     * @private
+     */
+    async _uploadToHost() {
+        const visibleSvgs = this.svgManager.getAllSVGsWithPolylines().filter(svg => svg.visible);
+        
+        if (visibleSvgs.length === 0) {
+            alert('No visible SVG files to upload.');
+            return;
+        }
+        
+        this.ui.btnHostUpload.disabled = true;
+        try {
+            const client = this._createHostClient();
+            const settings = this._getSettings();
+            const penGroups = this._getPenGroups(visibleSvgs, settings);
+            const polylines = penGroups.flatMap(group => group.polylines);
+            const gcode = GCodeGenerator.generateMultiPen(penGroups, settings);
+            this._showPlotTimeEstimate(penGroups, settings);
+            
+            const startJob = this.ui.hostStartJob.checked;
+            const warning = this._getSafetyWarnings(polylines, settings);
+            if (warning && startJob && !confirm(`${warning}\n\nUpload and start anyway?`)) {
+                return;
+            }
+            
+            const filename = `plotlab_${new Date().toISOString().replace(/[:.]/g, '-')}.gcode`;
+            this.ui.hostStatus.textContent = 'Uploading...';
+            const storedName = await client.upload(gcode, filename);
+            
+            if (startJob) {
+                await client.startJob(storedName);
+                this.ui.hostStatus.textContent = `Started ${storedName}`;
+                this._startHostPolling(client);
+            } else {
+                this.ui.hostStatus.textContent = `Uploaded ${storedName}`;
+            }
+        } catch (error) {
+            console.error('Error uploading to printer host:', error);
+            this.ui.hostStatus.textContent = 'Upload failed';
+            alert('Failed to upload G-Code: ' + error.message);
+        } finally {
+            this.ui.btnHostUpload.disabled = false;
+        }
+    }
+
+    /**
+     * Cancel the job running on the printer host
+     * @private
+     */
+    async _cancelHostJob() {
+        if (!confirm('Cancel the job on the printer host?')) return;
+        
+        try {
+            const client = this._createHostClient();
+            await client.cancelJob();
+            this._startHostPolling(client);
+        } catch (error) {
+            console.error('Error cancelling host job:', error);
+            alert('Failed to cancel job: ' + error.message);
+        }
+    }
+
+    /**
+     * Poll job progress until the job has ended
+     * Hosts report idle while a job is still starting, so idle and stale end states
+     * only end polling once the job was seen running or after the startup polls.
+     * @private
+     * @param {PrinterHostClient} client - Host client
+     */
+    _startHostPolling(client) {
+        this._stopHostPolling();
+        
+        const session = { timer: null, polls: 0, jobSeen: false };
+        this.hostPoll = session;
+        
+        const poll = async () => {
+            try {
+                const status = await client.getJobStatus();
+                if (this.hostPoll !== session) return;
+                
+                this.ui.hostStatus.textContent = this._formatHostStatus(status);
+                session.polls++;
+                
+                if (status.state === 'printing' || status.state === 'paused') {
+                    session.jobSeen = true;
+                } else if (session.jobSeen || session.polls >= HOST_STARTUP_POLLS) {
+                    this._stopHostPolling();
+                    return;
+                }
+            } catch (error) {
+                if (this.hostPoll !== session) return;
+                console.error('Error polling printer host:', error);
+                this.ui.hostStatus.textContent = 'Status unavailable';
+                this._stopHostPolling();
+                return;
+            }
+            
+            // Chained timeouts keep slow requests from overlapping
+            session.timer = setTimeout(poll, HOST_POLL_INTERVAL);
+        };
+        
+        poll();
+    }
+
+    /**
+     * Stop polling the printer host
+     * @private
+     */
+    _stopHostPolling() {
+        if (this.hostPoll) {
+            clearTimeout(this.hostPoll.timer);
+            this.hostPoll = null;
+        }
+    }
+
+    /**
+     * Format host job status for display
+     * @private
+     * @param {Object} status - Normalized job status
+     * @returns {string} Status text
+     */
+    _formatHostStatus(status) {
+        const labels = {
+            idle: 'Idle',
+            printing: 'Plotting',
+            paused: 'Paused',
+            complete: 'Complete',
+            cancelled: 'Cancelled',
+            error: 'Error'
+        };
+        const label = labels[status.state] || status.state;
+        
+        if (status.state !== 'printing' && status.state !== 'paused') {
+            return label;
+        }
+        
+        const percent = Math.round(status.progress * 100);
+        const remaining = Number.isFinite(status.remaining)
+            ? `, ${PlotTimeEstimator.formatDuration(status.remaining)} left`
+            : '';
+        return `${label} ${percent}%${remaining}`;
+    }
+
+    // ========================================
+    // SEND TO MACHINE (WEB SERIAL)
+    // ========================================
+
+    /**
+     * Whether to connect to the local mock device (`?mock-serial` in the URL)
+     * @private
+     * @returns {boolean} True when the mock device should be used
+     */
+    _useMockSerial() {
+        return new URLSearchParams(window.location.search).has('mock-serial');
+    }
+
+    /**
+     * Connect to or disconnect from the machine
+     * @private
+     */
+    async _toggleSerialConnection() {
+        try {
+            if (this.serialSender.state === 'disconnected') {
+                const port = this._useMockSerial() ? new MockSerialPort() : null;
+                await this.serialSender.connect(port, parseInt(this.ui.serialBaudRate.value, 10));
+            } else {
+                await this.serialSender.disconnect();
+            }
+        } catch (error) {
+            // Closing the port picker without choosing is not an error
+            if (error.name === 'NotFoundError') return;
+            console.error('Serial connection error:', error);
+            alert('Serial connection failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Generate G-Code for visible SVGs and stream it to the machine
+     * @private
+     */
+    async _sendGCodeToMachine() {
+        const visibleSvgs = this.svgManager.getAllSVGsWithPolylines().filter(svg => svg.visible);
+        
+        if (visibleSvgs.length === 0) {
+            alert('No visible SVG files to send.');
+            return;
+        }
+        
+        try {
+            const settings = this._getSettings();
+            const penGroups = this._getPenGroups(visibleSvgs, settings);
+            const polylines = penGroups.flatMap(group => group.polylines);
+            const gcode = GCodeGenerator.generateMultiPen(penGroups, settings);
+            this._showPlotTimeEstimate(penGroups, settings);
+            
+            // Sending moves a real machine, so warnings need confirmation
+            const warning = this._getSafetyWarnings(polylines, settings);
+            if (warning && !confirm(`${warning}\n\nSend to the machine anyway?`)) {
+                return;
+            }
+            
+            this.serialSender.setDialect(settings.dialect);
+            await this.serialSender.stream(gcode, GCodeGenerator.generateAbortSequence(settings));
+        } catch (error) {
+            console.error('Error sending G-Code:', error);
+            alert('Failed to send G-Code: ' + error.message);
+        }
+    }
+
+    /**
+     * Pause or resume the running stream
+     * @private
+     */
+    _toggleSerialPause() {
+        if (this.serialSender.state === 'paused') {
+            this.serialSender.resume();
+        } else {
+            this.serialSender.pause();
+        }
+    }
+
+    /**
+     * Send the console command to the machine
+     * @private
+     */
+    async _sendSerialCommand() {
+        const command = this.ui.serialCommand.value.trim();
+        if (!command) return;
+        
+        try {
+            this.ui.serialCommand.value = '';
+            this.serialSender.setDialect(this.ui.gcodeDialect.value);
+            await this.serialSender.sendCommand(command);
+        } catch (error) {
+            this._appendSerialLog(error.message, 'info');
+        }
+    }
+
+    /**
+     * Append a line to the serial console
+     * @private
+     * @param {string} text - Line text
+     * @param {string} direction - 'in', 'out' or 'info'
+     */
+    _appendSerialLog(text, direction) {
+        const prefix = direction === 'out' ? '> ' : direction === 'in' ? '< ' : '# ';
+        this.serialLog.push(prefix + text);
+        if (this.serialLog.length > MAX_SERIAL_CONSOLE_LINES) {
+            this.serialLog.splice(0, this.serialLog.length - MAX_SERIAL_CONSOLE_LINES);
+        }
+        
+        this.ui.serialConsole.textContent = this.serialLog.join('\n');
+        this.ui.serialConsole.scrollTop = this.ui.serialConsole.scrollHeight;
+    }
+
+    /**
+     * Enable send panel controls for the sender state
+     * @private
+     * @param {string} state - Sender state
+     */
+    _updateSerialControls(state) {
+        const connected = state !== 'disconnected';
+        const running = state === 'streaming' || state === 'paused' || state === 'aborting';
+        
+        this.ui.btnSerialConnect.textContent = connected ? 'Disconnect' : 'Connect';
+        this.ui.btnSerialConnect.disabled = running;
+        this.ui.serialBaudRate.disabled = connected;
+        this.ui.btnSerialSend.disabled = state !== 'idle';
+        this.ui.btnSerialPause.disabled = state !== 'streaming' && state !== 'paused';
+        this.ui.btnSerialPause.textContent = state === 'paused' ? 'Resume' : 'Pause';
+        this.ui.btnSerialAbort.disabled = state !== 'streaming' && state !== 'paused';
+        this.ui.serialCommand.disabled = state !== 'idle' && state !== 'paused';
+        this.ui.btnSerialCommand.disabled = state !== 'idle' && state !== 'paused';
+    }
+
+    /**
+     * Export HPGL to file download
+     * @private
+     */
+    _exportHPGL() {
+        let svgs = this.svgManager.getAllSVGsWithPolylines();
+        const visibleSvgs = svgs.filter(svg => svg.visible);
+        
+        if (visibleSvgs.length === 0) {
+            console.warn('No visible SVG files to export');
+            alert('No visible SVG files to export.');
+            return;
+        }
+        
+        try {
+            const settings = this._getSettings();
+            
+            // Same optimized pen groups as the G-Code export
+            const penGroups = this._getPenGroups(visibleSvgs, settings);
+            
+            const hpgl = HPGLGenerator.generate(penGroups, {
+                bedWidth: settings.bedWidth,
+                bedHeight: settings.bedHeight,
+                origin: this.ui.hpglOrigin.value,
+                rotation: parseFloat(this.ui.hpglRotation.value),
+                penNumbers: Object.fromEntries(PEN_COLORS.map((pen, index) => [pen.value, index + 1]))
+            });
+            
+            // Download file
+            const blob = new Blob([hpgl], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'plotter_output.hpgl';
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting HPGL:', error);
+            alert('Failed to export HPGL: ' + error.message);
+        }
+    }
+
+    /**
+     * View G-Code in modal
+     * @private
+     */
+    _viewGCode() {
+        let svgs = this.svgManager.getAllSVGsWithPolylines();
+        const visibleSvgs = svgs.filter(svg => svg.visible);
+        
+        if (visibleSvgs.length === 0) {
+            console.warn('No visible SVG files to view');
+            alert('No visible SVG files to view.');
+            return;
+        }
+        
+        try {
+            const settings = this._getSettings();
+            
+            // Group polylines per pen (optimized per group if enabled)
+            const penGroups = this._getPenGroups(visibleSvgs, settings);
+            const polylines = penGroups.flatMap(group => group.polylines);
+            
+            // Generate G-Code
+            const gcode = GCodeGenerator.generateMultiPen(penGroups, settings);
+            this._showPlotTimeEstimate(penGroups, settings);
+            
+            // Check for safety warnings
+            const warning = this._getSafetyWarnings(polylines, settings);
+            if (warning) {
                 alert(warning);
             }
             
@@ -979,23 +2100,121 @@ class App {
     }
 
     /**
-     * Add new exclusion zone from modal form
+     * Open the zone modal, empty for a new zone or filled in to edit one
      * @private
+     * @param {ExclusionZone|null} zone - Zone to edit
      */
-    _addZone() {
-        const name = this.ui.zoneName.value || `Zone ${this.exclusionZones.zones.size + 1}`;
-        const x = parseFloat(this.ui.zoneX.value);
-        const y = parseFloat(this.ui.zoneY.value);
-        const width = parseFloat(this.ui.zoneWidth.value);
-        const height = parseFloat(this.ui.zoneHeight.value);
-        
-        this.exclusionZones.addZone(x, y, width, height, name);
+    _openZoneModal(zone = null) {
+        this.editingZoneId = zone ? zone.id : null;
+        this.ui.zoneModalTitle.textContent = zone ? 'Edit Exclusion Zone' : 'Add Exclusion Zone';
+        this.ui.zoneModalAdd.textContent = zone ? 'Save Zone' : 'Add Zone';
+        this.ui.zoneName.value = zone ? zone.name : '';
+
+        if (zone) {
+            this.ui.zoneType.value = zone.type;
+            this.ui.zoneX.value = zone.x;
+            this.ui.zoneY.value = zone.y;
+            this.ui.zoneWidth.value = zone.width;
+            this.ui.zoneHeight.value = zone.height;
+            if (zone.type === 'circle') {
+                this.ui.zoneCx.value = zone.cx;
+                this.ui.zoneCy.value = zone.cy;
+                this.ui.zoneRadius.value = zone.radius;
+            }
+            if (zone.type === 'polygon') {
+                this.ui.zonePoints.value = zone.points.map(([x, y]) => `${x},${y}`).join('\n');
+            }
+        }
+
+        this._updateZoneTypeFields();
+        this._openModal('zoneModal');
+    }
+
+    /**
+     * Show the form fields for the selected zone shape
+     * @private
+     */
+    _updateZoneTypeFields() {
+        const type = this.ui.zoneType.value;
+        this.ui.zoneRectFields.hidden = type !== 'rect';
+        this.ui.zoneCircleFields.hidden = type !== 'circle';
+        this.ui.zonePolygonFields.hidden = type !== 'polygon';
+    }
+
+    /**
+     * Read the zone geometry from the modal form
+     * @private
+     * @returns {Object} Zone geometry for ExclusionZonesManager
+     */
+    _getZoneFormGeometry() {
+        const type = this.ui.zoneType.value;
+
+        if (type === 'circle') {
+            return {
+                type,
+                cx: parseFloat(this.ui.zoneCx.value),
+                cy: parseFloat(this.ui.zoneCy.value),
+                radius: parseFloat(this.ui.zoneRadius.value)
+            };
+        }
+
+        if (type === 'polygon') {
+            const points = this.ui.zonePoints.value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => line)
+                .map(line => line.split(/[\s,;]+/).map(parseFloat));
+            return { type, points };
+        }
+
+        return {
+            type,
+            x: parseFloat(this.ui.zoneX.value),
+            y: parseFloat(this.ui.zoneY.value),
+            width: parseFloat(this.ui.zoneWidth.value),
+            height: parseFloat(this.ui.zoneHeight.value)
+        };
+    }
+
+    /**
+     * Add a new exclusion zone or save the edited one from the modal form
+     * @private
+     */
+    _saveZone() {
+        const geometry = this._getZoneFormGeometry();
+
+        try {
+            if (this.editingZoneId) {
+                this.exclusionZones.setZoneGeometry(this.editingZoneId, geometry, this.ui.zoneName.value.trim());
+            } else {
+                const name = this.ui.zoneName.value || `Zone ${this.exclusionZones.zones.size + 1}`;
+                this.exclusionZones.createZone(geometry, name);
+            }
+        } catch (error) {
+            console.error('Invalid exclusion zone:', error);
+            alert(`Invalid exclusion zone: ${error.message}`);
+            return;
+        }
+
         this._updateZoneList();
         this._updateZoneVisualization();
         this._closeModal('zoneModal');
         
         // Reset form
         this.ui.zoneName.value = '';
+        this.editingZoneId = null;
+    }
+
+    /**
+     * Short size description of a zone for the zone list
+     * @private
+     * @param {ExclusionZone} zone - Zone to describe
+     * @returns {string} Description like "50×30mm"
+     */
+    _describeZone(zone) {
+        if (zone.type === 'circle') return `⌀${zone.radius * 2}mm`;
+        if (zone.type === 'polygon') return `${zone.points.length} corners`;
+        return `${zone.width}×${zone.height}mm`;
     }
 
     /**
@@ -1013,7 +2232,7 @@ class App {
             
             const nameSpan = document.createElement('span');
             nameSpan.className = 'svg-name';
-            nameSpan.textContent = `${zone.name} (${zone.width}×${zone.height}mm)`;
+            nameSpan.textContent = `${zone.name} (${this._describeZone(zone)})`;
             nameSpan.title = zone.name;
             
             const controls = document.createElement('div');
@@ -1030,6 +2249,15 @@ class App {
                 this._updateZoneVisualization();
             });
             
+            const editBtn = document.createElement('button');
+            editBtn.textContent = '✎';
+            editBtn.title = 'Edit';
+            editBtn.setAttribute('aria-label', 'Edit zone');
+            editBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._openZoneModal(zone);
+            });
+            
             const delBtn = document.createElement('button');
             delBtn.textContent = '🗑';
             delBtn.title = 'Remove';
@@ -1042,6 +2270,7 @@ class App {
             });
             
             controls.appendChild(toggleBtn);
+            controls.appendChild(editBtn);
             controls.appendChild(delBtn);
             
             li.appendChild(nameSpan);
@@ -1084,7 +2313,33 @@ class App {
                 feedRate: parseFloat(this.ui.feedRate.value),
                 travelFeedRate: parseFloat(this.ui.travelFeedRate.value),
                 headerTemplate: this.ui.gcodeHeader.value,
-                footerTemplate: this.ui.gcodeFooter.value
+                footerTemplate: this.ui.gcodeFooter.value,
+                parkX: parseFloat(this.ui.parkX.value),
+                parkY: parseFloat(this.ui.parkY.value),
+                toolChangeTemplate: this.ui.gcodeToolChange.value,
+                dialect: this.ui.gcodeDialect.value,
+                penDwell: parseFloat(this.ui.penDwell.value),
+                hpglOrigin: this.ui.hpglOrigin.value,
+                hpglRotation: parseFloat(this.ui.hpglRotation.value),
+                arcFitting: this.ui.arcFitting.checked,
+                arcTolerance: parseFloat(this.ui.arcTolerance.value),
+                acceleration: parseFloat(this.ui.acceleration.value),
+                junctionDeviation: parseFloat(this.ui.junctionDeviation.value),
+                penLiftTime: parseFloat(this.ui.penLiftTime.value),
+                clipToZones: this.ui.clipZones.checked,
+                travelAvoidance: this.ui.travelAvoidance.value,
+                clearanceZ: parseFloat(this.ui.clearanceZ.value),
+                paperEnabled: this.ui.paperEnabled.checked,
+                paperSize: this.ui.paperSize.value,
+                paperOrientation: this.ui.paperOrientation.value,
+                paperX: parseFloat(this.ui.paperX.value),
+                paperY: parseFloat(this.ui.paperY.value),
+                paperWidth: parseFloat(this.ui.paperWidth.value),
+                paperHeight: parseFloat(this.ui.paperHeight.value),
+                paperMargin: parseFloat(this.ui.paperMargin.value),
+                hostType: this.ui.hostType.value,
+                hostUrl: this.ui.hostUrl.value.trim(),
+                hostApiKey: this.ui.hostApiKey.value.trim()
             };
             
             this.presetManager.savePreset(name, settings);
@@ -1177,8 +2432,35 @@ class App {
             this.ui.travelFeedRate.value = settings.travelFeedRate ?? 9000;
             this.ui.gcodeHeader.value = settings.headerTemplate ?? this.ui.gcodeHeader.value;
             this.ui.gcodeFooter.value = settings.footerTemplate ?? this.ui.gcodeFooter.value;
+            this.ui.parkX.value = settings.parkX ?? 0;
+            this.ui.parkY.value = settings.parkY ?? 0;
+            this.ui.gcodeToolChange.value = settings.toolChangeTemplate ?? this.ui.gcodeToolChange.value;
+            this.ui.gcodeDialect.value = settings.dialect ?? GCodeDialects.getDefaultId();
+            this.ui.penDwell.value = settings.penDwell ?? 0;
+            this.ui.hpglOrigin.value = settings.hpglOrigin ?? 'lower-left';
+            this.ui.hpglRotation.value = settings.hpglRotation ?? 0;
+            this.ui.arcFitting.checked = settings.arcFitting ?? false;
+            this.ui.arcTolerance.value = settings.arcTolerance ?? 0.05;
+            this.ui.acceleration.value = settings.acceleration ?? 2000;
+            this.ui.junctionDeviation.value = settings.junctionDeviation ?? 0.05;
+            this.ui.penLiftTime.value = settings.penLiftTime ?? 0.1;
+            this.ui.clipZones.checked = settings.clipToZones ?? false;
+            this.ui.travelAvoidance.value = settings.travelAvoidance ?? 'off';
+            this.ui.clearanceZ.value = settings.clearanceZ ?? 10;
+            this.ui.paperEnabled.checked = settings.paperEnabled ?? false;
+            this.ui.paperSize.value = settings.paperSize ?? PaperArea.getDefaultId();
+            this.ui.paperOrientation.value = settings.paperOrientation ?? 'portrait';
+            this.ui.paperX.value = settings.paperX ?? 0;
+            this.ui.paperY.value = settings.paperY ?? 0;
+            this.ui.paperWidth.value = settings.paperWidth ?? 210;
+            this.ui.paperHeight.value = settings.paperHeight ?? 297;
+            this.ui.paperMargin.value = settings.paperMargin ?? 10;
+            this.ui.hostType.value = settings.hostType ?? 'octoprint';
+            this.ui.hostUrl.value = settings.hostUrl ?? '';
+            this.ui.hostApiKey.value = settings.hostApiKey ?? '';
             
             this._applySettings();
+            this._updatePaper();
             this._closeModal('presetLoadModal');
             alert(`Preset "${name}" loaded!`);
         } catch (error) {
@@ -1187,6 +2469,148 @@ class App {
         }
     }
 
+    // ========================================
+    // TEXT
+    // ========================================
+
+    /**
+     * Open the text modal, empty for new text or filled in to edit a text object
+     * @private
+     * @param {string|null} id - SVG identifier of the text object to edit
+     */
+    _openTextModal(id = null) {
+        const text = id ? this.svgManager.svgObjects.get(id)?.metadata?.text : null;
+        this.editingTextId = text ? id : null;
+        this.ui.textModalTitle.textContent = text ? 'Edit Text' : 'Add Text';
+        this.ui.textModalSave.textContent = text ? 'Save Text' : 'Add Text';
+        this.ui.textInput.value = text ? text.content : '';
+
+        // New text keeps the last used font settings
+        if (text) {
+            this.ui.textFont.value = text.font;
+            this.ui.textSize.value = text.size;
+            this.ui.textLineHeight.value = text.lineHeight;
+            this.ui.textAlign.value = text.align;
+        }
+
+        this._openModal('textModal');
+        this.ui.textInput.focus();
+    }
+
+    /**
+     * Read the text settings from the modal form
+     * @private
+     * @returns {{content: string, font: string, size: number, lineHeight: number, align: string}} Text settings
+     */
+    _getTextFormSettings() {
+        return {
+            content: this.ui.textInput.value.replace(/\s+$/, ''),
+            font: this.ui.textFont.value,
+            size: parseFloat(this.ui.textSize.value),
+            lineHeight: parseFloat(this.ui.textLineHeight.value),
+            align: this.ui.textAlign.value
+        };
+    }
+
+    /**
+     * Lay out text as single-stroke polylines in mm
+     * @private
+     * @param {Object} text - Text settings from _getTextFormSettings
+     * @returns {Object} SVG data like SVGProcessor results (polylines, bounds, scaleFactor, viewBox, fills)
+     */
+    _createTextData(text) {
+        const polylines = HersheyFont.layoutParagraph(text.content, {
+            fontSize: HersheyFont.fontSizeForCapHeight(text.size),
+            lineHeight: text.lineHeight,
+            align: text.align,
+            font: text.font
+        });
+        const bounds = SVGProcessor._calculateBounds(polylines);
+
+        return {
+            polylines,
+            bounds,
+            scaleFactor: { scaleX: 1, scaleY: 1, avgScale: 1, physical: null },
+            physical: null,
+            viewBox: [bounds.minX, bounds.minY, bounds.width, bounds.height],
+            fills: []
+        };
+    }
+
+    /**
+     * Add a new text object or save the edited one from the modal form
+     * @private
+     */
+    _saveText() {
+        const text = this._getTextFormSettings();
+        if (!text.content.trim()) {
+            alert('Please enter some text.');
+            return;
+        }
+        if (!(text.size > 0) || !(text.lineHeight > 0)) {
+            alert('Size and line spacing must be greater than 0.');
+            return;
+        }
+
+        const data = this._createTextData(text);
+        if (data.polylines.length === 0) {
+            alert('The text contains no drawable characters.');
+            return;
+        }
+
+        const firstLine = text.content.trim().split('\n')[0].trim();
+        const name = firstLine.length > MAX_TEXT_NAME_LENGTH
+            ? `Text: ${firstLine.slice(0, MAX_TEXT_NAME_LENGTH)}…`
+            : `Text: ${firstLine}`;
+
+        const id = this.editingTextId;
+        if (id && this.svgManager.svgObjects.has(id)) {
+            // Keep both versions so the edit can be undone and redone
+            const beforeState = this._captureState('text', id);
+            const { scaleFactor, physical, viewBox } = data;
+            this._applyTextGeometry(id, {
+                filename: name,
+                polylines: data.polylines,
+                originalBounds: data.bounds,
+                metadata: { scaleFactor, physical, viewBox, text }
+            });
+            this.history.pushState('text', { ...beforeState, next: this._captureState('text', id) });
+            this._updateHistoryButtons();
+            this._selectSVG(id);
+        } else {
+            this._addSVGToWorkspace(null, name, data, 1.0, { text });
+        }
+
+        this._closeModal('textModal');
+        this.editingTextId = null;
+    }
+
+    /**
+     * Replace the geometry of a text object and refresh its list entry and preview
+     * @private
+     * @param {string} id - SVG identifier
+     * @param {{filename: string, polylines: Array, originalBounds: Object, metadata: Object}} geometry - New geometry
+     */
+    _applyTextGeometry(id, geometry) {
+        const { filename, polylines, originalBounds, metadata } = geometry;
+        this.svgManager.updateGeometry(id, filename, polylines, originalBounds, metadata);
+
+        const nameSpan = this.ui.svgList.querySelector(`li[data-id="${id}"] .svg-name`);
+        if (nameSpan) {
+            nameSpan.textContent = filename;
+            nameSpan.title = filename;
+        }
+
+        const svg = this.svgManager.svgObjects.get(id);
+        if (svg.visible) {
+            this.preview3D.updateSVG(id, this.svgManager.getTransformedPolylines(svg), this._getColorForSVG(id));
+        }
+        if (this.selectedSVGId === id) {
+            this._updateSizeDisplay();
+        }
+        this._checkCollisions();
+    }
+
     // ========================================
     // HISTORY / UNDO-REDO SYSTEM
     // ========================================
@@ -1213,7 +2637,11 @@ class App {
             filename: svg.filename,
             polylines: svg.polylines,
             originalBounds: svg.originalBounds,
-            metadata: svg.metadata
+            metadata: svg.metadata,
+            fills: svg.fills,
+            penColor: svg.penColor,
+            hatchingEnabled: svg.hatchingEnabled,
+            hatchingSettings: svg.hatchingSettings
         };
     }
 
@@ -1265,7 +2693,11 @@ class App {
                         scale: state.scale,
                         rotation: state.rotation,
                         visible: state.visible,
-                        metadata: state.metadata
+                        metadata: state.metadata,
+                        fills: state.fills || [],
+                        penColor: state.penColor || 'default',
+                        hatchingEnabled: state.hatchingEnabled || false,
+                        hatchingSettings: state.hatchingSettings || { spacing: 2, angle: 45, pattern: 'parallel' }
                     });
 
                     this._addSVGToList(id, state.filename);
@@ -1295,6 +2727,37 @@ class App {
                     }
                     break;
                 }
+                case 'text':
+                case 'textRedo': {
+                    // Undo restores the captured text, redo the edited one
+                    const snapshot = action === 'text' ? state : state.next;
+                    if (this.svgManager.svgObjects.has(id) && snapshot) {
+                        this._applyTextGeometry(id, snapshot);
+                    }
+                    break;
+                }
+                case 'hatching':
+                case 'hatchingRedo': {
+                    // Undo restores the captured hatching, redo the changed one
+                    const snapshot = action === 'hatching' ? state : state.next;
+                    const svg = this.svgManager.svgObjects.get(id);
+                    if (svg && snapshot) {
+                        this.svgManager.updateHatching(id, snapshot.hatchingEnabled, snapshot.hatchingSettings);
+
+                        // Update UI if this is the selected SVG
+                        if (this.selectedSVGId === id) {
+                            this._updateHatchingControls(svg);
+                        }
+
+                        // Update 3D preview
+                        if (svg.visible) {
+                            const transformedPolylines = this.svgManager.getTransformedPolylines(svg);
+                            const color = this._getColorForSVG(id);
+                            this.preview3D.updateSVG(id, transformedPolylines, color);
+                        }
+                    }
+                    break;
+                }
                 case 'visibility': {
                     const svg = this.svgManager.svgObjects.get(id);
                     if (svg) {
@@ -1362,6 +2825,8 @@ class App {
             'add': 'remove',
             'remove': 'add',
             'transform': 'transform',
+            'hatching': 'hatchingRedo',
+            'text': 'textRedo',
             'visibility': 'visibility'
         };
         return opposites[action] || action;
@@ -1376,6 +2841,122 @@ class App {
         this.ui.btnRedo.disabled = !this.history.canRedo();
     }
 
+    // ========================================
+    // SIMULATION
+    // ========================================
+
+    /**
+     * Generate G-code for the visible SVGs and play it back in the preview
+     * @private
+     */
+    _startSimulation() {
+        const visibleSvgs = this.svgManager.getAllSVGsWithPolylines().filter(svg => svg.visible);
+        if (visibleSvgs.length === 0) {
+            alert('No visible SVG files to simulate.');
+            return;
+        }
+
+        try {
+            const settings = this._getSettings();
+            const penGroups = this._getPenGroups(visibleSvgs, settings);
+            const gcode = GCodeGenerator.generateMultiPen(penGroups, settings);
+
+            const toolpath = ToolpathSimulator.parse(gcode, {
+                feedRate: settings.feedRate,
+                travelFeedRate: settings.travelFeedRate,
+                offset: this._getSimulationOffset(settings)
+            });
+            if (toolpath.segments.length === 0) {
+                alert('The generated G-code contains no moves to simulate.');
+                return;
+            }
+
+            this._showToolpath(gcode, toolpath);
+            this.simulator.play();
+        } catch (error) {
+            console.error('Error simulating G-Code:', error);
+            alert('Failed to simulate G-Code: ' + error.message);
+        }
+    }
+
+    /**
+     * Pen offset that maps G-code coordinates back to drawing coordinates
+     * @private
+     * @param {Object} settings - Settings from _getSettings
+     * @returns {[number, number]} Offset [x, y] in mm
+     */
+    _getSimulationOffset(settings) {
+        return settings.penOffset.map(value => (Number.isFinite(value) ? value : 0));
+    }
+
+    /**
+     * Show a parsed toolpath in the preview and open the simulation bar
+     * @private
+     * @param {string} gcode - G-code the toolpath was parsed from
+     * @param {Object} toolpath - Toolpath from ToolpathSimulator.parse
+     */
+    _showToolpath(gcode, toolpath) {
+        // Keep the G-code modal in sync so the current line can be highlighted there
+        this.currentGCode = gcode;
+        this.ui.gcodeContent.value = gcode;
+        this.simulationLineStarts = [0];
+        for (let i = gcode.indexOf('\n'); i !== -1; i = gcode.indexOf('\n', i + 1)) {
+            this.simulationLineStarts.push(i + 1);
+        }
+
+        this.preview3D.showSimulation(toolpath);
+        this.ui.simulationBar.style.display = 'flex';
+        this.simulator.setSpeed(parseFloat(this.ui.simSpeed.value));
+        this.simulator.load(toolpath);
+    }
+
+    /**
+     * Stop the simulation and show the SVGs again
+     * @private
+     */
+    _closeSimulation() {
+        this.simulator.pause();
+        this.preview3D.hideSimulation();
+        this.ui.simulationBar.style.display = 'none';
+    }
+
+    /**
+     * Update preview, timeline and G-code line for a playback frame
+     * @private
+     * @param {Object} frame - Simulation frame from ToolpathSimulator
+     */
+    _showSimulationFrame(frame) {
+        this.preview3D.setSimulationFrame(frame);
+
+        const max = parseFloat(this.ui.simScrubber.max);
+        this.ui.simScrubber.value = frame.totalTime > 0 ? Math.round((frame.time / frame.totalTime) * max) : 0;
+        this.ui.simTime.textContent =
+            `${PlotTimeEstimator.formatDuration(frame.time)} / ${PlotTimeEstimator.formatDuration(frame.totalTime)}`;
+        this.ui.simLine.textContent = frame.line >= 0 ? `Line ${frame.line + 1}` : '';
+
+        this._highlightGCodeLine(frame.line);
+    }
+
+    /**
+     * Select a line in the G-code modal and scroll it into view
+     * @private
+     * @param {number} line - Zero-based line index, -1 for none
+     */
+    _highlightGCodeLine(line) {
+        const textarea = this.ui.gcodeContent;
+        if (line < 0 || line >= this.simulationLineStarts.length || !this.ui.gcodeModal.classList.contains('show')) {
+            return;
+        }
+
+        const start = this.simulationLineStarts[line];
+        const next = this.simulationLineStarts[line + 1];
+        const end = next === undefined ? textarea.value.length : next - 1;
+        textarea.setSelectionRange(start, end);
+
+        const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 16;
+        textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 2);
+    }
+
     // ========================================
     // KEYBOARD SHORTCUTS
     // ========================================
@@ -1533,17 +3114,23 @@ class App {
         }
 
         const settings = this._getSettings();
-        const exclusionZones = this.exclusionZones.getAllZones();
+        const exclusionZones = settings.exclusionZones;
 
         const result = this.preview3D.checkCollisions(polylines, settings, exclusionZones);
+        const offPaper = settings.paper.enabled
+            ? PaperArea.countPointsOutside(polylines, settings.paper, settings.penOffset.map(value => value || 0))
+            : 0;
 
-        if (result.hasCollisions) {
+        if (result.hasCollisions || offPaper > 0) {
             let message = '';
             if (result.outOfBounds > 0) {
                 message += `${result.outOfBounds} point(s) outside bed area. `;
             }
             if (result.zoneCollisions > 0) {
-                message += `${result.zoneCollisions} point(s) in exclusion zones.`;
+                message += `${result.zoneCollisions} point(s) in exclusion zones. `;
+            }
+            if (offPaper > 0) {
+                message += `${offPaper} point(s) outside the paper margins.`;
             }
             
             this.ui.collisionMessage.textContent = message;
@@ -1745,7 +3332,7 @@ class App {
         this.svgManager.nextId = 1;
         this.selectedSVGId = null;
         
-        this.exclusionZones.zones = [];
+        this.exclusionZones.clear();
         
         // Clear 3D preview
         if (this.preview3D) {
@@ -1770,7 +3357,8 @@ class App {
 
         // Restore exclusion zones
         projectData.exclusionZones?.forEach(zone => {
-            this.exclusionZones.addZone(zone.name, zone.x, zone.y, zone.width, zone.height);
+            const id = this.exclusionZones.createZone(zone, zone.name);
+            if (zone.enabled === false) this.exclusionZones.toggleZone(id);
         });
         this._updateZoneList();
 
@@ -1781,7 +3369,8 @@ class App {
                 svg.polylines,
                 svg.originalBounds,
                 svg.scale,
-                svg.metadata
+                svg.metadata,
+                svg.fills || []
             );
 
             const svgObj = this.svgManager.svgObjects.get(id);
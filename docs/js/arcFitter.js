@@ -0,0 +1,139 @@
+// Constants
+const DEFAULT_TOLERANCE = 0.05;
+const MIN_ARC_POINTS = 4;
+const MAX_RADIUS = 1000;
+const MAX_SWEEP = Math.PI * 1.9;
+const EPSILON = 1e-9;
+
+/**
+ * @typedef {Object} LineSegment
+ * @property {'line'} type - Segment type
+ * @property {[number, number]} end - End point
+ */
+
+/**
+ * @typedef {Object} ArcSegment
+ * @property {'arc'} type - Segment type
+ * @property {[number, number]} end - End point
+ * @property {[number, number]} center - Arc center
+ * @property {boolean} clockwise - True for G2, false for G3
+ */
+
+/**
+ * Replaces runs of polyline points lying on a circular arc with arc segments
+ * @class
+ */
+export class ArcFitter {
+    /**
+     * Fit arcs to a polyline
+     * @param {Array<[number, number]>} polyline - Input points
+     * @param {number} tolerance - Maximum deviation from the original polyline in mm
+     * @returns {Array<LineSegment|ArcSegment>} Segments following the first point
+     */
+    static fit(polyline, tolerance = DEFAULT_TOLERANCE) {
+        const safeTolerance = Number.isFinite(tolerance) && tolerance > 0 ? tolerance : DEFAULT_TOLERANCE;
+        const segments = [];
+        let start = 0;
+
+        while (start < polyline.length - 1) {
+            let best = null;
+            let end = start + MIN_ARC_POINTS - 1;
+
+            // Grow the arc greedily as long as all points stay on it
+            while (end < polyline.length) {
+                const arc = ArcFitter._fitArc(polyline, start, end, safeTolerance);
+                if (!arc) break;
+                best = { ...arc, endIndex: end };
+                end++;
+            }
+
+            if (best) {
+                segments.push({
+                    type: 'arc',
+                    end: polyline[best.endIndex],
+                    center: best.center,
+                    clockwise: best.clockwise
+                });
+                start = best.endIndex;
+            } else {
+                segments.push({ type: 'line', end: polyline[start + 1] });
+                start++;
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * Try to fit a single arc through points [start..end]
+     * @private
+     * @param {Array<[number, number]>} points - Polyline points
+     * @param {number} start - First point index
+     * @param {number} end - Last point index
+     * @param {number} tolerance - Maximum deviation in mm
+     * @returns {{center: [number, number], clockwise: boolean}|null} Arc or null if points do not fit
+     */
+    static _fitArc(points, start, end, tolerance) {
+        const center = ArcFitter._circumcenter(points[start], points[Math.floor((start + end) / 2)], points[end]);
+        if (!center) return null;
+
+        const [cx, cy] = center;
+        const radius = Math.hypot(points[start][0] - cx, points[start][1] - cy);
+        if (radius > MAX_RADIUS) return null;
+
+        // All points must turn the same way and stay close to the circle
+        let direction = 0;
+        let sweep = 0;
+        for (let i = start; i < end; i++) {
+            const [x0, y0] = points[i];
+            const [x1, y1] = points[i + 1];
+
+            if (Math.abs(Math.hypot(x1 - cx, y1 - cy) - radius) > tolerance) return null;
+
+            const cross = (x0 - cx) * (y1 - cy) - (y0 - cy) * (x1 - cx);
+            const dot = (x0 - cx) * (x1 - cx) + (y0 - cy) * (y1 - cy);
+            const step = Math.atan2(cross, dot);
+            if (Math.abs(step) < EPSILON) return null;
+
+            const stepDirection = Math.sign(step);
+            if (direction === 0) {
+                direction = stepDirection;
+            } else if (stepDirection !== direction) {
+                return null;
+            }
+
+            // The arc between two samples bulges away from their chord
+            const sagitta = radius * (1 - Math.cos(Math.abs(step) / 2));
+            if (sagitta > tolerance) return null;
+
+            sweep += Math.abs(step);
+        }
+
+        // Near-full circles are left to lines, I/J would become ambiguous
+        if (sweep > MAX_SWEEP) return null;
+
+        return { center, clockwise: direction < 0 };
+    }
+
+    /**
+     * Center of the circle through three points
+     * @private
+     * @param {[number, number]} a - First point
+     * @param {[number, number]} b - Second point
+     * @param {[number, number]} c - Third point
+     * @returns {[number, number]|null} Center or null for collinear points
+     */
+    static _circumcenter(a, b, c) {
+        const d = 2 * (a[0] * (b[1] - c[1]) + b[0] * (c[1] - a[1]) + c[0] * (a[1] - b[1]));
+        if (Math.abs(d) < EPSILON) return null;
+
+        const a2 = a[0] * a[0] + a[1] * a[1];
+        const b2 = b[0] * b[0] + b[1] * b[1];
+        const c2 = c[0] * c[0] + c[1] * c[1];
+
+        return [
+            (a2 * (b[1] - c[1]) + b2 * (c[1] - a[1]) + c2 * (a[1] - b[1])) / d,
+            (a2 * (c[0] - b[0]) + b2 * (a[0] - c[0]) + c2 * (b[0] - a[0])) / d
+        ];
+    }
+}
@@ -1,14 +1,35 @@
+// Constants
+const EPSILON = 1e-9;
+
 /**
  * @typedef {Object} ExclusionZone
  * @property {string} id - Unique identifier
  * @property {string} name - Zone name
- * @property {number} x - X position in mm
- * @property {number} y - Y position in mm
- * @property {number} width - Width in mm
- * @property {number} height - Height in mm
+ * @property {string} type - 'rect', 'circle' or 'polygon'
+ * @property {number} x - X position in mm (bounding box for circles and polygons)
+ * @property {number} y - Y position in mm (bounding box for circles and polygons)
+ * @property {number} width - Width in mm (bounding box for circles and polygons)
+ * @property {number} height - Height in mm (bounding box for circles and polygons)
+ * @property {number} [cx] - Circle center X in mm
+ * @property {number} [cy] - Circle center Y in mm
+ * @property {number} [radius] - Circle radius in mm
+ * @property {Array<[number, number]>} [points] - Polygon corners in mm
  * @property {boolean} enabled - Whether zone is active
  */
 
+/**
+ * @typedef {Object} ZoneGeometry
+ * @property {string} type - 'rect', 'circle' or 'polygon'
+ * @property {number} [x] - Rectangle X position
+ * @property {number} [y] - Rectangle Y position
+ * @property {number} [width] - Rectangle width
+ * @property {number} [height] - Rectangle height
+ * @property {number} [cx] - Circle center X
+ * @property {number} [cy] - Circle center Y
+ * @property {number} [radius] - Circle radius
+ * @property {Array<[number, number]>} [points] - Polygon corners
+ */
+
 /**
  * Manages exclusion zones on the print bed
  * @class
@@ -29,20 +50,90 @@ export class ExclusionZonesManager {
      * @returns {string} Generated zone ID
      */
     addZone(x, y, width, height, name = '') {
+        return this.createZone({ type: 'rect', x, y, width, height }, name);
+    }
+
+    /**
+     * Add a circular exclusion zone (e.g. a round bed clip)
+     * @param {number} cx - Center X in mm
+     * @param {number} cy - Center Y in mm
+     * @param {number} radius - Radius in mm
+     * @param {string} name - Optional zone name
+     * @returns {string} Generated zone ID
+     */
+    addCircleZone(cx, cy, radius, name = '') {
+        return this.createZone({ type: 'circle', cx, cy, radius }, name);
+    }
+
+    /**
+     * Add a polygonal exclusion zone (e.g. an angled paper holder)
+     * @param {Array<[number, number]>} points - Corners in mm, at least three
+     * @param {string} name - Optional zone name
+     * @returns {string} Generated zone ID
+     */
+    addPolygonZone(points, name = '') {
+        return this.createZone({ type: 'polygon', points }, name);
+    }
+
+    /**
+     * Add a zone of any shape
+     * @param {ZoneGeometry} geometry - Zone geometry
+     * @param {string} name - Optional zone name
+     * @returns {string} Generated zone ID
+     * @throws {Error} If the geometry is invalid
+     */
+    createZone(geometry, name = '') {
         const id = `zone_${this.nextId++}`;
         const zone = {
             id,
             name: name || `Zone ${this.nextId - 1}`,
-            x,
-            y,
-            width,
-            height,
+            ...ExclusionZonesManager._normalizeGeometry(geometry),
             enabled: true
         };
         this.zones.set(id, zone);
         return id;
     }
 
+    /**
+     * Validate geometry and compute its bounding box
+     * @private
+     * @param {ZoneGeometry} geometry - Zone geometry
+     * @returns {Object} Geometry fields of a zone
+     */
+    static _normalizeGeometry(geometry) {
+        if (geometry.type === 'circle') {
+            const { cx, cy, radius } = geometry;
+            if (![cx, cy, radius].every(Number.isFinite) || radius <= 0) {
+                throw new Error('Circle zones need a center and a positive radius');
+            }
+            return {
+                type: 'circle', cx, cy, radius,
+                x: cx - radius, y: cy - radius, width: 2 * radius, height: 2 * radius
+            };
+        }
+
+        if (geometry.type === 'polygon') {
+            const points = (geometry.points || []).map(([px, py]) => [px, py]);
+            if (points.length < 3 || !points.every(point => point.every(Number.isFinite))) {
+                throw new Error('Polygon zones need at least three points');
+            }
+            const xs = points.map(point => point[0]);
+            const ys = points.map(point => point[1]);
+            const x = Math.min(...xs);
+            const y = Math.min(...ys);
+            return {
+                type: 'polygon', points,
+                x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y
+            };
+        }
+
+        const { x, y, width, height } = geometry;
+        if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+            throw new Error('Rectangle zones need a position and a positive size');
+        }
+        return { type: 'rect', x, y, width, height };
+    }
+
     /**
      * Remove an exclusion zone
      * @param {string} id - Zone ID to remove
@@ -52,20 +143,35 @@ export class ExclusionZonesManager {
     }
 
     /**
-     * Update zone dimensions
+     * Update zone dimensions, turning the zone into a rectangle
      * @param {string} id - Zone ID
      * @param {number} x - New X position
      * @param {number} y - New Y position
      * @param {number} width - New width
      * @param {number} height - New height
+     * @throws {Error} If the dimensions are invalid
      */
     updateZone(id, x, y, width, height) {
+        this.setZoneGeometry(id, { type: 'rect', x, y, width, height });
+    }
+
+    /**
+     * Replace the shape of a zone, the type may change
+     * @param {string} id - Zone ID
+     * @param {ZoneGeometry} geometry - New geometry
+     * @param {string} name - New name (keeps the current name when empty)
+     * @throws {Error} If the geometry is invalid
+     */
+    setZoneGeometry(id, geometry, name = '') {
         const zone = this.zones.get(id);
         if (zone) {
-            zone.x = x;
-            zone.y = y;
-            zone.width = width;
-            zone.height = height;
+            const normalized = ExclusionZonesManager._normalizeGeometry(geometry);
+            delete zone.cx;
+            delete zone.cy;
+            delete zone.radius;
+            delete zone.points;
+            Object.assign(zone, normalized);
+            if (name) zone.name = name;
         }
     }
 
@@ -89,7 +195,7 @@ export class ExclusionZonesManager {
     isPointInAnyZone(x, y) {
         for (const zone of this.zones.values()) {
             if (!zone.enabled) continue;
-            if (this._isPointInZone(x, y, zone)) {
+            if (ExclusionZonesManager.isPointInZone(x, y, zone)) {
                 return true;
             }
         }
@@ -98,20 +204,195 @@ export class ExclusionZonesManager {
 
     /**
      * Check if a point is inside a specific zone
-     * @private
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
      * @param {ExclusionZone} zone - Zone to check
      * @returns {boolean} True if point is inside zone
      */
-    _isPointInZone(x, y, zone) {
+    static isPointInZone(x, y, zone) {
+        if (zone.type === 'circle') {
+            return (x - zone.cx) ** 2 + (y - zone.cy) ** 2 <= zone.radius ** 2;
+        }
+
+        if (zone.type === 'polygon') {
+            // Even-odd ray casting
+            const points = zone.points;
+            let inside = false;
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const [xi, yi] = points[i];
+                const [xj, yj] = points[j];
+                if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        }
+
         return x >= zone.x && 
                x <= zone.x + zone.width && 
                y >= zone.y && 
                y <= zone.y + zone.height;
     }
 
-    // Removed unused methods: filterPolylines, _splitPolylineByZones
+    /**
+     * Split polylines at zone boundaries and drop the parts inside enabled zones
+     * @param {Array<Array<[number, number]>>} polylines - Polylines to clip
+     * @param {[number, number]} offset - Offset added to points before testing (pen offset)
+     * @returns {Array<Array<[number, number]>>} Clipped polylines
+     */
+    clipPolylines(polylines, offset = [0, 0]) {
+        const zones = this.getZones().filter(zone => zone.enabled);
+        if (zones.length === 0) return polylines;
+
+        const result = [];
+        for (const polyline of polylines) {
+            result.push(...this._splitPolylineByZones(polyline, zones, offset));
+        }
+        return result;
+    }
+
+    /**
+     * Split one polyline into the pieces lying outside all zones
+     * @private
+     * @param {Array<[number, number]>} polyline - Polyline to split
+     * @param {Array<ExclusionZone>} zones - Enabled zones
+     * @param {[number, number]} offset - Offset added to points before testing
+     * @returns {Array<Array<[number, number]>>} Remaining pieces
+     */
+    _splitPolylineByZones(polyline, zones, offset) {
+        const [offsetX, offsetY] = offset;
+
+        if (polyline.length < 2) {
+            const [x, y] = polyline[0] || [NaN, NaN];
+            return polyline.length === 1 && !zones.some(zone => ExclusionZonesManager.isPointInZone(x + offsetX, y + offsetY, zone))
+                ? [polyline]
+                : [];
+        }
+
+        const pieces = [];
+        let current = [];
+        let continuesAtEnd = false;
+
+        for (let i = 0; i < polyline.length - 1; i++) {
+            const a = polyline[i];
+            const b = polyline[i + 1];
+
+            // Parameter ranges of this segment inside any zone, merged
+            const inside = zones
+                .flatMap(zone => ExclusionZonesManager._segmentZoneIntervals(a, b, zone, offsetX, offsetY))
+                .filter(interval => interval[1] - interval[0] > EPSILON)
+                .sort((p, q) => p[0] - q[0]);
+
+            const outside = [];
+            let t = 0;
+            for (const [t0, t1] of inside) {
+                if (t0 > t + EPSILON) outside.push([t, t0]);
+                t = Math.max(t, t1);
+            }
+            if (t < 1 - EPSILON) outside.push([t, 1]);
+
+            for (const [t0, t1] of outside) {
+                const start = this._lerp(a, b, t0);
+                const end = this._lerp(a, b, t1);
+
+                if (t0 === 0 && continuesAtEnd) {
+                    current.push(end);
+                } else {
+                    if (current.length > 1) pieces.push(current);
+                    current = [start, end];
+                }
+            }
+
+            continuesAtEnd = outside.length > 0 && outside[outside.length - 1][1] === 1;
+        }
+
+        if (current.length > 1) pieces.push(current);
+        return pieces;
+    }
+
+    /**
+     * Parameter ranges of segment a-b inside a zone (also used by the travel planner)
+     * @private
+     * @returns {Array<[number, number]>} [tEnter, tExit] ranges within 0..1
+     */
+    static _segmentZoneIntervals(a, b, zone, offsetX, offsetY) {
+        const x0 = a[0] + offsetX;
+        const y0 = a[1] + offsetY;
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+
+        if (zone.type === 'circle') {
+            // Solve |p0 + t*d - c|² = r²
+            const fx = x0 - zone.cx;
+            const fy = y0 - zone.cy;
+            const qa = dx * dx + dy * dy;
+            const qb = 2 * (fx * dx + fy * dy);
+            const qc = fx * fx + fy * fy - zone.radius * zone.radius;
+            const discriminant = qb * qb - 4 * qa * qc;
+            if (qa < EPSILON || discriminant <= 0) return [];
+
+            const root = Math.sqrt(discriminant);
+            const tEnter = Math.max(0, (-qb - root) / (2 * qa));
+            const tExit = Math.min(1, (-qb + root) / (2 * qa));
+            return tEnter < tExit ? [[tEnter, tExit]] : [];
+        }
+
+        if (zone.type === 'polygon') {
+            // Split at every edge crossing and keep the pieces whose midpoint is inside
+            const ts = [0, 1];
+            const points = zone.points;
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const [ex, ey] = points[j];
+                const edgeX = points[i][0] - ex;
+                const edgeY = points[i][1] - ey;
+                const denominator = dx * edgeY - dy * edgeX;
+                if (Math.abs(denominator) < EPSILON) continue;
+
+                const t = ((ex - x0) * edgeY - (ey - y0) * edgeX) / denominator;
+                const u = ((ex - x0) * dy - (ey - y0) * dx) / denominator;
+                if (t > 0 && t < 1 && u >= 0 && u <= 1) ts.push(t);
+            }
+            ts.sort((p, q) => p - q);
+
+            const intervals = [];
+            for (let i = 0; i < ts.length - 1; i++) {
+                const mid = (ts[i] + ts[i + 1]) / 2;
+                if (ExclusionZonesManager.isPointInZone(x0 + dx * mid, y0 + dy * mid, zone)) {
+                    intervals.push([ts[i], ts[i + 1]]);
+                }
+            }
+            return intervals;
+        }
+
+        let tEnter = 0;
+        let tExit = 1;
+        const checks = [
+            [-dx, x0 - zone.x],
+            [dx, zone.x + zone.width - x0],
+            [-dy, y0 - zone.y],
+            [dy, zone.y + zone.height - y0]
+        ];
+
+        for (const [p, q] of checks) {
+            if (Math.abs(p) < EPSILON) {
+                if (q < 0) return []; // Parallel and outside
+                continue;
+            }
+            const t = q / p;
+            if (p < 0) {
+                tEnter = Math.max(tEnter, t);
+            } else {
+                tExit = Math.min(tExit, t);
+            }
+        }
+
+        return tEnter <= tExit ? [[tEnter, tExit]] : [];
+    }
+
+    /** @private */
+    _lerp(a, b, t) {
+        return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    }
 
     /**
      * Get all zones
@@ -0,0 +1,231 @@
+// Constants
+const DEFAULT_DIALECT_ID = 'bambu';
+
+/**
+ * @typedef {Object} GCodeDialect
+ * @property {string} id - Dialect identifier stored in presets
+ * @property {string} name - Display name
+ * @property {boolean} zLift - Whether the pen is lifted with the Z axis (travel moves then include Z)
+ * @property {string} penUp - Pen up template
+ * @property {string} penDown - Pen down template
+ * @property {number} defaultDwell - Suggested dwell after pen up/down in ms
+ * @property {string} dwellUnit - Unit of the G4 P parameter ('ms' or 's')
+ * @property {string} progress - Progress template ({progress}, {remaining} minutes), empty when the firmware has no progress reporting
+ * @property {string} header - Default header template
+ * @property {string} footer - Default footer template
+ * @property {string} toolChange - Default tool change template
+ */
+
+/** @type {Object<string, GCodeDialect>} */
+const DIALECTS = {
+    bambu: {
+        id: 'bambu',
+        name: 'Bambu Lab (Z lift)',
+        zLift: true,
+        penUp: 'G0 Z{nozzleUpZ} F{travelFeedRate} ; Pen up (offset adjusted)',
+        penDown: 'G0 Z{nozzleDownZ} F{travelFeedRate} ; Pen down (offset adjusted)',
+        defaultDwell: 0,
+        dwellUnit: 'ms',
+        progress: 'M73 P{progress} R{remaining} ; Progress: {progress}%',
+        header: [
+            '; ========== PlotLab - generated G-code  ==========',
+            '',
+            '; ========== machine: P1S ==========',
+            '',
+            '; ========== startup sequence ==========',
+            '; heating: off',
+            'M106 P1 S0 ; turn off part fan',
+            'M106 P2 S0 ; turn off AUX fan',
+            'M106 P3 S0 ; turn off Chamber fan',
+            '',
+            'G28 ; home all axes',
+            '',
+            '; ========== MANUAL STEP NEEDED NOW ==========',
+            '',
+            'M106 P1 S255 ; turn on part fan',
+            'M400 U1 ; wait for user interaction',
+            'M106 P1 S0 ; turn off part fan',
+            '',
+            '; ATTACH THE PEN ADAPTER NOW AND PRESS CONTINUE',
+            '',
+            '; ========== MANUAL STEP NEEDED NOW ==========',
+            '; coordinates settings',
+            'G90 ; absolute coords',
+            '',
+            '; progress bar',
+            'M73 P0 R{estimatedMinutes} ; set progress bar and estimated minutes',
+            '',
+            'G0 Z{nozzleUpZ} F{travelFeedRate} ; pen up (safe height, nozzle adjusted for pen offset)'
+        ].join('\n'),
+        footer: [
+            '; ========== end sequence ==========',
+            '; progress complete',
+            'M73 P100 R0 ; set progress bar to 100%',
+            '',
+            '; Go to up left corner and end',
+            'G0 X0 Y{bedHeight} Z100',
+            '; FINISHED'
+        ].join('\n'),
+        toolChange: [
+            '; ========== TOOL CHANGE: {pen} ==========',
+            'G0 Z{nozzleUpZ} F{travelFeedRate} ; pen up',
+            'G0 X{parkX} Y{parkY} F{travelFeedRate} ; park for pen change',
+            'M400 ; wait for moves to finish',
+            '',
+            'M106 P1 S255 ; turn on part fan',
+            'M400 U1 ; wait for user interaction',
+            'M106 P1 S0 ; turn off part fan',
+            '',
+            '; INSERT PEN "{pen}" NOW AND PRESS CONTINUE'
+        ].join('\n')
+    },
+    marlin: {
+        id: 'marlin',
+        name: 'Marlin (Z lift)',
+        zLift: true,
+        penUp: 'G0 Z{nozzleUpZ} F{travelFeedRate} ; Pen up (offset adjusted)',
+        penDown: 'G0 Z{nozzleDownZ} F{travelFeedRate} ; Pen down (offset adjusted)',
+        defaultDwell: 0,
+        dwellUnit: 'ms',
+        progress: 'M73 P{progress} R{remaining} ; Progress: {progress}%',
+        header: [
+            '; ========== PlotLab - generated G-code  ==========',
+            '; machine: Marlin',
+            'G21 ; millimeters',
+            'G90 ; absolute coords',
+            'G28 ; home all axes',
+            'M73 P0 R{estimatedMinutes} ; set progress and estimated minutes',
+            'G0 Z{nozzleUpZ} F{travelFeedRate} ; pen up (safe height, nozzle adjusted for pen offset)',
+            'M0 Attach pen and click to continue'
+        ].join('\n'),
+        footer: [
+            '; ========== end sequence ==========',
+            'M73 P100 R0 ; progress complete',
+            'G0 Z{nozzleUpZ} F{travelFeedRate} ; pen up',
+            'G0 X0 Y{bedHeight} ; present the sheet',
+            'M84 ; disable steppers',
+            '; FINISHED'
+        ].join('\n'),
+        toolChange: [
+            '; ========== TOOL CHANGE: {pen} ==========',
+            'G0 Z{nozzleUpZ} F{travelFeedRate} ; pen up',
+            'G0 X{parkX} Y{parkY} F{travelFeedRate} ; park for pen change',
+            'M400 ; wait for moves to finish',
+            'M0 Insert pen {pen} and click to continue'
+        ].join('\n')
+    },
+    klipper: {
+        id: 'klipper',
+        name: 'Klipper (macros)',
+        zLift: false,
+        penUp: 'PEN_UP ; macro',
+        penDown: 'PEN_DOWN ; macro',
+        defaultDwell: 0,
+        dwellUnit: 'ms',
+        progress: 'M73 P{progress} ; Progress: {progress}%',
+        header: [
+            '; ========== PlotLab - generated G-code  ==========',
+            '; machine: Klipper (expects PEN_UP / PEN_DOWN macros)',
+            'G21 ; millimeters',
+            'G90 ; absolute coords',
+            'G28 ; home all axes',
+            'M73 P0 ; clear progress',
+            'PEN_UP ; macro'
+        ].join('\n'),
+        footer: [
+            '; ========== end sequence ==========',
+            'M73 P100 ; progress complete',
+            'PEN_UP ; macro',
+            'G0 X0 Y{bedHeight} F{travelFeedRate} ; present the sheet',
+            'M84 ; disable steppers',
+            '; FINISHED'
+        ].join('\n'),
+        toolChange: [
+            '; ========== TOOL CHANGE: {pen} ==========',
+            'PEN_UP ; macro',
+            'G0 X{parkX} Y{parkY} F{travelFeedRate} ; park for pen change',
+            'M400 ; wait for moves to finish',
+            'M117 Insert pen {pen}',
+            'PAUSE ; resume from the interface to continue'
+        ].join('\n')
+    },
+    grbl: {
+        id: 'grbl',
+        name: 'GRBL (servo)',
+        zLift: false,
+        penUp: 'M5 ; Pen up (servo)',
+        penDown: 'M3 S90 ; Pen down (servo)',
+        defaultDwell: 150,
+        dwellUnit: 's',
+        progress: '',
+        header: [
+            '; ========== PlotLab - generated G-code  ==========',
+            '; machine: GRBL servo plotter',
+            'G21 ; millimeters',
+            'G90 ; absolute coords',
+            'M5 ; pen up'
+        ].join('\n'),
+        footer: [
+            '; ========== end sequence ==========',
+            'M5 ; pen up',
+            'G0 X0 Y0 ; return home',
+            '; FINISHED'
+        ].join('\n'),
+        toolChange: [
+            '; ========== TOOL CHANGE: {pen} ==========',
+            'M5 ; pen up',
+            'G0 X{parkX} Y{parkY} ; park for pen change',
+            '; INSERT PEN "{pen}" AND RESUME',
+            'M0 ; program pause'
+        ].join('\n')
+    }
+};
+
+/**
+ * Registry of G-Code output dialects.
+ * A dialect controls pen up/down commands, dwell, progress reporting
+ * and the default header, footer and tool change templates.
+ * @class
+ */
+export class GCodeDialects {
+    /**
+     * Get dialect by id, falling back to the default dialect
+     * @param {string} id - Dialect identifier
+     * @returns {GCodeDialect} Dialect definition
+     */
+    static getDialect(id) {
+        return DIALECTS[id] || DIALECTS[DEFAULT_DIALECT_ID];
+    }
+
+    /**
+     * Get all available dialects
+     * @returns {Array<GCodeDialect>} Dialect definitions
+     */
+    static getAllDialects() {
+        return Object.values(DIALECTS);
+    }
+
+    /**
+     * Get the default dialect identifier
+     * @returns {string} Dialect identifier
+     */
+    static getDefaultId() {
+        return DEFAULT_DIALECT_ID;
+    }
+
+    /**
+     * Format a dwell command for a dialect
+     * @param {GCodeDialect} dialect - Dialect definition
+     * @param {number} dwellMs - Dwell time in milliseconds
+     * @returns {string} G4 command or empty string when no dwell is needed
+     */
+    static formatDwell(dialect, dwellMs) {
+        if (!Number.isFinite(dwellMs) || dwellMs <= 0) return '';
+
+        // GRBL reads G4 P as seconds, Marlin and Klipper as milliseconds
+        const value = dialect.dwellUnit === 's'
+            ? (dwellMs / 1000).toFixed(3)
+            : Math.round(dwellMs).toString();
+        return `G4 P${value} ; dwell`;
+    }
+}
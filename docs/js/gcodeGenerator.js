@@ -1,3 +1,8 @@
+import { GCodeDialects } from './gcodeDialects.js';
+import { ArcFitter } from './arcFitter.js';
+import { PlotTimeEstimator } from './plotTimeEstimator.js';
+import { TravelPlanner } from './travelPlanner.js';
+
 // Constants
 const DEFAULT_PEN_UP_Z = 0.6;
 const DEFAULT_SHEET_HEIGHT = 0.15;
@@ -5,6 +10,10 @@ const DEFAULT_BED_SIZE = 256;
 const DEFAULT_FEED_RATE = 3000;
 const DEFAULT_TRAVEL_FEED_RATE = 9000;
 const DEFAULT_PEN_OFFSET = [0, 0, 0];
+const DEFAULT_PARK_POSITION = [0, 0];
+const DEFAULT_ARC_TOLERANCE = 0.05;
+const DEFAULT_CLEARANCE_Z = 10;
+const DEFAULT_ZONE_MARGIN = 2;
 
 /**
  * @typedef {Object} Settings
@@ -17,6 +26,26 @@ const DEFAULT_PEN_OFFSET = [0, 0, 0];
  * @property {number} travelFeedRate - Travel feed rate in mm/min
  * @property {string} headerTemplate - Custom header template
  * @property {string} footerTemplate - Custom footer template
+ * @property {Array<number>} parkPosition - [X, Y] position to park at during tool changes
+ * @property {string} toolChangeTemplate - Custom tool change template
+ * @property {string} dialect - Output dialect id (see GCodeDialects)
+ * @property {number} penDwell - Dwell after pen up/down in ms
+ * @property {boolean} arcFitting - Emit G2/G3 arcs for circular runs of points
+ * @property {number} arcTolerance - Maximum arc deviation in mm
+ * @property {number} acceleration - Acceleration in mm/s² (time estimate)
+ * @property {number} junctionDeviation - Junction deviation in mm (time estimate)
+ * @property {number} penLiftTime - Seconds per pen up/down move (time estimate)
+ * @property {number} toolChangeTime - Seconds per pen swap (time estimate)
+ * @property {string} travelAvoidance - 'off', 'route' (travel around zones) or 'raise' (lift to clearanceZ over zones)
+ * @property {Array<{x: number, y: number, width: number, height: number}>} exclusionZones - Enabled zones in bed coordinates
+ * @property {number} clearanceZ - Pen height for travel over zones in mm
+ * @property {number} zoneMargin - Distance kept from zones when routing in mm
+ */
+
+/**
+ * @typedef {Object} PenGroup
+ * @property {string} pen - Pen name used in comments and tool change prompts
+ * @property {Array<Array<[number, number]>>} polylines - Polylines drawn with this pen
  */
 
 /**
@@ -31,6 +60,145 @@ export class GCodeGenerator {
      * @returns {string} Generated G-Code
      */
     static generate(polylines, settings) {
+        return GCodeGenerator.generateMultiPen([{ pen: null, polylines }], settings);
+    }
+
+    /**
+     * Generate G-Code for several pens, drawing each group in one session
+     * and inserting a tool change block between consecutive groups
+     * @param {Array<PenGroup>} penGroups - Polylines grouped per pen, in drawing order
+     * @param {Settings} settings - Generator settings
+     * @returns {string} Generated G-Code
+     * @throws {Error} If a travel move cannot avoid the exclusion zones
+     */
+    static generateMultiPen(penGroups, settings) {
+        const {
+            headerTemplate = '',
+            footerTemplate = '',
+            toolChangeTemplate = '',
+            arcFitting = false,
+            arcTolerance = DEFAULT_ARC_TOLERANCE
+        } = settings;
+
+        const job = GCodeGenerator._planJob(penGroups, settings);
+        const { dialect, context, groups, travels, estimate, travelPlan, offsetX, offsetY } = job;
+
+        let gcode = [];
+
+        const headerText = headerTemplate?.trim().length
+            ? headerTemplate
+            : dialect.header;
+        const footerText = footerTemplate?.trim().length
+            ? footerTemplate
+            : dialect.footer;
+        const toolChangeText = toolChangeTemplate?.trim().length
+            ? toolChangeTemplate
+            : dialect.toolChange;
+        const penUpLines = GCodeGenerator._expandTemplate(dialect.penUp, context).split('\n');
+        const penDownLines = GCodeGenerator._expandTemplate(dialect.penDown, context).split('\n');
+        const dwellLine = GCodeGenerator._expandTemplate(GCodeDialects.formatDwell(dialect, job.penDwell), context);
+
+        gcode.push(...GCodeGenerator._expandTemplate(headerText, context).split('\n'));
+        gcode.push('');
+
+        // Process each polyline, taking the travel moves planned for the estimate in order
+        const totalPolylines = groups.reduce((sum, group) => sum + group.polylines.length, 0);
+        let completedPolylines = 0;
+        let polylineNumber = 0;
+        let travelIndex = 0;
+        
+        const isMultiPen = groups.length > 1;
+        
+        groups.forEach((group, groupIdx) => {
+            if (isMultiPen && group.pen) {
+                // Swap pens between groups, the first pen is attached during the header
+                if (groupIdx > 0) {
+                    // Plan the way to the park position, the template's own park move then stays in place
+                    gcode.push('; travel to park position');
+                    gcode.push(...GCodeGenerator._travelMoves(travels[travelIndex++], travelPlan));
+                    const toolChangeContext = {
+                        ...context,
+                        pen: group.pen,
+                        penIndex: (groupIdx + 1).toString(),
+                        parkX: (job.parkPosition[0] - offsetX).toFixed(3),
+                        parkY: (job.parkPosition[1] - offsetY).toFixed(3)
+                    };
+                    gcode.push(...GCodeGenerator._expandTemplate(toolChangeText, toolChangeContext).split('\n'));
+                    gcode.push('');
+                }
+                gcode.push(`; ========== Pen ${groupIdx + 1}: ${group.pen} ==========`);
+                gcode.push('');
+            }
+            
+            group.polylines.forEach(polyline => {
+                polylineNumber++;
+                gcode.push(`; Polyline ${polylineNumber}`);
+                
+                // Move to start position (pen up)
+                gcode.push(...GCodeGenerator._travelMoves(travels[travelIndex++], travelPlan));
+                
+                // Lower pen
+                gcode.push(...penDownLines);
+                if (dwellLine) gcode.push(dwellLine);
+                
+                // Draw the polyline
+                if (arcFitting) {
+                    gcode.push(...GCodeGenerator._arcMoves(polyline, arcTolerance, offsetX, offsetY, job.feedRate));
+                } else {
+                    for (let i = 1; i < polyline.length; i++) {
+                        const [x, y] = polyline[i];
+                        gcode.push(`G1 X${(x - offsetX).toFixed(3)} Y${(y - offsetY).toFixed(3)} F${job.feedRate}`);
+                    }
+                }
+                
+                // Raise pen
+                gcode.push(...penUpLines);
+                if (dwellLine) gcode.push(dwellLine);
+                
+                // Add progress update (M73)
+                completedPolylines++;
+                if (dialect.progress) {
+                    const progress = Math.round((completedPolylines / totalPolylines) * 100);
+                    const elapsed = estimate.stepEndTimes[travelIndex - 1];
+                    const remaining = Math.ceil(Math.max(0, estimate.totalTime - elapsed) / 60);
+                    gcode.push(GCodeGenerator._expandTemplate(dialect.progress, {
+                        progress: progress.toString(),
+                        remaining: remaining.toString()
+                    }));
+                }
+                
+                gcode.push('');
+            });
+        });
+        
+        // Footer
+        gcode.push(...GCodeGenerator._expandTemplate(footerText, context).split('\n'));
+        gcode.push('');
+        
+        return gcode.join('\n');
+    }
+
+    /**
+     * Estimate the plot time of the G-Code generateMultiPen would produce,
+     * including routed travel, clearance lifts and pen swaps
+     * @param {Array<PenGroup>} penGroups - Polylines grouped per pen, in drawing order
+     * @param {Settings} settings - Generator settings
+     * @returns {import('./plotTimeEstimator.js').TimeEstimate} Time estimate
+     * @throws {Error} If a travel move cannot avoid the exclusion zones
+     */
+    static estimatePlotTime(penGroups, settings) {
+        return GCodeGenerator._planJob(penGroups, settings).estimate;
+    }
+
+    /**
+     * Resolve settings, plan every pen-up travel and estimate the plot time
+     * @private
+     * @param {Array<PenGroup>} penGroups - Polylines grouped per pen, in drawing order
+     * @param {Settings} settings - Generator settings
+     * @returns {Object} Job with dialect, template context, groups, travels (tool change and
+     *   polyline travels in drawing order), estimate, travelPlan and resolved settings
+     */
+    static _planJob(penGroups, settings) {
         const {
             bedWidth = DEFAULT_BED_SIZE,
             bedHeight = DEFAULT_BED_SIZE,
@@ -39,10 +207,21 @@ export class GCodeGenerator {
             penOffset = DEFAULT_PEN_OFFSET,
             feedRate = DEFAULT_FEED_RATE,
             travelFeedRate = DEFAULT_TRAVEL_FEED_RATE,
-            headerTemplate = '',
-            footerTemplate = ''
+            parkPosition = DEFAULT_PARK_POSITION,
+            dialect: dialectId = GCodeDialects.getDefaultId(),
+            penDwell,
+            acceleration,
+            junctionDeviation,
+            penLiftTime,
+            toolChangeTime,
+            travelAvoidance = 'off',
+            exclusionZones = [],
+            clearanceZ = DEFAULT_CLEARANCE_Z,
+            zoneMargin = DEFAULT_ZONE_MARGIN
         } = settings;
 
+        const dialect = GCodeDialects.getDialect(dialectId);
+
         const safePenUpZ = Number.isFinite(penUpZ) ? penUpZ : DEFAULT_PEN_UP_Z;
         const safeSheetHeight = Number.isFinite(sheetHeight) ? sheetHeight : DEFAULT_SHEET_HEIGHT;
         const safeFeedRate = Number.isFinite(feedRate) ? feedRate : DEFAULT_FEED_RATE;
@@ -52,15 +231,74 @@ export class GCodeGenerator {
         const safePenOffset = Array.isArray(penOffset) && penOffset.length === 3
             ? penOffset.map(value => (Number.isFinite(value) ? value : 0))
             : [0, 0, 0];
+        const safeParkPosition = Array.isArray(parkPosition) && parkPosition.length === 2
+            ? parkPosition.map(value => (Number.isFinite(value) ? value : 0))
+            : [...DEFAULT_PARK_POSITION];
+        const safePenDwell = Number.isFinite(penDwell) ? penDwell : dialect.defaultDwell;
+        const safeClearanceZ = Number.isFinite(clearanceZ) ? clearanceZ : DEFAULT_CLEARANCE_Z;
 
-        let gcode = [];
+        const groups = penGroups
+            .map(group => ({
+                pen: group.pen,
+                polylines: (group.polylines || []).filter(pl => pl && pl.length >= 2)
+            }))
+            .filter(group => group.polylines.length > 0);
 
         const [offsetX, offsetY, offsetZ] = safePenOffset;
         const nozzleUpZ = safePenUpZ - offsetZ;
         const nozzleDownZ = safeSheetHeight - offsetZ;
+
+        // Zones are hit when point + pen offset lies inside, as in the export safety check
+        const travelPlan = {
+            mode: travelAvoidance,
+            obstacles: (exclusionZones || []).map(zone => GCodeGenerator._shiftZone(zone, -offsetX, -offsetY)),
+            bounds: { x: -offsetX, y: -offsetY, width: safeBedWidth, height: safeBedHeight },
+            margin: Number.isFinite(zoneMargin) ? zoneMargin : DEFAULT_ZONE_MARGIN,
+            raise: dialect.zLift,
+            clearanceZ: (safeClearanceZ - offsetZ).toFixed(3),
+            nozzleUpZ: nozzleUpZ.toFixed(3),
+            offsetX,
+            offsetY,
+            feedRate: safeTravelFeedRate
+        };
+
+        // Plan the travel moves in drawing order; the headers home the machine, which leaves the nozzle at X0 Y0
+        const travels = [];
+        const steps = [];
+        let position = [offsetX, offsetY];
+        const isMultiPen = groups.length > 1;
+        const lift = Math.max(0, safeClearanceZ - safePenUpZ);
+
+        groups.forEach((group, groupIdx) => {
+            if (isMultiPen && group.pen && groupIdx > 0) {
+                const travel = GCodeGenerator._planTravel(position, safeParkPosition, travelPlan);
+                travels.push(travel);
+                steps.push({ travel: travel.path, clearance: travel.clearance ? lift : 0, toolChange: true });
+                position = safeParkPosition;
+            }
+            group.polylines.forEach(polyline => {
+                const travel = GCodeGenerator._planTravel(position, polyline[0], travelPlan);
+                travels.push(travel);
+                steps.push({ travel: travel.path, clearance: travel.clearance ? lift : 0, polyline });
+                position = polyline[polyline.length - 1];
+            });
+        });
+
+        // Estimate plot time for the header and the M73 remaining minutes
+        const estimate = PlotTimeEstimator.estimateSteps(steps, {
+            feedRate: safeFeedRate,
+            travelFeedRate: safeTravelFeedRate,
+            acceleration,
+            junctionDeviation,
+            penLiftTime,
+            penDwell: safePenDwell,
+            toolChangeTime
+        });
+
         const context = {
             penUpZ: safePenUpZ.toFixed(3),
             nozzleUpZ: nozzleUpZ.toFixed(3),
+            nozzleDownZ: nozzleDownZ.toFixed(3),
             sheetHeight: safeSheetHeight.toFixed(3),
             feedRate: Math.round(safeFeedRate).toString(),
             travelFeedRate: Math.round(safeTravelFeedRate).toString(),
@@ -69,57 +307,174 @@ export class GCodeGenerator {
             offsetZ: offsetZ.toFixed(3),
             bedWidth: safeBedWidth.toFixed(3),
             bedHeight: safeBedHeight.toFixed(3),
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            estimatedMinutes: Math.ceil(estimate.totalTime / 60).toString()
         };
 
-        const headerText = headerTemplate?.trim().length
-            ? headerTemplate
-            : GCodeGenerator._getDefaultHeaderTemplate();
-        const footerText = footerTemplate?.trim().length
-            ? footerTemplate
-            : GCodeGenerator._getDefaultFooterTemplate();
+        return {
+            dialect,
+            context,
+            groups,
+            travels,
+            estimate,
+            travelPlan,
+            offsetX,
+            offsetY,
+            feedRate: safeFeedRate,
+            penDwell: safePenDwell,
+            parkPosition: safeParkPosition
+        };
+    }
 
-        gcode.push(...GCodeGenerator._expandTemplate(headerText, context).split('\n'));
-        gcode.push('');
+    /**
+     * Commands that bring the machine to a safe state after an aborted job:
+     * pen up followed by a move to the park position
+     * @param {Settings} settings - Generator settings
+     * @returns {Array<string>} G-Code lines
+     */
+    static generateAbortSequence(settings) {
+        const {
+            penUpZ = DEFAULT_PEN_UP_Z,
+            penOffset = DEFAULT_PEN_OFFSET,
+            travelFeedRate = DEFAULT_TRAVEL_FEED_RATE,
+            parkPosition = DEFAULT_PARK_POSITION,
+            dialect: dialectId = GCodeDialects.getDefaultId()
+        } = settings;
 
-        // Process each polyline
-        const totalPolylines = polylines.filter(pl => pl && pl.length >= 2).length;
-        let completedPolylines = 0;
-        
-        polylines.forEach((polyline, idx) => {
-            if (!polyline || polyline.length < 2) return;
-            
-            gcode.push(`; Polyline ${idx + 1}`);
-            
-            // Move to start position (pen up)
-            const [startX, startY] = polyline[0];
-            gcode.push(`G0 X${(startX - offsetX).toFixed(3)} Y${(startY - offsetY).toFixed(3)} Z${nozzleUpZ.toFixed(3)} F${safeTravelFeedRate}`);
-            
-            // Lower pen
-            gcode.push(`G0 Z${nozzleDownZ.toFixed(3)} F${safeTravelFeedRate} ; Pen down (offset adjusted)`);
-            
-            // Draw the polyline
-            for (let i = 1; i < polyline.length; i++) {
-                const [x, y] = polyline[i];
-                gcode.push(`G1 X${(x - offsetX).toFixed(3)} Y${(y - offsetY).toFixed(3)} F${safeFeedRate}`);
+        const dialect = GCodeDialects.getDialect(dialectId);
+        const [offsetX, offsetY, offsetZ] = Array.isArray(penOffset) && penOffset.length === 3
+            ? penOffset.map(value => (Number.isFinite(value) ? value : 0))
+            : [0, 0, 0];
+        const [parkX, parkY] = Array.isArray(parkPosition) && parkPosition.length === 2
+            ? parkPosition.map(value => (Number.isFinite(value) ? value : 0))
+            : DEFAULT_PARK_POSITION;
+        const safeTravelFeedRate = Number.isFinite(travelFeedRate) ? travelFeedRate : DEFAULT_TRAVEL_FEED_RATE;
+        const nozzleUpZ = (Number.isFinite(penUpZ) ? penUpZ : DEFAULT_PEN_UP_Z) - offsetZ;
+
+        const context = {
+            nozzleUpZ: nozzleUpZ.toFixed(3),
+            travelFeedRate: Math.round(safeTravelFeedRate).toString()
+        };
+
+        return [
+            ...GCodeGenerator._expandTemplate(dialect.penUp, context).split('\n'),
+            `G0 X${(parkX - offsetX).toFixed(3)} Y${(parkY - offsetY).toFixed(3)} F${Math.round(safeTravelFeedRate)} ; park`
+        ];
+    }
+
+    /**
+     * Plan a pen-up travel, avoiding exclusion zones if enabled
+     * @private
+     * @param {[number, number]} from - Current position
+     * @param {[number, number]} to - Travel target
+     * @param {Object} plan - Travel settings prepared by _planJob
+     * @returns {{path: Array<[number, number]>, clearance: string|null}} Travel path starting at `from`;
+     *   clearance is the comment of the lift over the zones, null when traveling at pen-up height
+     * @throws {Error} If no route avoids the zones and the dialect cannot raise over them
+     */
+    static _planTravel(from, to, plan) {
+        const { mode, obstacles, offsetX, offsetY } = plan;
+
+        if (mode === 'off' || obstacles.length === 0) {
+            return { path: [from, to], clearance: null };
+        }
+
+        // Raising needs a Z axis, servo and macro dialects route around instead
+        if (mode === 'raise' && plan.raise) {
+            return TravelPlanner.crossesObstacle(from, to, obstacles)
+                ? { path: [from, to], clearance: 'clearance over exclusion zone' }
+                : { path: [from, to], clearance: null };
+        }
+
+        const waypoints = TravelPlanner.route(from, to, obstacles, plan.margin, plan.bounds);
+        if (waypoints) {
+            return { path: [from, ...waypoints], clearance: null };
+        }
+
+        // Never travel straight through a zone: go over it when possible, otherwise refuse
+        if (plan.raise) {
+            return { path: [from, to], clearance: 'clearance over exclusion zone, no route around it' };
+        }
+        const point = ([x, y]) => `X${(x - offsetX).toFixed(1)} Y${(y - offsetY).toFixed(1)}`;
+        throw new Error(
+            `No travel route around the exclusion zones from ${point(from)} to ${point(to)}. ` +
+            'Move the zones or the drawing, reduce the zone margin, or use a dialect with a Z axis.'
+        );
+    }
+
+    /**
+     * Build the G-Code of a planned pen-up travel
+     * @private
+     * @param {{path: Array<[number, number]>, clearance: string|null}} travel - Travel from _planTravel
+     * @param {Object} plan - Travel settings prepared by _planJob
+     * @returns {Array<string>} G-Code lines
+     */
+    static _travelMoves(travel, plan) {
+        const { offsetX, offsetY, feedRate } = plan;
+        const travelZ = plan.raise ? ` Z${plan.nozzleUpZ}` : '';
+        const move = ([x, y], z = travelZ) => `G0 X${(x - offsetX).toFixed(3)} Y${(y - offsetY).toFixed(3)}${z} F${feedRate}`;
+
+        if (travel.clearance) {
+            return [
+                `G0 Z${plan.clearanceZ} F${feedRate} ; ${travel.clearance}`,
+                move(travel.path[travel.path.length - 1], ''),
+                `G0 Z${plan.nozzleUpZ} F${feedRate}`
+            ];
+        }
+        return travel.path.slice(1).map(point => move(point));
+    }
+
+    /**
+     * Move an exclusion zone, including its circle center or polygon corners
+     * @private
+     * @param {Object} zone - Exclusion zone
+     * @param {number} dx - X shift in mm
+     * @param {number} dy - Y shift in mm
+     * @returns {Object} Shifted copy of the zone
+     */
+    static _shiftZone(zone, dx, dy) {
+        const shifted = { ...zone, x: zone.x + dx, y: zone.y + dy };
+        if (zone.type === 'circle') {
+            shifted.cx = zone.cx + dx;
+            shifted.cy = zone.cy + dy;
+        } else if (zone.type === 'polygon') {
+            shifted.points = zone.points.map(([x, y]) => [x + dx, y + dy]);
+        }
+        return shifted;
+    }
+
+    /**
+     * Build drawing moves for a polyline, replacing circular runs with G2/G3
+     * @private
+     * @param {Array<[number, number]>} polyline - Polyline points
+     * @param {number} tolerance - Arc fitting tolerance in mm
+     * @param {number} offsetX - Pen X offset
+     * @param {number} offsetY - Pen Y offset
+     * @param {number} feedRate - Drawing feed rate
+     * @returns {Array<string>} G-Code lines
+     */
+    static _arcMoves(polyline, tolerance, offsetX, offsetY, feedRate) {
+        const lines = [];
+        let [prevX, prevY] = polyline[0];
+
+        for (const segment of ArcFitter.fit(polyline, tolerance)) {
+            const [x, y] = segment.end;
+            const target = `X${(x - offsetX).toFixed(3)} Y${(y - offsetY).toFixed(3)}`;
+
+            if (segment.type === 'arc') {
+                // I/J are relative to the arc start, so the pen offset cancels out
+                const i = segment.center[0] - prevX;
+                const j = segment.center[1] - prevY;
+                const command = segment.clockwise ? 'G2' : 'G3';
+                lines.push(`${command} ${target} I${i.toFixed(3)} J${j.toFixed(3)} F${feedRate}`);
+            } else {
+                lines.push(`G1 ${target} F${feedRate}`);
             }
-            
-            // Raise pen
-            gcode.push(`G0 Z${nozzleUpZ.toFixed(3)} F${safeTravelFeedRate} ; Pen up (offset adjusted)`);
-            
-            // Add progress update (M73)
-            completedPolylines++;
-            const progress = Math.round((completedPolylines / totalPolylines) * 100);
-            gcode.push(`M73 P${progress} R0 ; Progress: ${progress}%`);
-            
-            gcode.push('');
-        });
-        
-        // Footer
-        gcode.push(...GCodeGenerator._expandTemplate(footerText, context).split('\n'));
-        gcode.push('');
-        
-        return gcode.join('\n');
+
+            [prevX, prevY] = segment.end;
+        }
+
+        return lines;
     }
 
     /**
@@ -137,59 +492,4 @@ export class GCodeGenerator {
             return match;
         });
     }
-
-    /**
-     * Get default header template
-     * @private
-     * @returns {string} Default header G-Code template
-     */
-    static _getDefaultHeaderTemplate() {
-        return [
-            '; ========== PlotLab - generated G-code  ==========',
-            '',
-            '; ========== machine: P1S ==========',
-            '',
-            '; ========== startup sequence ==========',
-            '; heating: off',
-            'M106 P1 S0 ; turn off part fan',
-            'M106 P2 S0 ; turn off AUX fan',
-            'M106 P3 S0 ; turn off Chamber fan',
-            '',
-            'G28 ; home all axes',
-            '',
-            '; ========== MANUAL STEP NEEDED NOW ==========',
-            '',
-            'M106 P1 S255 ; turn on part fan',
-            'M400 U1 ; wait for user interaction',
-            'M106 P1 S0 ; turn off part fan',
-            '',
-            '; ATTACH THE PEN ADAPTER NOW AND PRESS CONTINUE',
-            '',
-            '; ========== MANUAL STEP NEEDED NOW ==========',
-            '; coordinates settings',
-            'G90 ; absolute coords',
-            '',
-            '; progress bar',
-            'M73 P0 R0 ; clear progress bar',
-            '',
-            'G0 Z{nozzleUpZ} F{travelFeedRate} ; pen up (safe height, nozzle adjusted for pen offset)'
-        ].join('\n');
-    }
-
-    /**
-     * Get default footer template
-     * @private
-     * @returns {string} Default footer G-Code template
-     */
-    static _getDefaultFooterTemplate() {
-        return [
-            '; ========== end sequence ==========',
-            '; progress complete',
-            'M73 P100 R0 ; set progress bar to 100%',
-            '',
-            '; Go to up left corner and end',
-            'G0 X0 Y{bedHeight} Z100',
-            '; FINISHED'
-        ].join('\n');
-    }
 }
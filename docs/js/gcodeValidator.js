@@ -1,3 +1,8 @@
+import { ToolpathSimulator } from './toolpathSimulator.js';
+
+// Constants
+const ARC_RADIUS_TOLERANCE = 0.05;
+
 /**
  * Validates G-Code for common errors and issues
  * @class
@@ -37,9 +42,9 @@ export class GCodeValidator {
             // Skip comments and empty lines
             if (line.startsWith(';') || line === '') continue;
 
-            // Extract command (before comment)
+            // Extract command (before comment), written without leading zeros (G01 -> G1, M05 -> M5)
             const [command] = line.split(';');
-            const trimmedCommand = command.trim();
+            const trimmedCommand = command.trim().replace(/\b([GM])0+(\d)/gi, '$1$2');
 
             // Check for home command
             if (/\bG28\b/i.test(trimmedCommand)) {
@@ -58,13 +63,51 @@ export class GCodeValidator {
             }
 
             // Extract movement commands
-            if (/\b(G0|G1)\b/i.test(trimmedCommand)) {
+            if (/\b(G0|G1|G2|G3)\b/i.test(trimmedCommand)) {
                 // Extract coordinates
                 const xMatch = trimmedCommand.match(/X([-+]?\d+\.?\d*)/i);
                 const yMatch = trimmedCommand.match(/Y([-+]?\d+\.?\d*)/i);
                 const zMatch = trimmedCommand.match(/Z([-+]?\d+\.?\d*)/i);
                 const fMatch = trimmedCommand.match(/F(\d+\.?\d*)/i);
 
+                // Arcs: check the I/J or R center and that the arc stays on the bed
+                const arcMatch = trimmedCommand.match(/\b(G2|G3)\b/i);
+                if (arcMatch && inAbsoluteMode !== false) {
+                    const iMatch = trimmedCommand.match(/I([-+]?\d+\.?\d*)/i);
+                    const jMatch = trimmedCommand.match(/J([-+]?\d+\.?\d*)/i);
+                    const rMatch = trimmedCommand.match(/R([-+]?\d+\.?\d*)/i);
+                    const endX = xMatch ? parseFloat(xMatch[1]) : currentX;
+                    const endY = yMatch ? parseFloat(yMatch[1]) : currentY;
+                    const clockwise = arcMatch[1].toUpperCase() === 'G2';
+                    const chord = Math.hypot(endX - currentX, endY - currentY);
+                    const center = ToolpathSimulator._getArcCenter([currentX, currentY], [endX, endY], {
+                        I: iMatch ? parseFloat(iMatch[1]) : undefined,
+                        J: jMatch ? parseFloat(jMatch[1]) : undefined,
+                        R: rMatch ? parseFloat(rMatch[1]) : undefined
+                    }, clockwise);
+
+                    if (!iMatch && !jMatch && !rMatch) {
+                        errors.push(`Line ${lineNum}: Arc ${arcMatch[1].toUpperCase()} without I/J center offset or R radius`);
+                    } else if (!center) {
+                        errors.push(`Line ${lineNum}: Arc ${arcMatch[1].toUpperCase()} with R needs an end point different from the start`);
+                    } else if (!iMatch && !jMatch && Math.abs(parseFloat(rMatch[1])) < chord / 2 - ARC_RADIUS_TOLERANCE) {
+                        errors.push(`Line ${lineNum}: Arc radius R${Math.abs(parseFloat(rMatch[1]))} is smaller than half the distance to the end point (${(chord / 2).toFixed(3)}mm)`);
+                    } else {
+                        const [centerX, centerY] = center;
+                        const startRadius = Math.hypot(currentX - centerX, currentY - centerY);
+                        const endRadius = Math.hypot(endX - centerX, endY - centerY);
+
+                        if (Math.abs(startRadius - endRadius) > ARC_RADIUS_TOLERANCE) {
+                            errors.push(`Line ${lineNum}: Arc radius mismatch (start ${startRadius.toFixed(3)}mm, end ${endRadius.toFixed(3)}mm)`);
+                        }
+
+                        const extents = this._getArcExtents(currentX, currentY, endX, endY, centerX, centerY, clockwise);
+                        if (extents.minX < 0 || extents.minY < 0 || extents.maxX > bedWidth || extents.maxY > bedHeight) {
+                            errors.push(`Line ${lineNum}: Arc leaves the bed (${extents.minX.toFixed(2)}..${extents.maxX.toFixed(2)} × ${extents.minY.toFixed(2)}..${extents.maxY.toFixed(2)}mm)`);
+                        }
+                    }
+                }
+
                 // Update current position (simplified, assumes absolute mode)
                 if (inAbsoluteMode !== false) {
                     if (xMatch) currentX = parseFloat(xMatch[1]);
@@ -118,9 +161,9 @@ export class GCodeValidator {
             if (commandMatch) {
                 const cmd = commandMatch[1].toUpperCase();
                 const knownCommands = [
-                    'G0', 'G1', 'G2', 'G3', 'G4', 'G28', 'G90', 'G91', 'G92',
-                    'M0', 'M1', 'M73', 'M82', 'M83', 'M104', 'M106', 'M107', 'M109', 
-                    'M140', 'M190', 'M400', 'M84'
+                    'G0', 'G1', 'G2', 'G3', 'G4', 'G21', 'G28', 'G90', 'G91', 'G92',
+                    'M0', 'M1', 'M3', 'M5', 'M73', 'M82', 'M83', 'M104', 'M106', 'M107', 'M109', 
+                    'M117', 'M140', 'M190', 'M400', 'M84'
                 ];
                 
                 if (!knownCommands.includes(cmd)) {
@@ -146,6 +189,53 @@ export class GCodeValidator {
         };
     }
 
+    /**
+     * Compute the bounding box of an arc
+     * @private
+     * @param {number} startX - Arc start X
+     * @param {number} startY - Arc start Y
+     * @param {number} endX - Arc end X
+     * @param {number} endY - Arc end Y
+     * @param {number} centerX - Arc center X
+     * @param {number} centerY - Arc center Y
+     * @param {boolean} clockwise - True for G2
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Arc bounds
+     */
+    static _getArcExtents(startX, startY, endX, endY, centerX, centerY, clockwise) {
+        const radius = Math.hypot(startX - centerX, startY - centerY);
+        const startAngle = Math.atan2(startY - centerY, startX - centerX);
+        const endAngle = Math.atan2(endY - centerY, endX - centerX);
+
+        // Counter-clockwise sweep from start to end (full circle when they coincide)
+        let sweep = clockwise ? startAngle - endAngle : endAngle - startAngle;
+        sweep = ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        if (sweep === 0) sweep = 2 * Math.PI;
+
+        const bounds = {
+            minX: Math.min(startX, endX),
+            minY: Math.min(startY, endY),
+            maxX: Math.max(startX, endX),
+            maxY: Math.max(startY, endY)
+        };
+
+        // Include every axis extreme the arc passes through
+        for (let k = 0; k < 4; k++) {
+            const angle = k * Math.PI / 2;
+            let delta = clockwise ? startAngle - angle : angle - startAngle;
+            delta = ((delta % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+            if (delta <= sweep) {
+                const x = centerX + radius * Math.cos(angle);
+                const y = centerY + radius * Math.sin(angle);
+                bounds.minX = Math.min(bounds.minX, x);
+                bounds.minY = Math.min(bounds.minY, y);
+                bounds.maxX = Math.max(bounds.maxX, x);
+                bounds.maxY = Math.max(bounds.maxY, y);
+            }
+        }
+
+        return bounds;
+    }
+
     /**
      * Generate validation summary
      * @private
@@ -0,0 +1,450 @@
+// Constants
+const DEFAULT_SPACING = 2;
+const DEFAULT_ANGLE = 45;
+const DEFAULT_PATTERN = 'parallel';
+const MIN_SPACING = 0.05;
+const CONCENTRIC_CELLS_PER_SPACING = 4;
+const CONCENTRIC_MAX_GRID_SIZE = 1200;
+const EPSILON = 1e-9;
+
+/**
+ * @typedef {Object} FillShape
+ * @property {Array<Array<[number, number]>>} rings - Closed rings (outer contours and holes)
+ * @property {string} fillRule - SVG fill rule ('nonzero' or 'evenodd')
+ */
+
+/**
+ * @typedef {Object} HatchSettings
+ * @property {number} spacing - Distance between hatch lines in mm
+ * @property {number} angle - Hatch angle in degrees
+ * @property {string} pattern - 'parallel', 'cross' or 'concentric'
+ */
+
+/**
+ * Generates fill hatching for closed shapes
+ * @class
+ */
+export class HatchGenerator {
+    /**
+     * Generate hatch polylines for a list of filled shapes
+     * @param {Array<FillShape>} fills - Filled shapes in bed coordinates (mm)
+     * @param {HatchSettings} settings - Hatch settings
+     * @returns {Array<Array<[number, number]>>} Hatch polylines
+     */
+    static generate(fills, settings = {}) {
+        if (!fills || fills.length === 0) return [];
+
+        const spacing = Math.max(MIN_SPACING, Number.isFinite(settings.spacing) ? settings.spacing : DEFAULT_SPACING);
+        const angle = Number.isFinite(settings.angle) ? settings.angle : DEFAULT_ANGLE;
+        const pattern = settings.pattern || DEFAULT_PATTERN;
+
+        const result = [];
+        for (const fill of fills) {
+            const rings = (fill.rings || []).filter(ring => ring && ring.length >= 3);
+            if (rings.length === 0) continue;
+            const fillRule = fill.fillRule === 'evenodd' ? 'evenodd' : 'nonzero';
+
+            switch (pattern) {
+                case 'cross':
+                    result.push(...this._parallelHatch(rings, fillRule, spacing, angle));
+                    result.push(...this._parallelHatch(rings, fillRule, spacing, angle + 90));
+                    break;
+                case 'concentric':
+                    result.push(...this._concentricHatch(rings, fillRule, spacing));
+                    break;
+                default:
+                    result.push(...this._parallelHatch(rings, fillRule, spacing, angle));
+            }
+        }
+
+        return result;
+    }
+
+    // ========================================
+    // PARALLEL HATCHING
+    // ========================================
+
+    /**
+     * Clip parallel scanlines against the rings of one shape
+     * @private
+     * @param {Array<Array<[number, number]>>} rings - Shape rings
+     * @param {string} fillRule - 'nonzero' or 'evenodd'
+     * @param {number} spacing - Line spacing in mm
+     * @param {number} angleDeg - Line angle in degrees
+     * @returns {Array<Array<[number, number]>>} Hatch segments
+     */
+    static _parallelHatch(rings, fillRule, spacing, angleDeg) {
+        const rad = (angleDeg * Math.PI) / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+
+        // Rotate shape by -angle so hatch lines become horizontal scanlines
+        const rotated = rings.map(ring => ring.map(([x, y]) => [x * cos + y * sin, -x * sin + y * cos]));
+        const edges = this._collectEdges(rotated);
+        if (edges.length === 0) return [];
+
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (const edge of edges) {
+            minY = Math.min(minY, edge.y1, edge.y2);
+            maxY = Math.max(maxY, edge.y1, edge.y2);
+        }
+
+        const segments = [];
+        let reverse = false;
+
+        for (let y = minY + spacing / 2; y < maxY; y += spacing) {
+            const spans = this._scanlineSpans(edges, y, fillRule);
+            if (spans.length === 0) continue;
+
+            // Alternate direction per scanline to keep travel moves short
+            const ordered = reverse ? spans.reverse().map(([a, b]) => [b, a]) : spans;
+            for (const [xStart, xEnd] of ordered) {
+                segments.push([
+                    [xStart * cos - y * sin, xStart * sin + y * cos],
+                    [xEnd * cos - y * sin, xEnd * sin + y * cos]
+                ]);
+            }
+            reverse = !reverse;
+        }
+
+        return segments;
+    }
+
+    /**
+     * Build edge list with winding direction from rings
+     * @private
+     * @param {Array<Array<[number, number]>>} rings - Rings (implicitly closed)
+     * @returns {Array<{x1: number, y1: number, x2: number, y2: number, winding: number}>} Edges
+     */
+    static _collectEdges(rings) {
+        const edges = [];
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length; i++) {
+                const [x1, y1] = ring[i];
+                const [x2, y2] = ring[(i + 1) % ring.length];
+                if (Math.abs(y2 - y1) < EPSILON) continue; // Horizontal edges never cross a scanline
+                edges.push({ x1, y1, x2, y2, winding: y2 > y1 ? 1 : -1 });
+            }
+        }
+        return edges;
+    }
+
+    /**
+     * Compute inside spans of a horizontal scanline
+     * @private
+     * @param {Array<Object>} edges - Edge list
+     * @param {number} y - Scanline Y coordinate
+     * @param {string} fillRule - 'nonzero' or 'evenodd'
+     * @returns {Array<[number, number]>} Spans as [xStart, xEnd]
+     */
+    static _scanlineSpans(edges, y, fillRule) {
+        const crossings = [];
+        for (const edge of edges) {
+            const { x1, y1, x2, y2, winding } = edge;
+            // Half-open interval avoids counting shared vertices twice
+            if ((y1 <= y && y < y2) || (y2 <= y && y < y1)) {
+                const t = (y - y1) / (y2 - y1);
+                crossings.push({ x: x1 + t * (x2 - x1), winding });
+            }
+        }
+        if (crossings.length < 2) return [];
+
+        crossings.sort((a, b) => a.x - b.x);
+
+        const spans = [];
+        let count = 0;
+        let spanStart = null;
+        for (const crossing of crossings) {
+            const wasInside = fillRule === 'evenodd' ? (count % 2 !== 0) : count !== 0;
+            count += fillRule === 'evenodd' ? 1 : crossing.winding;
+            const isInside = fillRule === 'evenodd' ? (count % 2 !== 0) : count !== 0;
+
+            if (!wasInside && isInside) {
+                spanStart = crossing.x;
+            } else if (wasInside && !isInside && spanStart !== null) {
+                if (crossing.x - spanStart > EPSILON) {
+                    spans.push([spanStart, crossing.x]);
+                }
+                spanStart = null;
+            }
+        }
+
+        return spans;
+    }
+
+    // ========================================
+    // CONCENTRIC HATCHING
+    // ========================================
+
+    /**
+     * Generate inward offset contours using a distance field of the shape
+     * @private
+     * @param {Array<Array<[number, number]>>} rings - Shape rings
+     * @param {string} fillRule - 'nonzero' or 'evenodd'
+     * @param {number} spacing - Contour spacing in mm
+     * @returns {Array<Array<[number, number]>>} Contour polylines
+     */
+    static _concentricHatch(rings, fillRule, spacing) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const ring of rings) {
+            for (const [x, y] of ring) {
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+            }
+        }
+        if (!Number.isFinite(minX) || maxX - minX < EPSILON || maxY - minY < EPSILON) return [];
+
+        // Grid resolution, limited to keep memory bounded for large shapes
+        let cell = spacing / CONCENTRIC_CELLS_PER_SPACING;
+        const largest = Math.max(maxX - minX, maxY - minY);
+        if (largest / cell > CONCENTRIC_MAX_GRID_SIZE) {
+            cell = largest / CONCENTRIC_MAX_GRID_SIZE;
+        }
+
+        // One cell of padding on every side keeps contours closed
+        const originX = minX - cell;
+        const originY = minY - cell;
+        const cols = Math.ceil((maxX - minX) / cell) + 3;
+        const rows = Math.ceil((maxY - minY) / cell) + 3;
+
+        const inside = this._rasterize(rings, fillRule, originX, originY, cell, cols, rows);
+        const distance = this._distanceField(inside, cols, rows);
+
+        // Distances are measured between cell centers, so the shape edge lies half a cell
+        // outside the first inside cell
+        const contours = [];
+        for (let level = spacing / 2; ; level += spacing) {
+            const levelInCells = level / cell + 0.5;
+            let found = false;
+            for (let i = 0; i < distance.length; i++) {
+                if (distance[i] > levelInCells) {
+                    found = true;
+                    break;
+                }
+            }
+            if (!found) break;
+
+            const lines = this._marchingSquares(distance, cols, rows, levelInCells);
+            for (const line of lines) {
+                const contour = this._removeDuplicatePoints(
+                    line.map(([gx, gy]) => [originX + (gx + 0.5) * cell, originY + (gy + 0.5) * cell])
+                );
+                if (contour.length >= 2) contours.push(contour);
+            }
+        }
+
+        return contours;
+    }
+
+    /**
+     * Rasterize shape into an inside/outside grid sampled at cell centers
+     * @private
+     * @returns {Uint8Array} 1 for inside cells, 0 otherwise
+     */
+    static _rasterize(rings, fillRule, originX, originY, cell, cols, rows) {
+        const inside = new Uint8Array(cols * rows);
+        const edges = this._collectEdges(rings);
+
+        for (let row = 0; row < rows; row++) {
+            const y = originY + (row + 0.5) * cell;
+            const spans = this._scanlineSpans(edges, y, fillRule);
+            for (const [xStart, xEnd] of spans) {
+                const colStart = Math.max(0, Math.ceil((xStart - originX) / cell - 0.5));
+                const colEnd = Math.min(cols - 1, Math.floor((xEnd - originX) / cell - 0.5));
+                for (let col = colStart; col <= colEnd; col++) {
+                    inside[row * cols + col] = 1;
+                }
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Euclidean distance (in cells) from every inside cell to the nearest outside cell
+     * Uses the separable Felzenszwalb-Huttenlocher transform.
+     * @private
+     * @param {Uint8Array} inside - Inside grid
+     * @param {number} cols - Grid columns
+     * @param {number} rows - Grid rows
+     * @returns {Float64Array} Distance field (0 outside)
+     */
+    static _distanceField(inside, cols, rows) {
+        const INF = 1e20;
+        const grid = new Float64Array(cols * rows);
+        for (let i = 0; i < grid.length; i++) {
+            grid[i] = inside[i] ? INF : 0;
+        }
+
+        const size = Math.max(cols, rows);
+        const f = new Float64Array(size);
+        const d = new Float64Array(size);
+        const v = new Int32Array(size);
+        const z = new Float64Array(size + 1);
+
+        // Columns
+        for (let col = 0; col < cols; col++) {
+            for (let row = 0; row < rows; row++) f[row] = grid[row * cols + col];
+            this._distance1D(f, rows, d, v, z);
+            for (let row = 0; row < rows; row++) grid[row * cols + col] = d[row];
+        }
+
+        // Rows
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) f[col] = grid[row * cols + col];
+            this._distance1D(f, cols, d, v, z);
+            for (let col = 0; col < cols; col++) grid[row * cols + col] = Math.sqrt(d[col]);
+        }
+
+        return grid;
+    }
+
+    /**
+     * One-dimensional squared distance transform (lower envelope of parabolas)
+     * @private
+     */
+    static _distance1D(f, n, d, v, z) {
+        let k = 0;
+        v[0] = 0;
+        z[0] = -Infinity;
+        z[1] = Infinity;
+
+        for (let q = 1; q < n; q++) {
+            let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+            while (s <= z[k]) {
+                k--;
+                s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+            }
+            k++;
+            v[k] = q;
+            z[k] = s;
+            z[k + 1] = Infinity;
+        }
+
+        k = 0;
+        for (let q = 0; q < n; q++) {
+            while (z[k + 1] < q) k++;
+            d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+        }
+    }
+
+    /**
+     * Extract iso-lines of a scalar field and chain them into polylines
+     * @private
+     * @param {Float64Array} field - Scalar field
+     * @param {number} cols - Grid columns
+     * @param {number} rows - Grid rows
+     * @param {number} level - Iso level
+     * @returns {Array<Array<[number, number]>>} Polylines in grid coordinates
+     */
+    static _marchingSquares(field, cols, rows, level) {
+        const segments = [];
+        const value = (col, row) => field[row * cols + col];
+        const lerp = (a, b) => (level - a) / (b - a);
+
+        for (let row = 0; row < rows - 1; row++) {
+            for (let col = 0; col < cols - 1; col++) {
+                const v0 = value(col, row);
+                const v1 = value(col + 1, row);
+                const v2 = value(col + 1, row + 1);
+                const v3 = value(col, row + 1);
+
+                const index = (v0 > level ? 1 : 0) | (v1 > level ? 2 : 0) |
+                              (v2 > level ? 4 : 0) | (v3 > level ? 8 : 0);
+                if (index === 0 || index === 15) continue;
+
+                // Edge crossing points (top, right, bottom, left)
+                const top = [col + lerp(v0, v1), row];
+                const right = [col + 1, row + lerp(v1, v2)];
+                const bottom = [col + lerp(v3, v2), row + 1];
+                const left = [col, row + lerp(v0, v3)];
+
+                switch (index) {
+                    case 1: case 14: segments.push([left, top]); break;
+                    case 2: case 13: segments.push([top, right]); break;
+                    case 3: case 12: segments.push([left, right]); break;
+                    case 4: case 11: segments.push([right, bottom]); break;
+                    case 6: case 9: segments.push([top, bottom]); break;
+                    case 7: case 8: segments.push([left, bottom]); break;
+                    case 5:
+                        segments.push([left, top]);
+                        segments.push([right, bottom]);
+                        break;
+                    case 10:
+                        segments.push([top, right]);
+                        segments.push([left, bottom]);
+                        break;
+                }
+            }
+        }
+
+        return this._chainSegments(segments);
+    }
+
+    /**
+     * Drop consecutive points closer than EPSILON (iso-lines through grid corners repeat them)
+     * @private
+     * @param {Array<[number, number]>} polyline - Polyline
+     * @returns {Array<[number, number]>} Polyline without repeated points
+     */
+    static _removeDuplicatePoints(polyline) {
+        const result = [];
+        for (const point of polyline) {
+            const last = result[result.length - 1];
+            if (!last || Math.hypot(point[0] - last[0], point[1] - last[1]) > EPSILON) {
+                result.push(point);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Join segments that share endpoints into continuous polylines
+     * @private
+     * @param {Array<[[number, number], [number, number]]>} segments - Line segments
+     * @returns {Array<Array<[number, number]>>} Polylines
+     */
+    static _chainSegments(segments) {
+        const key = ([x, y]) => `${x.toFixed(6)},${y.toFixed(6)}`;
+        const byPoint = new Map();
+        segments.forEach((segment, index) => {
+            for (const point of segment) {
+                const k = key(point);
+                if (!byPoint.has(k)) byPoint.set(k, []);
+                byPoint.get(k).push(index);
+            }
+        });
+
+        const used = new Uint8Array(segments.length);
+        const polylines = [];
+
+        const extend = (polyline) => {
+            for (;;) {
+                const tail = polyline[polyline.length - 1];
+                const candidates = byPoint.get(key(tail)) || [];
+                const next = candidates.find(index => !used[index]);
+                if (next === undefined) return;
+                used[next] = 1;
+                const [a, b] = segments[next];
+                polyline.push(key(a) === key(tail) ? b : a);
+            }
+        };
+
+        for (let i = 0; i < segments.length; i++) {
+            if (used[i]) continue;
+            used[i] = 1;
+            const polyline = [...segments[i]];
+            extend(polyline);
+            polyline.reverse();
+            extend(polyline);
+            if (polyline.length >= 2) {
+                polylines.push(polyline);
+            }
+        }
+
+        return polylines;
+    }
+}
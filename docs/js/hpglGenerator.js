@@ -0,0 +1,138 @@
+// Constants
+const UNITS_PER_MM = 40;
+const DEFAULT_BED_SIZE = 256;
+const DEFAULT_ORIGIN = 'lower-left';
+const DEFAULT_ROTATION = 0;
+const MAX_PEN_NUMBER = 8;
+const POINTS_PER_COMMAND = 64;
+
+/**
+ * @typedef {Object} HPGLSettings
+ * @property {number} bedWidth - Bed width in mm
+ * @property {number} bedHeight - Bed height in mm
+ * @property {string} origin - Plotter origin: 'lower-left' or 'center'
+ * @property {number} rotation - Plot rotation in degrees (0, 90, 180 or 270)
+ * @property {Object<string, number>} penNumbers - Fixed carousel slot (1-8) per pen, so a pen keeps its slot across drawings
+ */
+
+/**
+ * HPGL generator for vintage pen plotters (HP 7475A, Roland DXY, ...)
+ * @class
+ */
+export class HPGLGenerator {
+    /**
+     * Generate HPGL from polylines grouped per pen
+     * @param {Array<{pen: string, polylines: Array<Array<[number, number]>>}>} penGroups - Polylines per pen, in drawing order
+     * @param {HPGLSettings} settings - Generator settings
+     * @returns {string} Generated HPGL
+     */
+    static generate(penGroups, settings = {}) {
+        const {
+            bedWidth = DEFAULT_BED_SIZE,
+            bedHeight = DEFAULT_BED_SIZE,
+            origin = DEFAULT_ORIGIN,
+            rotation = DEFAULT_ROTATION,
+            penNumbers = {}
+        } = settings;
+
+        const safeBedWidth = Number.isFinite(bedWidth) ? bedWidth : DEFAULT_BED_SIZE;
+        const safeBedHeight = Number.isFinite(bedHeight) ? bedHeight : DEFAULT_BED_SIZE;
+        const transform = HPGLGenerator._createTransform(safeBedWidth, safeBedHeight, origin, rotation);
+
+        const hpgl = ['IN;'];
+        const getPenNumber = HPGLGenerator._createPenNumbering(penGroups, penNumbers);
+
+        penGroups.forEach(group => {
+            const polylines = (group.polylines || []).filter(pl => pl && pl.length >= 2);
+            if (polylines.length === 0) return;
+
+            hpgl.push(`SP${getPenNumber(group.pen)};`);
+
+            for (const polyline of polylines) {
+                const points = polyline.map(([x, y]) => transform(x, y));
+                const [startX, startY] = points[0];
+                hpgl.push(`PU${startX},${startY};`);
+
+                // Split long polylines to stay within plotter buffer limits
+                for (let i = 1; i < points.length; i += POINTS_PER_COMMAND) {
+                    const chunk = points.slice(i, i + POINTS_PER_COMMAND);
+                    hpgl.push(`PD${chunk.map(([x, y]) => `${x},${y}`).join(',')};`);
+                }
+            }
+
+            hpgl.push('PU;');
+        });
+
+        hpgl.push('SP0;');
+        hpgl.push('');
+
+        return hpgl.join('\n');
+    }
+
+    /**
+     * Assign carousel slots: pens with a fixed slot keep it, other pens (e.g. colors from
+     * color-layered imports) take the free slots in drawing order
+     * @private
+     * @param {Array<{pen: string}>} penGroups - Pen groups in drawing order
+     * @param {Object<string, number>} penNumbers - Fixed slot per pen
+     * @returns {function(string): number} Slot number (1-8) of a pen
+     */
+    static _createPenNumbering(penGroups, penNumbers) {
+        const isSlot = number => Number.isInteger(number) && number >= 1 && number <= MAX_PEN_NUMBER;
+        const usedSlots = new Set(penGroups.map(group => penNumbers[group.pen]).filter(isSlot));
+        const assigned = new Map();
+        let nextSlot = 1;
+
+        return (pen) => {
+            if (isSlot(penNumbers[pen])) return penNumbers[pen];
+            if (!assigned.has(pen)) {
+                // Carousel plotters only hold a limited number of pens, share slots once all are taken
+                while (usedSlots.has(nextSlot) && usedSlots.size < MAX_PEN_NUMBER) nextSlot++;
+                const slot = ((nextSlot - 1) % MAX_PEN_NUMBER) + 1;
+                usedSlots.add(slot);
+                assigned.set(pen, slot);
+                nextSlot++;
+            }
+            return assigned.get(pen);
+        };
+    }
+
+    /**
+     * Create a transform from bed millimeters to plotter units
+     * @private
+     * @param {number} bedWidth - Bed width in mm
+     * @param {number} bedHeight - Bed height in mm
+     * @param {string} origin - 'lower-left' or 'center'
+     * @param {number} rotation - Rotation in degrees (multiple of 90)
+     * @returns {function(number, number): [number, number]} Point transform
+     */
+    static _createTransform(bedWidth, bedHeight, origin, rotation) {
+        const quarterTurns = ((Math.round((Number(rotation) || 0) / 90) % 4) + 4) % 4;
+        const rotatedWidth = quarterTurns % 2 === 0 ? bedWidth : bedHeight;
+        const rotatedHeight = quarterTurns % 2 === 0 ? bedHeight : bedWidth;
+        const [originX, originY] = origin === 'center'
+            ? [rotatedWidth / 2, rotatedHeight / 2]
+            : [0, 0];
+
+        return (x, y) => {
+            // Rotate counter-clockwise around the bed, keeping it in the positive quadrant
+            let rx = x;
+            let ry = y;
+            if (quarterTurns === 1) {
+                rx = bedHeight - y;
+                ry = x;
+            } else if (quarterTurns === 2) {
+                rx = bedWidth - x;
+                ry = bedHeight - y;
+            } else if (quarterTurns === 3) {
+                rx = y;
+                ry = bedWidth - x;
+            }
+
+            return [
+                Math.round((rx - originX) * UNITS_PER_MM),
+                Math.round((ry - originY) * UNITS_PER_MM)
+            ];
+        };
+    }
+}
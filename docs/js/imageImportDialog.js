@@ -23,11 +23,21 @@ export class ImageImportDialog {
         this.previewCanvas = null;
         this.previewCtx = null;
         this.svgString = null;
+        this.layers = null;
         
         // Conversion parameters
+        this.mode = 'threshold';
         this.threshold = 128;
         this.simplify = 1;
         this.invert = false;
+        this.numberOfColors = 4;
+        this.skipBackground = true;
+        this.dotCount = 4000;
+        this.linkPath = false;
+        this.lineSpacing = 6;
+        this.hatchLayers = 3;
+        this.hatchAngle = 45;
+        this.waveFrequency = 1.5;
         
         // UI elements
         this.backdrop = null;
@@ -37,6 +47,21 @@ export class ImageImportDialog {
         this.simplifySlider = null;
         this.simplifyValue = null;
         this.invertCheckbox = null;
+        this.modeSelect = null;
+        this.colorsSlider = null;
+        this.colorsValue = null;
+        this.skipBackgroundCheckbox = null;
+        this.dotCountSlider = null;
+        this.dotCountValue = null;
+        this.linkPathCheckbox = null;
+        this.thresholdGroup = null;
+        this.invertGroup = null;
+        this.colorsGroup = null;
+        this.skipBackgroundGroup = null;
+        this.simplifyGroup = null;
+        this.dotCountGroup = null;
+        this.linkPathGroup = null;
+        this.shadingControls = null;
         
         // Debounce timer
         this.updateTimer = null;
@@ -46,8 +71,9 @@ export class ImageImportDialog {
     }
 
     /**
-     * Shows the dialog and returns a promise that resolves with SVG string or null
-     * @returns {Promise<string|null>} SVG string if imported, null if cancelled
+     * Shows the dialog and returns a promise that resolves with the conversion result or null.
+     * In multi-color mode `layers` holds one SVG per color, otherwise it is null.
+     * @returns {Promise<{svgString: string, layers: Array<{color: string, svgString: string}>|null}|null>} Result if imported, null if cancelled
      */
     show() {
         return new Promise(async (resolve) => {
@@ -332,9 +358,36 @@ export class ImageImportDialog {
         const grid = document.createElement('div');
         grid.className = 'image-import-dialog__controls-grid';
         
+        // Mode control
+        const modeGroup = document.createElement('div');
+        modeGroup.className = 'image-import-dialog__control-group';
+        
+        const modeLabel = document.createElement('label');
+        modeLabel.className = 'image-import-dialog__control-label';
+        modeLabel.innerHTML = `
+            Mode
+            <span class="image-import-dialog__control-hint">(Centerline: line art; Stippling, hatching, squiggle, spiral: photos; Multi-color: one layer per color)</span>
+        `;
+        
+        this.modeSelect = document.createElement('select');
+        this.modeSelect.className = 'image-import-dialog__select';
+        this.modeSelect.innerHTML = `
+            <option value="threshold">Black &amp; white (threshold)</option>
+            <option value="centerline">Centerline (line art)</option>
+            <option value="stipple">Stippling (photos)</option>
+            <option value="hatch">Cross-hatching (photos)</option>
+            <option value="squiggle">Squiggle lines (photos)</option>
+            <option value="spiral">Spiral (photos)</option>
+            <option value="color">Multi-color (ImageTracer)</option>
+        `;
+        
+        modeGroup.appendChild(modeLabel);
+        modeGroup.appendChild(this.modeSelect);
+        
         // Threshold control
         const thresholdGroup = document.createElement('div');
         thresholdGroup.className = 'image-import-dialog__control-group';
+        this.thresholdGroup = thresholdGroup;
         
         const thresholdLabel = document.createElement('label');
         thresholdLabel.className = 'image-import-dialog__control-label';
@@ -363,9 +416,42 @@ export class ImageImportDialog {
         thresholdGroup.appendChild(thresholdLabel);
         thresholdGroup.appendChild(thresholdContainer);
         
+        // Number of colors control
+        const colorsGroup = document.createElement('div');
+        colorsGroup.className = 'image-import-dialog__control-group';
+        this.colorsGroup = colorsGroup;
+        
+        const colorsLabel = document.createElement('label');
+        colorsLabel.className = 'image-import-dialog__control-label';
+        colorsLabel.innerHTML = `
+            Colors
+            <span class="image-import-dialog__control-hint">(2-16: Palette size, including background)</span>
+        `;
+        
+        const colorsContainer = document.createElement('div');
+        colorsContainer.className = 'image-import-dialog__slider-container';
+        
+        this.colorsSlider = document.createElement('input');
+        this.colorsSlider.type = 'range';
+        this.colorsSlider.min = '2';
+        this.colorsSlider.max = '16';
+        this.colorsSlider.value = '4';
+        this.colorsSlider.className = 'image-import-dialog__slider';
+        
+        this.colorsValue = document.createElement('span');
+        this.colorsValue.className = 'image-import-dialog__slider-value';
+        this.colorsValue.textContent = '4';
+        
+        colorsContainer.appendChild(this.colorsSlider);
+        colorsContainer.appendChild(this.colorsValue);
+        
+        colorsGroup.appendChild(colorsLabel);
+        colorsGroup.appendChild(colorsContainer);
+        
         // Simplify control
         const simplifyGroup = document.createElement('div');
         simplifyGroup.className = 'image-import-dialog__control-group';
+        this.simplifyGroup = simplifyGroup;
         
         const simplifyLabel = document.createElement('label');
         simplifyLabel.className = 'image-import-dialog__control-label';
@@ -398,6 +484,7 @@ export class ImageImportDialog {
         // Invert control
         const invertGroup = document.createElement('div');
         invertGroup.className = 'image-import-dialog__control-group';
+        this.invertGroup = invertGroup;
         
         const invertLabel = document.createElement('label');
         invertLabel.className = 'image-import-dialog__control-label';
@@ -412,15 +499,149 @@ export class ImageImportDialog {
         
         invertGroup.appendChild(invertLabel);
         
+        // Skip background control
+        const skipBackgroundGroup = document.createElement('div');
+        skipBackgroundGroup.className = 'image-import-dialog__control-group';
+        this.skipBackgroundGroup = skipBackgroundGroup;
+        
+        const skipBackgroundLabel = document.createElement('label');
+        skipBackgroundLabel.className = 'image-import-dialog__control-label';
+        skipBackgroundLabel.style.cursor = 'pointer';
+        skipBackgroundLabel.innerHTML = `
+            <input type="checkbox" id="skip-background-checkbox" checked style="margin-right: 8px; cursor: pointer;">
+            Skip Background
+            <span class="image-import-dialog__control-hint">(Drop the lightest color)</span>
+        `;
+        
+        this.skipBackgroundCheckbox = skipBackgroundLabel.querySelector('input');
+        
+        skipBackgroundGroup.appendChild(skipBackgroundLabel);
+        
+        // Dot count control
+        const dotCountGroup = document.createElement('div');
+        dotCountGroup.className = 'image-import-dialog__control-group';
+        this.dotCountGroup = dotCountGroup;
+        
+        const dotCountLabel = document.createElement('label');
+        dotCountLabel.className = 'image-import-dialog__control-label';
+        dotCountLabel.innerHTML = `
+            Dots
+            <span class="image-import-dialog__control-hint">(500-20000: More = finer tones, longer plot)</span>
+        `;
+        
+        const dotCountContainer = document.createElement('div');
+        dotCountContainer.className = 'image-import-dialog__slider-container';
+        
+        this.dotCountSlider = document.createElement('input');
+        this.dotCountSlider.type = 'range';
+        this.dotCountSlider.min = '500';
+        this.dotCountSlider.max = '20000';
+        this.dotCountSlider.step = '500';
+        this.dotCountSlider.value = '4000';
+        this.dotCountSlider.className = 'image-import-dialog__slider';
+        
+        this.dotCountValue = document.createElement('span');
+        this.dotCountValue.className = 'image-import-dialog__slider-value';
+        this.dotCountValue.textContent = '4000';
+        
+        dotCountContainer.appendChild(this.dotCountSlider);
+        dotCountContainer.appendChild(this.dotCountValue);
+        
+        dotCountGroup.appendChild(dotCountLabel);
+        dotCountGroup.appendChild(dotCountContainer);
+        
+        // Link path control
+        const linkPathGroup = document.createElement('div');
+        linkPathGroup.className = 'image-import-dialog__control-group';
+        this.linkPathGroup = linkPathGroup;
+        
+        const linkPathLabel = document.createElement('label');
+        linkPathLabel.className = 'image-import-dialog__control-label';
+        linkPathLabel.style.cursor = 'pointer';
+        linkPathLabel.innerHTML = `
+            <input type="checkbox" id="link-path-checkbox" style="margin-right: 8px; cursor: pointer;">
+            Single Line (TSP Art)
+            <span class="image-import-dialog__control-hint">(Connect all dots into one continuous path)</span>
+        `;
+        
+        this.linkPathCheckbox = linkPathLabel.querySelector('input');
+        
+        linkPathGroup.appendChild(linkPathLabel);
+        
+        // Tonal shading controls
+        this.shadingControls = {
+            spacing: this._createSliderControl('Line Spacing', '(2-20 px: Lower = darker, longer plot)', 2, 20, 1, this.lineSpacing),
+            layers: this._createSliderControl('Hatch Layers', '(1-4: Darker tones get more crossing layers)', 1, 4, 1, this.hatchLayers),
+            angle: this._createSliderControl('Hatch Angle', '(0-180°)', 0, 180, 5, this.hatchAngle),
+            frequency: this._createSliderControl('Wave Frequency', '(0.5-4: Waves per line spacing)', 0.5, 4, 0.25, this.waveFrequency)
+        };
+        
+        grid.appendChild(modeGroup);
         grid.appendChild(thresholdGroup);
+        grid.appendChild(colorsGroup);
+        grid.appendChild(dotCountGroup);
         grid.appendChild(simplifyGroup);
         grid.appendChild(invertGroup);
+        grid.appendChild(skipBackgroundGroup);
+        grid.appendChild(linkPathGroup);
+        grid.appendChild(this.shadingControls.spacing.group);
+        grid.appendChild(this.shadingControls.layers.group);
+        grid.appendChild(this.shadingControls.angle.group);
+        grid.appendChild(this.shadingControls.frequency.group);
+        
+        this._updateModeControls();
         
         controls.appendChild(grid);
         
         return controls;
     }
 
+    /**
+     * Creates a labelled slider control
+     * @private
+     * @param {string} label - Control label
+     * @param {string} hint - Hint shown next to the label
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @param {number} step - Step size
+     * @param {number} value - Initial value
+     * @returns {{group: HTMLElement, slider: HTMLInputElement, value: HTMLElement}} Control elements
+     */
+    _createSliderControl(label, hint, min, max, step, value) {
+        const group = document.createElement('div');
+        group.className = 'image-import-dialog__control-group';
+        
+        const labelElement = document.createElement('label');
+        labelElement.className = 'image-import-dialog__control-label';
+        labelElement.innerHTML = `
+            ${label}
+            <span class="image-import-dialog__control-hint">${hint}</span>
+        `;
+        
+        const container = document.createElement('div');
+        container.className = 'image-import-dialog__slider-container';
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.value = String(value);
+        slider.className = 'image-import-dialog__slider';
+        
+        const valueElement = document.createElement('span');
+        valueElement.className = 'image-import-dialog__slider-value';
+        valueElement.textContent = String(value);
+        
+        container.appendChild(slider);
+        container.appendChild(valueElement);
+        
+        group.appendChild(labelElement);
+        group.appendChild(container);
+        
+        return { group, slider, value: valueElement };
+    }
+
     /**
      * Creates the footer with action buttons
      * @private
@@ -459,6 +680,49 @@ export class ImageImportDialog {
         elements.importBtn.addEventListener('click', () => this._handleImport());
         
         // Control change handlers
+        this.modeSelect.addEventListener('change', () => {
+            this.mode = this.modeSelect.value;
+            this._updateModeControls();
+            this._scheduleUpdate();
+        });
+        
+        this.colorsSlider.addEventListener('input', () => {
+            this.colorsValue.textContent = this.colorsSlider.value;
+            this.numberOfColors = parseInt(this.colorsSlider.value);
+            this._scheduleUpdate();
+        });
+        
+        this.skipBackgroundCheckbox.addEventListener('change', () => {
+            this.skipBackground = this.skipBackgroundCheckbox.checked;
+            this._scheduleUpdate();
+        });
+        
+        this.dotCountSlider.addEventListener('input', () => {
+            this.dotCountValue.textContent = this.dotCountSlider.value;
+            this.dotCount = parseInt(this.dotCountSlider.value);
+            this._scheduleUpdate();
+        });
+        
+        this.linkPathCheckbox.addEventListener('change', () => {
+            this.linkPath = this.linkPathCheckbox.checked;
+            this._scheduleUpdate();
+        });
+        
+        const shadingParameters = {
+            spacing: 'lineSpacing',
+            layers: 'hatchLayers',
+            angle: 'hatchAngle',
+            frequency: 'waveFrequency'
+        };
+        for (const [key, parameter] of Object.entries(shadingParameters)) {
+            const control = this.shadingControls[key];
+            control.slider.addEventListener('input', () => {
+                control.value.textContent = control.slider.value;
+                this[parameter] = parseFloat(control.slider.value);
+                this._scheduleUpdate();
+            });
+        }
+        
         this.thresholdSlider.addEventListener('input', () => {
             this.thresholdValue.textContent = this.thresholdSlider.value;
             this.threshold = parseInt(this.thresholdSlider.value);
@@ -484,6 +748,27 @@ export class ImageImportDialog {
         });
     }
 
+    /**
+     * Shows the controls that apply to the current mode
+     * @private
+     */
+    _updateModeControls() {
+        const colorMode = this.mode === 'color';
+        const stippleMode = this.mode === 'stipple';
+        const shadingMode = ['hatch', 'squiggle', 'spiral'].includes(this.mode);
+        this.thresholdGroup.style.display = colorMode || stippleMode || shadingMode ? 'none' : '';
+        this.simplifyGroup.style.display = stippleMode || shadingMode ? 'none' : '';
+        this.invertGroup.style.display = colorMode ? 'none' : '';
+        this.colorsGroup.style.display = colorMode ? '' : 'none';
+        this.skipBackgroundGroup.style.display = colorMode ? '' : 'none';
+        this.dotCountGroup.style.display = stippleMode ? '' : 'none';
+        this.linkPathGroup.style.display = stippleMode ? '' : 'none';
+        this.shadingControls.spacing.group.style.display = shadingMode ? '' : 'none';
+        this.shadingControls.layers.group.style.display = this.mode === 'hatch' ? '' : 'none';
+        this.shadingControls.angle.group.style.display = this.mode === 'hatch' ? '' : 'none';
+        this.shadingControls.frequency.group.style.display = this.mode === 'squiggle' || this.mode === 'spiral' ? '' : 'none';
+    }
+
     /**
      * Renders the original image to canvas
      * @private
@@ -521,17 +806,62 @@ export class ImageImportDialog {
             // Use a small delay to allow UI to update
             await new Promise(resolve => setTimeout(resolve, 50));
             
-            // Run conversion using our own converter
-            const svgString = ImageToSVGConverter.convertToSVG(this.scaledImage, {
-                threshold: this.threshold,
-                simplify: this.simplify,
-                invert: this.invert
-            });
-            
-            this.svgString = svgString;
+            if (this.mode === 'color') {
+                // Quantize colors with ImageTracer, one layer per color
+                const result = ImageToSVGConverter.convertToColorLayers(this.scaledImage, {
+                    numberOfColors: this.numberOfColors,
+                    simplify: this.simplify,
+                    skipBackground: this.skipBackground
+                });
+                
+                this.svgString = result.svgString;
+                this.layers = result.layers;
+            } else if (this.mode === 'centerline') {
+                // Trace single strokes along the middle of each line
+                this.svgString = ImageToSVGConverter.convertToCenterlineSVG(this.scaledImage, {
+                    threshold: this.threshold,
+                    simplify: this.simplify,
+                    invert: this.invert
+                });
+                this.layers = null;
+            } else if (this.mode === 'stipple') {
+                // Weighted Voronoi stippling, optionally as one TSP path
+                this.svgString = ImageToSVGConverter.convertToStippleSVG(this.scaledImage, {
+                    dotCount: this.dotCount,
+                    linkPath: this.linkPath,
+                    invert: this.invert
+                });
+                this.layers = null;
+            } else if (this.mode === 'hatch') {
+                this.svgString = ImageToSVGConverter.convertToHatchSVG(this.scaledImage, {
+                    spacing: this.lineSpacing,
+                    layers: this.hatchLayers,
+                    angle: this.hatchAngle,
+                    invert: this.invert
+                });
+                this.layers = null;
+            } else if (this.mode === 'squiggle' || this.mode === 'spiral') {
+                const options = {
+                    spacing: this.lineSpacing,
+                    frequency: this.waveFrequency,
+                    invert: this.invert
+                };
+                this.svgString = this.mode === 'squiggle'
+                    ? ImageToSVGConverter.convertToSquiggleSVG(this.scaledImage, options)
+                    : ImageToSVGConverter.convertToSpiralSVG(this.scaledImage, options);
+                this.layers = null;
+            } else {
+                // Run conversion using our own converter
+                this.svgString = ImageToSVGConverter.convertToSVG(this.scaledImage, {
+                    threshold: this.threshold,
+                    simplify: this.simplify,
+                    invert: this.invert
+                });
+                this.layers = null;
+            }
             
             // Render preview
-            await this._renderPreview(svgString);
+            await this._renderPreview(this.svgString);
             
         } catch (error) {
             console.error('Conversion error:', error);
@@ -589,9 +919,14 @@ export class ImageImportDialog {
             return;
         }
         
+        if (this.layers && this.layers.length === 0) {
+            alert('No color layers left to import. Increase the number of colors or keep the background.');
+            return;
+        }
+        
         this._cleanup();
         if (this._resolve) {
-            this._resolve(this.svgString);
+            this._resolve({ svgString: this.svgString, layers: this.layers });
         }
     }
 
@@ -1,3 +1,14 @@
+import { StippleGenerator } from './stippleGenerator.js';
+
+// Constants
+const STIPPLE_DOT_RADIUS = 0.35; // px, a short pen touch
+const MIN_SPUR_LENGTH = 3; // Skeleton branches shorter than this (px) ending in a tip are thinning noise
+const SHADING_SAMPLE_STEP = 0.5; // px between samples along hatch, squiggle and spiral lines
+const SHADING_SIMPLIFY_TOLERANCE = 0.2; // px, well below the pen width
+const MAX_HATCH_LAYERS = 4;
+const HATCH_LAYER_ANGLES = [0, 90, 45, 135]; // Added to the base angle, darker tones get more layers
+const WAVE_AMPLITUDE_FACTOR = 0.45; // Squiggle/spiral amplitude as fraction of the line spacing at full darkness
+
 /**
  * Simple image to SVG converter using edge detection and path tracing.
  * Provides a lightweight alternative to complex tracing libraries.
@@ -44,6 +55,378 @@ export class ImageToSVGConverter {
         return this._generateSVG(simplifiedPaths, width, height);
     }
 
+    /**
+     * Converts line art to single-stroke SVG paths along the center of each black line.
+     * The binary image is thinned to a one pixel wide skeleton which is then traced into open polylines.
+     * @param {HTMLImageElement} image - Source image
+     * @param {Object} options - Conversion options
+     * @param {number} options.threshold - Brightness threshold (0-255, default: 128)
+     * @param {number} options.simplify - Path simplification tolerance (default: 1)
+     * @param {boolean} options.invert - Invert colors (default: false)
+     * @returns {string} SVG markup
+     */
+    static convertToCenterlineSVG(image, options = {}) {
+        const {
+            threshold = 128,
+            simplify = 1,
+            invert = false
+        } = options;
+
+        const imageData = this._getImageData(image);
+        const width = imageData.width;
+        const height = imageData.height;
+
+        const binary = this._toBinary(imageData, threshold, invert);
+        const skeleton = this._thin(binary, width, height);
+        const paths = this._traceSkeleton(skeleton, width, height);
+
+        // Pixel centers, then simplify
+        const simplifiedPaths = paths.map(path => this._simplifyPath(
+            path.map(idx => ({ x: idx % width + 0.5, y: Math.floor(idx / width) + 0.5 })),
+            simplify
+        ));
+
+        return this._generateStrokeSVG(simplifiedPaths, width, height);
+    }
+
+    /**
+     * Converts a photo to weighted Voronoi stipples, optionally linked into one continuous TSP path
+     * @param {HTMLImageElement} image - Source image
+     * @param {Object} options - Conversion options
+     * @param {number} options.dotCount - Number of stipples (default: 4000)
+     * @param {boolean} options.linkPath - Connect all stipples into a single tour (default: false)
+     * @param {boolean} options.invert - Stipple light instead of dark areas (default: false)
+     * @returns {string} SVG markup
+     */
+    static convertToStippleSVG(image, options = {}) {
+        const {
+            dotCount = 4000,
+            linkPath = false,
+            invert = false
+        } = options;
+
+        const imageData = this._getImageData(image);
+        const width = imageData.width;
+        const height = imageData.height;
+
+        const dots = StippleGenerator.generate(imageData, { dotCount, invert });
+        const round = value => Math.round(value * 100) / 100;
+
+        if (linkPath) {
+            const tour = StippleGenerator.linkPath(dots).map(dot => ({ x: round(dot.x), y: round(dot.y) }));
+            return this._generateStrokeSVG([tour], width, height);
+        }
+
+        const circles = dots
+            .map(dot => `<circle cx="${round(dot.x)}" cy="${round(dot.y)}" r="${STIPPLE_DOT_RADIUS}"/>`)
+            .join('\n    ');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <g fill="none" stroke="black" stroke-width="1">
+    ${circles}
+  </g>
+</svg>`;
+    }
+
+    /**
+     * Renders brightness as cross-hatching: each layer covers tones darker than its threshold
+     * @param {HTMLImageElement} image - Source image
+     * @param {Object} options - Conversion options
+     * @param {number} options.spacing - Distance between hatch lines in px (default: 6)
+     * @param {number} options.layers - Number of hatch layers, 1-4 (default: 3)
+     * @param {number} options.angle - Angle of the first layer in degrees (default: 45)
+     * @param {boolean} options.invert - Shade light instead of dark areas (default: false)
+     * @returns {string} SVG markup
+     */
+    static convertToHatchSVG(image, options = {}) {
+        const {
+            spacing = 6,
+            layers = 3,
+            angle = 45,
+            invert = false
+        } = options;
+
+        const imageData = this._getImageData(image);
+        const { width, height } = imageData;
+        const darkness = this._createDarknessSampler(imageData, invert);
+        const layerCount = Math.min(MAX_HATCH_LAYERS, Math.max(1, Math.round(layers)));
+        const lineSpacing = Math.max(1, spacing);
+        const paths = [];
+
+        for (let layer = 0; layer < layerCount; layer++) {
+            // Evenly spaced tone thresholds, the first layer shades everything but highlights
+            const threshold = (layer + 1) / (layerCount + 1);
+            const rad = ((angle + HATCH_LAYER_ANGLES[layer]) * Math.PI) / 180;
+            const dir = [Math.cos(rad), Math.sin(rad)];
+            const normal = [-dir[1], dir[0]];
+
+            const corners = [[0, 0], [width, 0], [0, height], [width, height]];
+            const offsets = corners.map(([x, y]) => x * normal[0] + y * normal[1]);
+            const positions = corners.map(([x, y]) => x * dir[0] + y * dir[1]);
+            const minPosition = Math.min(...positions);
+            const maxPosition = Math.max(...positions);
+
+            for (let offset = Math.min(...offsets) + lineSpacing / 2; offset < Math.max(...offsets); offset += lineSpacing) {
+                let segment = [];
+
+                for (let t = minPosition; t <= maxPosition; t += SHADING_SAMPLE_STEP) {
+                    const x = normal[0] * offset + dir[0] * t;
+                    const y = normal[1] * offset + dir[1] * t;
+                    const inside = x >= 0 && x < width && y >= 0 && y < height;
+
+                    if (inside && darkness(x, y) > threshold) {
+                        segment.push({ x, y });
+                    } else if (segment.length > 0) {
+                        if (segment.length > 1) paths.push(segment);
+                        segment = [];
+                    }
+                }
+                if (segment.length > 1) paths.push(segment);
+            }
+        }
+
+        // Straight runs collapse to their end points
+        const simplifiedPaths = paths.map(path => this._roundPath(this._simplifyPath(path, SHADING_SIMPLIFY_TOLERANCE)));
+        return this._generateStrokeSVG(simplifiedPaths, width, height);
+    }
+
+    /**
+     * Renders brightness as horizontal sine "squiggle" scanlines whose amplitude follows darkness
+     * @param {HTMLImageElement} image - Source image
+     * @param {Object} options - Conversion options
+     * @param {number} options.spacing - Distance between scanlines in px (default: 6)
+     * @param {number} options.frequency - Waves per line spacing of travel (default: 1.5)
+     * @param {boolean} options.invert - Shade light instead of dark areas (default: false)
+     * @returns {string} SVG markup
+     */
+    static convertToSquiggleSVG(image, options = {}) {
+        const {
+            spacing = 6,
+            frequency = 1.5,
+            invert = false
+        } = options;
+
+        const imageData = this._getImageData(image);
+        const { width, height } = imageData;
+        const darkness = this._createDarknessSampler(imageData, invert);
+        const lineSpacing = Math.max(1, spacing);
+        const phaseStep = (2 * Math.PI * frequency * SHADING_SAMPLE_STEP) / lineSpacing;
+        const paths = [];
+
+        for (let y0 = lineSpacing / 2; y0 < height; y0 += lineSpacing) {
+            const path = [];
+            let phase = 0;
+
+            for (let x = 0; x < width; x += SHADING_SAMPLE_STEP) {
+                const amplitude = darkness(x, y0) * lineSpacing * WAVE_AMPLITUDE_FACTOR;
+                path.push({ x, y: y0 + amplitude * Math.sin(phase) });
+                phase += phaseStep;
+            }
+            paths.push(path);
+        }
+
+        const simplifiedPaths = paths.map(path => this._roundPath(this._simplifyPath(path, SHADING_SIMPLIFY_TOLERANCE)));
+        return this._generateStrokeSVG(simplifiedPaths, width, height);
+    }
+
+    /**
+     * Renders brightness as a spiral from the image center whose wobble follows darkness
+     * @param {HTMLImageElement} image - Source image
+     * @param {Object} options - Conversion options
+     * @param {number} options.spacing - Distance between spiral turns in px (default: 6)
+     * @param {number} options.frequency - Waves per line spacing of travel (default: 1.5)
+     * @param {boolean} options.invert - Shade light instead of dark areas (default: false)
+     * @returns {string} SVG markup
+     */
+    static convertToSpiralSVG(image, options = {}) {
+        const {
+            spacing = 6,
+            frequency = 1.5,
+            invert = false
+        } = options;
+
+        const imageData = this._getImageData(image);
+        const { width, height } = imageData;
+        const darkness = this._createDarknessSampler(imageData, invert);
+        const lineSpacing = Math.max(1, spacing);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const maxRadius = Math.hypot(width, height) / 2;
+        const phaseStep = (2 * Math.PI * frequency * SHADING_SAMPLE_STEP) / lineSpacing;
+        const paths = [];
+
+        let path = [];
+        let theta = 0;
+        let phase = 0;
+        for (let radius = 0; radius < maxRadius; radius = (lineSpacing * theta) / (2 * Math.PI)) {
+            const x = centerX + radius * Math.cos(theta);
+            const y = centerY + radius * Math.sin(theta);
+
+            if (x >= 0 && x < width && y >= 0 && y < height) {
+                // Wobble along the radius keeps neighbouring turns apart
+                const offset = darkness(x, y) * lineSpacing * WAVE_AMPLITUDE_FACTOR * Math.sin(phase);
+                path.push({
+                    x: centerX + (radius + offset) * Math.cos(theta),
+                    y: centerY + (radius + offset) * Math.sin(theta)
+                });
+            } else if (path.length > 0) {
+                if (path.length > 1) paths.push(path);
+                path = [];
+            }
+
+            // Constant arc length per sample
+            theta += SHADING_SAMPLE_STEP / Math.max(radius, lineSpacing);
+            phase += phaseStep;
+        }
+        if (path.length > 1) paths.push(path);
+
+        const simplifiedPaths = paths.map(p => this._roundPath(this._simplifyPath(p, SHADING_SIMPLIFY_TOLERANCE)));
+        return this._generateStrokeSVG(simplifiedPaths, width, height);
+    }
+
+    /**
+     * Converts an image to one SVG per quantized color using the bundled ImageTracer
+     * (js/imagetracer.js, loaded as a classic script that defines window.ImageTracer)
+     * @param {HTMLImageElement} image - Source image
+     * @param {Object} options - Conversion options
+     * @param {number} options.numberOfColors - Palette size (default: 4)
+     * @param {number} options.simplify - Path simplification tolerance (default: 1)
+     * @param {boolean} options.skipBackground - Drop the lightest color, usually the paper (default: true)
+     * @returns {{svgString: string, layers: Array<{color: string, svgString: string}>}} Combined preview SVG and color layers
+     */
+    static convertToColorLayers(image, options = {}) {
+        const {
+            numberOfColors = 4,
+            simplify = 1,
+            skipBackground = true
+        } = options;
+
+        const tracer = globalThis.ImageTracer;
+        if (!tracer) {
+            throw new Error('ImageTracer library is not loaded');
+        }
+
+        const imageData = this._getImageData(image);
+
+        // Line/curve error thresholds control how smooth the traced paths are
+        const tolerance = Math.max(0.1, simplify);
+        const tracerOptions = {
+            numberofcolors: numberOfColors,
+            colorsampling: 2,
+            colorquantcycles: 3,
+            ltres: tolerance,
+            qtres: tolerance,
+            pathomit: 8,
+            strokewidth: 0,
+            roundcoords: 2,
+            viewbox: true
+        };
+
+        const traceData = tracer.imagedataToTracedata(imageData, tracerOptions);
+        const layerIndices = traceData.layers
+            .map((paths, index) => index)
+            .filter(index => traceData.palette[index].a > 0 && traceData.layers[index].some(path => !path.isholepath));
+
+        // The lightest color is usually the paper, which is not plotted
+        let background = -1;
+        if (skipBackground && layerIndices.length > 1) {
+            background = layerIndices.reduce((lightest, index) =>
+                this._luminance(traceData.palette[index]) > this._luminance(traceData.palette[lightest]) ? index : lightest
+            );
+        }
+
+        const layers = layerIndices
+            .filter(index => index !== background)
+            .map(index => ({
+                color: this._toHexColor(traceData.palette[index]),
+                svgString: tracer.getsvgstring({
+                    ...traceData,
+                    layers: [traceData.layers[index]],
+                    palette: [traceData.palette[index]]
+                }, tracerOptions)
+            }));
+
+        const svgString = tracer.getsvgstring({
+            ...traceData,
+            layers: layerIndices.filter(index => index !== background).map(index => traceData.layers[index]),
+            palette: layerIndices.filter(index => index !== background).map(index => traceData.palette[index])
+        }, tracerOptions);
+
+        return { svgString, layers };
+    }
+
+    /**
+     * Draw an image to a canvas and read its pixels
+     * @private
+     * @param {HTMLImageElement} image - Source image
+     * @returns {ImageData} Image data
+     */
+    static _getImageData(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Create a darkness lookup for image coordinates
+     * @private
+     * @param {ImageData} imageData - Canvas image data
+     * @param {boolean} invert - Return lightness instead
+     * @returns {function(number, number): number} Darkness (0-1) at a point, transparent counts as white
+     */
+    static _createDarknessSampler(imageData, invert) {
+        const { data, width, height } = imageData;
+        const values = new Float32Array(width * height);
+
+        for (let i = 0; i < values.length; i++) {
+            const alpha = data[i * 4 + 3] / 255;
+            const brightness = ((data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / 3) * alpha + 255 * (1 - alpha);
+            const darkness = 1 - brightness / 255;
+            values[i] = invert ? 1 - darkness : darkness;
+        }
+
+        return (x, y) => {
+            const px = Math.min(width - 1, Math.max(0, Math.floor(x)));
+            const py = Math.min(height - 1, Math.max(0, Math.floor(y)));
+            return values[py * width + px];
+        };
+    }
+
+    /**
+     * Round path coordinates to keep the SVG small
+     * @private
+     * @param {Array<{x: number, y: number}>} path - Input path
+     * @returns {Array<{x: number, y: number}>} Rounded path
+     */
+    static _roundPath(path) {
+        return path.map(({ x, y }) => ({ x: Math.round(x * 100) / 100, y: Math.round(y * 100) / 100 }));
+    }
+
+    /**
+     * Relative luminance of a palette color
+     * @private
+     * @param {{r: number, g: number, b: number}} color - RGB color
+     * @returns {number} Luminance (0-255)
+     */
+    static _luminance(color) {
+        return 0.2126 * color.r + 0.7152 * color.g + 0.0722 * color.b;
+    }
+
+    /**
+     * Convert a palette color to a hex string
+     * @private
+     * @param {{r: number, g: number, b: number}} color - RGB color
+     * @returns {string} Color like "#1e40af"
+     */
+    static _toHexColor(color) {
+        return '#' + [color.r, color.g, color.b]
+            .map(value => Math.round(value).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
     /**
      * Convert image data to binary (black/white) array
      * @private
@@ -185,6 +568,164 @@ export class ImageToSVGConverter {
         return path;
     }
 
+    /**
+     * Thin a binary image to a one pixel wide skeleton (Zhang-Suen)
+     * @private
+     * @param {Uint8Array} binary - Binary image data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Uint8Array} Skeleton (0 or 1)
+     */
+    static _thin(binary, width, height) {
+        const image = Uint8Array.from(binary);
+        const remove = [];
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+
+            for (let pass = 0; pass < 2; pass++) {
+                remove.length = 0;
+
+                for (let y = 1; y < height - 1; y++) {
+                    for (let x = 1; x < width - 1; x++) {
+                        const idx = y * width + x;
+                        if (!image[idx]) continue;
+
+                        // Neighbors clockwise from north: P2..P9
+                        const p = [
+                            image[idx - width], image[idx - width + 1], image[idx + 1], image[idx + width + 1],
+                            image[idx + width], image[idx + width - 1], image[idx - 1], image[idx - width - 1]
+                        ];
+
+                        const count = p[0] + p[1] + p[2] + p[3] + p[4] + p[5] + p[6] + p[7];
+                        if (count < 2 || count > 6) continue;
+
+                        // Number of 0 -> 1 transitions around the pixel
+                        let transitions = 0;
+                        for (let i = 0; i < 8; i++) {
+                            if (!p[i] && p[(i + 1) % 8]) transitions++;
+                        }
+                        if (transitions !== 1) continue;
+
+                        if (pass === 0) {
+                            if (p[0] && p[2] && p[4]) continue;
+                            if (p[2] && p[4] && p[6]) continue;
+                        } else {
+                            if (p[0] && p[2] && p[6]) continue;
+                            if (p[0] && p[4] && p[6]) continue;
+                        }
+
+                        remove.push(idx);
+                    }
+                }
+
+                for (const idx of remove) {
+                    image[idx] = 0;
+                }
+                if (remove.length > 0) changed = true;
+            }
+        }
+
+        return image;
+    }
+
+    /**
+     * Get skeleton neighbors of a pixel.
+     * Diagonal neighbors already reachable through an orthogonal neighbor are skipped,
+     * so staircase steps do not look like junctions.
+     * @private
+     * @returns {Array<number>} Neighbor pixel indices
+     */
+    static _skeletonNeighbors(skeleton, width, height, idx) {
+        const x = idx % width;
+        const y = Math.floor(idx / width);
+        const isSet = (nx, ny) => nx >= 0 && nx < width && ny >= 0 && ny < height && skeleton[ny * width + nx] === 1;
+        const neighbors = [];
+
+        for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+            if (isSet(x + dx, y + dy)) neighbors.push((y + dy) * width + x + dx);
+        }
+        for (const [dx, dy] of [[1, -1], [1, 1], [-1, 1], [-1, -1]]) {
+            if (isSet(x + dx, y + dy) && !isSet(x + dx, y) && !isSet(x, y + dy)) {
+                neighbors.push((y + dy) * width + x + dx);
+            }
+        }
+
+        return neighbors;
+    }
+
+    /**
+     * Trace a skeleton into polylines running between tips and junctions
+     * @private
+     * @param {Uint8Array} skeleton - Skeleton image
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Array<Array<number>>} Paths as pixel indices
+     */
+    static _traceSkeleton(skeleton, width, height) {
+        const neighbors = new Map();
+        for (let idx = 0; idx < skeleton.length; idx++) {
+            if (skeleton[idx]) {
+                neighbors.set(idx, this._skeletonNeighbors(skeleton, width, height, idx));
+            }
+        }
+
+        const visitedEdges = new Set();
+        const edgeKey = (a, b) => a < b ? a * skeleton.length + b : b * skeleton.length + a;
+        const isNode = idx => neighbors.get(idx).length !== 2;
+
+        const walk = (start, next) => {
+            const path = [start, next];
+            visitedEdges.add(edgeKey(start, next));
+            let prev = start;
+            let current = next;
+
+            while (!isNode(current) && current !== start) {
+                const following = neighbors.get(current).find(n => n !== prev && !visitedEdges.has(edgeKey(current, n)));
+                if (following === undefined) break;
+                visitedEdges.add(edgeKey(current, following));
+                path.push(following);
+                prev = current;
+                current = following;
+            }
+            return path;
+        };
+
+        const paths = [];
+
+        // Open branches start at tips and junctions
+        for (const [idx, adjacent] of neighbors) {
+            if (!isNode(idx)) continue;
+
+            if (adjacent.length === 0) {
+                paths.push([idx, idx]); // Isolated dot
+                continue;
+            }
+
+            for (const next of adjacent) {
+                if (visitedEdges.has(edgeKey(idx, next))) continue;
+
+                const path = walk(idx, next);
+                const end = path[path.length - 1];
+                const isSpur = path.length < MIN_SPUR_LENGTH &&
+                    (neighbors.get(idx).length > 2 || neighbors.get(end).length > 2);
+                if (!isSpur) paths.push(path);
+            }
+        }
+
+        // Remaining edges belong to closed loops without junctions
+        for (const [idx, adjacent] of neighbors) {
+            for (const next of adjacent) {
+                if (!visitedEdges.has(edgeKey(idx, next))) {
+                    paths.push(walk(idx, next));
+                }
+            }
+        }
+
+        return paths;
+    }
+
     /**
      * Simplify path using Douglas-Peucker algorithm
      * @private
@@ -298,6 +839,31 @@ export class ImageToSVGConverter {
         
         return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
     <path d="${pathData}" fill="black" stroke="none"/>
+</svg>`;
+    }
+
+    /**
+     * Generate SVG markup with open stroked paths
+     * @private
+     * @param {Array<Array<{x: number, y: number}>>} paths - Array of paths
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {string} SVG markup
+     */
+    static _generateStrokeSVG(paths, width, height) {
+        let pathData = '';
+
+        for (const path of paths) {
+            if (path.length === 0) continue;
+
+            pathData += `M ${path[0].x} ${path[0].y} `;
+            for (let i = 1; i < path.length; i++) {
+                pathData += `L ${path[i].x} ${path[i].y} `;
+            }
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <path d="${pathData}" fill="none" stroke="black" stroke-width="1" stroke-linecap="round" stroke-linejoin="round"/>
 </svg>`;
     }
 }
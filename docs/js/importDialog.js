@@ -17,6 +17,14 @@ const PREVIEW_COLORS = [
     '#ea580c'  // orange
 ];
 
+// Split modes offered for SVG files (a mode needs at least two parts)
+const SPLIT_MODES = [
+    { id: 'layer', label: 'By Inkscape layer' },
+    { id: 'group', label: 'By top-level group' },
+    { id: 'color', label: 'By stroke color' }
+];
+const MIN_SPLIT_PARTS = 2;
+
 /**
  * Import dialog for SVG file preview and configuration.
  * Provides pan/zoom canvas preview with auto-fit option.
@@ -28,7 +36,7 @@ export class ImportDialog {
      * @param {File} file - The SVG file object
      * @param {Array<Array<[number, number]>>} polylines - SVG polylines
      * @param {Object} bounds - Bounding box {minX, minY, maxX, maxY, width, height}
-     * @param {Object} metadata - Contains scaleFactor, physical, viewBox
+     * @param {Object} metadata - Contains scaleFactor, physical, viewBox and optional splitOptions (parts per split mode)
      */
     constructor(file, polylines, bounds, metadata = {}) {
         this.file = file;
@@ -38,6 +46,7 @@ export class ImportDialog {
         this.scaleFactor = metadata.scaleFactor;
         this.physical = metadata.physical;
         this.viewBox = metadata.viewBox;
+        this.splitOptions = metadata.splitOptions || null;
         
         this.canvas = null;
         this.ctx = null;
@@ -118,7 +127,8 @@ export class ImportDialog {
             canvasContainer: canvasContainer,
             closeBtn: header.querySelector('#import-dialog-close'),
             cancelBtn: footer.querySelector('#import-dialog-cancel'),
-            importBtn: footer.querySelector('#import-dialog-import')
+            importBtn: footer.querySelector('#import-dialog-import'),
+            splitSelect: info.querySelector('#import-dialog-split')
         };
     }
 
@@ -172,6 +182,7 @@ export class ImportDialog {
                 <div><strong>Width:</strong> ${widthMM.toFixed(2)} mm</div>
                 <div><strong>Height:</strong> ${heightMM.toFixed(2)} mm</div>
             </div>
+            ${this._createSplitOptions()}
             <div class="import-dialog__info-hint">
                 Use mouse wheel to zoom, drag to pan
             </div>
@@ -180,6 +191,31 @@ export class ImportDialog {
         return info;
     }
 
+    /**
+     * Creates the split mode selection if the file can be split
+     * @private
+     * @returns {string} Select markup, empty if no mode yields multiple parts
+     */
+    _createSplitOptions() {
+        const counts = SPLIT_MODES.map(mode => this.splitOptions?.[mode.id] || 0);
+        if (!counts.some(count => count >= MIN_SPLIT_PARTS)) return '';
+        
+        const options = SPLIT_MODES.map((mode, index) => {
+            const disabled = counts[index] < MIN_SPLIT_PARTS ? ' disabled' : '';
+            return `<option value="${mode.id}"${disabled}>${mode.label} (${counts[index]})</option>`;
+        });
+        
+        return `
+            <label class="import-dialog__split">
+                <strong>Split into objects:</strong>
+                <select id="import-dialog-split">
+                    <option value="none">Don't split</option>
+                    ${options.join('')}
+                </select>
+            </label>
+        `;
+    }
+
     /**
      * Creates the dialog footer with action buttons
      * @private
@@ -249,7 +285,7 @@ export class ImportDialog {
      * @private
      * @param {Object} elements - Dialog elements containing buttons
      */
-    _setupButtonEvents({ closeBtn, cancelBtn, importBtn }) {
+    _setupButtonEvents({ closeBtn, cancelBtn, importBtn, splitSelect }) {
         // Close button
         closeBtn.addEventListener('click', () => {
             this._resolve(null);
@@ -262,7 +298,8 @@ export class ImportDialog {
         
         // Import button
         importBtn.addEventListener('click', () => {
-            this._resolve({ polylines: this.polylines, bounds: this.bounds });
+            const split = splitSelect ? splitSelect.value : 'none';
+            this._resolve({ polylines: this.polylines, bounds: this.bounds, split });
         });
     }
 
@@ -405,7 +442,7 @@ export class ImportDialog {
 
     /**
      * Shows the import dialog and returns a promise
-     * @returns {Promise<{polylines: Array, bounds: Object} | null>} Import result or null if canceled
+     * @returns {Promise<{polylines: Array, bounds: Object, split: string} | null>} Import result ('none' or a split mode) or null if canceled
      */
     show() {
         // Draw the initial preview
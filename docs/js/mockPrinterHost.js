@@ -0,0 +1,224 @@
+// Constants
+const DEFAULT_PROGRESS_STEP = 0.1;
+const DEFAULT_JOB_DURATION = 600;
+
+/**
+ * Local stand-in for an OctoPrint or Moonraker host that answers the REST calls
+ * of PrinterHostClient. Pass its fetch to the client to exercise upload, start,
+ * progress polling and cancel without a printer (open PlotLab with `?mock-host`
+ * to use it from the printer host panel).
+ * A started job first reports the host's idle state once, like a real host
+ * that is still preparing the job, then advances by one step per status query.
+ * @class
+ */
+export class MockPrinterHost {
+    /**
+     * @param {Object} options - Mock options
+     * @param {string} options.type - 'octoprint' or 'moonraker'
+     * @param {number} options.progressStep - Job progress added per status query (0-1)
+     * @param {number} options.jobDuration - Simulated job duration in seconds
+     */
+    constructor(options = {}) {
+        const {
+            type = 'octoprint',
+            progressStep = DEFAULT_PROGRESS_STEP,
+            jobDuration = DEFAULT_JOB_DURATION
+        } = options;
+
+        this.type = type;
+        this.progressStep = progressStep;
+        this.jobDuration = jobDuration;
+        this.files = new Map();
+        this.job = null;
+        this.requests = [];
+        this.fetch = this.fetch.bind(this);
+    }
+
+    /**
+     * Answer a request like the host would
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options (method, body)
+     * @returns {Promise<Object>} Response with ok, status and text()
+     */
+    async fetch(url, options = {}) {
+        const { pathname, searchParams } = new URL(url);
+        const method = options.method || 'GET';
+        this.requests.push({ method, path: pathname });
+
+        const body = this.type === 'octoprint'
+            ? this._handleOctoPrint(method, pathname, options.body)
+            : this._handleMoonraker(method, pathname, searchParams, options.body);
+
+        if (body === null) {
+            return MockPrinterHost._response(404, { error: `Not found: ${method} ${pathname}` });
+        }
+        return MockPrinterHost._response(200, body);
+    }
+
+    /**
+     * Route an OctoPrint API request
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {FormData|string} body - Request body
+     * @returns {Object|null} Response body, null if the route is unknown
+     */
+    _handleOctoPrint(method, path, body) {
+        if (method === 'GET' && path === '/api/version') {
+            return { api: '0.1', server: 'mock' };
+        }
+        if (method === 'POST' && path === '/api/files/local') {
+            const name = this._storeFile(body);
+            if (body.get('print') === 'true') this._startJob(name);
+            return { done: true, files: { local: { name } } };
+        }
+        if (method === 'POST' && path.startsWith('/api/files/local/')) {
+            const name = decodeURIComponent(path.substring('/api/files/local/'.length));
+            const command = JSON.parse(body);
+            if (!this.files.has(name)) return null;
+            if (command.command === 'select' && command.print) this._startJob(name);
+            return {};
+        }
+        if (method === 'POST' && path === '/api/job') {
+            if (JSON.parse(body).command === 'cancel') this._cancelJob();
+            return {};
+        }
+        if (method === 'GET' && path === '/api/job') {
+            const job = this._advanceJob();
+            const states = {
+                idle: 'Operational',
+                starting: 'Starting',
+                printing: 'Printing',
+                complete: 'Operational',
+                cancelled: 'Cancelling'
+            };
+            return {
+                state: states[job?.state || 'idle'],
+                job: { file: { name: job?.filename || null } },
+                progress: {
+                    completion: job ? job.progress * 100 : null,
+                    printTime: job ? job.progress * this.jobDuration : null,
+                    printTimeLeft: job ? (1 - job.progress) * this.jobDuration : null
+                }
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Route a Moonraker API request
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {URLSearchParams} params - Query parameters
+     * @param {FormData|string} body - Request body
+     * @returns {Object|null} Response body, null if the route is unknown
+     */
+    _handleMoonraker(method, path, params, body) {
+        if (method === 'GET' && path === '/server/info') {
+            return { result: { klippy_state: 'ready' } };
+        }
+        if (method === 'POST' && path === '/server/files/upload') {
+            const name = this._storeFile(body);
+            if (body.get('print') === 'true') this._startJob(name);
+            return { item: { path: name, root: 'gcodes' }, action: 'create_file' };
+        }
+        if (method === 'POST' && path === '/printer/print/start') {
+            const name = params.get('filename');
+            if (!this.files.has(name)) return null;
+            this._startJob(name);
+            return { result: 'ok' };
+        }
+        if (method === 'POST' && path === '/printer/print/cancel') {
+            this._cancelJob();
+            return { result: 'ok' };
+        }
+        if (method === 'GET' && path === '/printer/objects/query') {
+            const job = this._advanceJob();
+            const states = {
+                idle: 'standby',
+                starting: 'standby',
+                printing: 'printing',
+                complete: 'complete',
+                cancelled: 'cancelled'
+            };
+            return {
+                result: {
+                    status: {
+                        print_stats: {
+                            state: states[job?.state || 'idle'],
+                            filename: job?.filename || '',
+                            print_duration: job ? job.progress * this.jobDuration : 0
+                        },
+                        virtual_sdcard: { progress: job?.progress || 0 }
+                    }
+                }
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Store an uploaded file
+     * @private
+     * @param {FormData} form - Multipart upload
+     * @returns {string} Stored filename
+     */
+    _storeFile(form) {
+        const file = form.get('file');
+        this.files.set(file.name, file);
+        return file.name;
+    }
+
+    /**
+     * Start a job for an uploaded file
+     * @private
+     * @param {string} filename - Stored filename
+     */
+    _startJob(filename) {
+        this.job = { filename, state: 'starting', progress: 0 };
+    }
+
+    /**
+     * Cancel the running job
+     * @private
+     */
+    _cancelJob() {
+        if (this.job && (this.job.state === 'starting' || this.job.state === 'printing')) {
+            this.job.state = 'cancelled';
+        }
+    }
+
+    /**
+     * Report the job for a status query and move it one step forward
+     * @private
+     * @returns {Object|null} Job state before advancing
+     */
+    _advanceJob() {
+        if (!this.job) return null;
+
+        const reported = { ...this.job };
+        if (this.job.state === 'starting') {
+            this.job.state = 'printing';
+        } else if (this.job.state === 'printing') {
+            this.job.progress = Math.min(1, this.job.progress + this.progressStep);
+            if (this.job.progress >= 1) this.job.state = 'complete';
+        }
+        return reported;
+    }
+
+    /**
+     * Create a fetch-like response
+     * @private
+     * @param {number} status - HTTP status
+     * @param {Object} body - JSON body
+     * @returns {Object} Response with ok, status and text()
+     */
+    static _response(status, body) {
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            text: async () => JSON.stringify(body)
+        };
+    }
+}
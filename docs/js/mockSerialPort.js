@@ -0,0 +1,84 @@
+// Constants
+const DEFAULT_RESPONSE_DELAY = 5;
+
+/**
+ * Local stand-in for a Web Serial SerialPort that answers every line with `ok`
+ * (or with the lines returned by the `respond` option).
+ * Lets the streaming sender be exercised without a machine attached
+ * (open PlotLab with `?mock-serial` to use it from the send panel).
+ * @class
+ */
+export class MockSerialPort {
+    /**
+     * @param {Object} options - Mock options
+     * @param {number} options.responseDelay - Delay before each `ok` in ms
+     * @param {function(string): Array<string>} [options.respond] - Response lines for a received line, e.g. ['Error:...', 'ok']
+     */
+    constructor(options = {}) {
+        const { responseDelay = DEFAULT_RESPONSE_DELAY, respond = () => ['ok'] } = options;
+
+        this.responseDelay = responseDelay;
+        this.respond = respond;
+        this.readable = null;
+        this.writable = null;
+        this.receivedLines = [];
+        this._controller = null;
+    }
+
+    /**
+     * Open the mock port
+     * @param {Object} options - Serial options (ignored)
+     * @returns {Promise<void>}
+     */
+    async open(options = {}) {
+        const encoder = new TextEncoder();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        this.readable = new ReadableStream({
+            start: (controller) => {
+                this._controller = controller;
+            },
+            cancel: () => {
+                this._controller = null;
+            }
+        });
+
+        this.writable = new WritableStream({
+            write: (chunk) => {
+                if (!this._controller) {
+                    throw new Error('The device has been lost.');
+                }
+                buffer += decoder.decode(chunk, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    this.receivedLines.push(line);
+                    const response = this.respond(line).map(reply => reply + '\n').join('');
+                    setTimeout(() => {
+                        this._controller?.enqueue(encoder.encode(response));
+                    }, this.responseDelay);
+                }
+            }
+        });
+    }
+
+    /**
+     * Simulate unplugging the device: reads fail and further writes are rejected
+     */
+    unplug() {
+        this._controller?.error(new Error('The device has been lost.'));
+        this._controller = null;
+    }
+
+    /**
+     * Close the mock port
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this._controller = null;
+        this.readable = null;
+        this.writable = null;
+    }
+}
@@ -0,0 +1,143 @@
+// Constants
+const DEFAULT_PAPER_SIZE_ID = 'a4';
+const CUSTOM_PAPER_SIZE_ID = 'custom';
+const EPSILON = 1e-6;
+
+/**
+ * @typedef {Object} PaperSize
+ * @property {string} id - Size identifier stored in presets
+ * @property {string} name - Display name
+ * @property {number} width - Portrait width in mm
+ * @property {number} height - Portrait height in mm
+ */
+
+/**
+ * @typedef {Object} Paper
+ * @property {boolean} enabled - Whether the paper is shown and checked
+ * @property {string} size - Paper size id ('custom' for a free size)
+ * @property {number} x - Left edge on the bed in mm
+ * @property {number} y - Bottom edge on the bed in mm
+ * @property {number} width - Width in mm (after orientation)
+ * @property {number} height - Height in mm (after orientation)
+ * @property {number} margin - Blank border kept on every side in mm
+ */
+
+/** @type {Object<string, PaperSize>} */
+const PAPER_SIZES = {
+    a3: { id: 'a3', name: 'A3 (297 × 420 mm)', width: 297, height: 420 },
+    a4: { id: 'a4', name: 'A4 (210 × 297 mm)', width: 210, height: 297 },
+    a5: { id: 'a5', name: 'A5 (148 × 210 mm)', width: 148, height: 210 },
+    letter: { id: 'letter', name: 'US Letter (8.5 × 11 in)', width: 215.9, height: 279.4 },
+    postcard: { id: 'postcard', name: 'Postcard (105 × 148 mm)', width: 105, height: 148 }
+};
+
+/**
+ * Standard paper sizes and checks that keep drawings on the sheet (keep-in area).
+ * Like exclusion zones, the paper lies on the bed: a point is on the paper
+ * when point + pen offset lies inside it.
+ * @class
+ */
+export class PaperArea {
+    /**
+     * Get a paper size by id
+     * @param {string} id - Size identifier
+     * @returns {PaperSize|null} Size definition, null for custom sizes
+     */
+    static getSize(id) {
+        return PAPER_SIZES[id] || null;
+    }
+
+    /**
+     * Get all standard paper sizes
+     * @returns {Array<PaperSize>} Size definitions
+     */
+    static getAllSizes() {
+        return Object.values(PAPER_SIZES);
+    }
+
+    /**
+     * Get the default paper size identifier
+     * @returns {string} Size identifier
+     */
+    static getDefaultId() {
+        return DEFAULT_PAPER_SIZE_ID;
+    }
+
+    /**
+     * Get the identifier used for free sizes
+     * @returns {string} Size identifier
+     */
+    static getCustomId() {
+        return CUSTOM_PAPER_SIZE_ID;
+    }
+
+    /**
+     * Area inside the margins where drawing is allowed
+     * @param {Paper} paper - Paper settings
+     * @returns {{x: number, y: number, width: number, height: number}} Drawable area on the bed in mm
+     */
+    static getDrawableArea(paper) {
+        const margin = Math.max(0, paper.margin || 0);
+        return {
+            x: paper.x + margin,
+            y: paper.y + margin,
+            width: Math.max(0, paper.width - 2 * margin),
+            height: Math.max(0, paper.height - 2 * margin)
+        };
+    }
+
+    /**
+     * Count points that leave the drawable area
+     * @param {Array<Array<[number, number]>>} polylines - Polylines in drawing coordinates
+     * @param {Paper} paper - Paper settings
+     * @param {[number, number]} offset - Pen offset [x, y] in mm
+     * @returns {number} Number of points outside the paper or inside its margin
+     */
+    static countPointsOutside(polylines, paper, offset = [0, 0]) {
+        const area = this.getDrawableArea(paper);
+        const [offsetX, offsetY] = offset;
+        let count = 0;
+
+        for (const polyline of polylines) {
+            for (const [x, y] of polyline) {
+                const px = x + offsetX;
+                const py = y + offsetY;
+                if (px < area.x - EPSILON || py < area.y - EPSILON ||
+                    px > area.x + area.width + EPSILON || py > area.y + area.height + EPSILON) {
+                    count++;
+                }
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Scale and center position that fit drawn bounds into the drawable area
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - Current bounds in drawing coordinates
+     * @param {number} scale - Current scale factor the bounds were drawn at
+     * @param {Paper} paper - Paper settings
+     * @param {[number, number]} offset - Pen offset [x, y] in mm
+     * @returns {{scale: number, translation: [number, number]}|null} New scale and center, null if nothing fits
+     */
+    static fitBounds(bounds, scale, paper, offset = [0, 0]) {
+        const area = this.getDrawableArea(paper);
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        if (area.width <= 0 || area.height <= 0 || (width <= 0 && height <= 0)) return null;
+
+        // Scaling is uniform around the center, so the bounds grow linearly with it
+        const factor = Math.min(
+            width > 0 ? area.width / width : Infinity,
+            height > 0 ? area.height / height : Infinity
+        );
+
+        return {
+            scale: scale * factor,
+            translation: [
+                area.x + area.width / 2 - offset[0],
+                area.y + area.height / 2 - offset[1]
+            ]
+        };
+    }
+}
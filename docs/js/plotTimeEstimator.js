@@ -0,0 +1,250 @@
+// Constants
+const DEFAULT_FEED_RATE = 3000;
+const DEFAULT_TRAVEL_FEED_RATE = 9000;
+const DEFAULT_ACCELERATION = 2000;
+const DEFAULT_JUNCTION_DEVIATION = 0.05;
+const DEFAULT_PEN_LIFT_TIME = 0.1;
+const DEFAULT_TOOL_CHANGE_TIME = 30;
+const MIN_SEGMENT_LENGTH = 1e-6;
+
+/**
+ * @typedef {Object} EstimatorSettings
+ * @property {number} feedRate - Drawing feed rate in mm/min
+ * @property {number} travelFeedRate - Travel feed rate in mm/min
+ * @property {number} acceleration - Acceleration in mm/s²
+ * @property {number} junctionDeviation - Junction deviation in mm (cornering speed)
+ * @property {number} penLiftTime - Time for one pen up or pen down move in seconds
+ * @property {number} penDwell - Dwell after each pen up/down in ms
+ * @property {number} toolChangeTime - Time for one pen swap in seconds
+ */
+
+/**
+ * One step of a plot job: a pen-up travel, optionally followed by a pen swap or a polyline
+ * @typedef {Object} PlotStep
+ * @property {Array<[number, number]>} travel - Travel path including the start position
+ * @property {number} [clearance] - Extra lift above pen-up height for the travel in mm (raised over zones)
+ * @property {boolean} [toolChange] - Pen swap at the end of the travel
+ * @property {Array<[number, number]>} [polyline] - Polyline drawn at the end of the travel
+ */
+
+/**
+ * @typedef {Object} TimeEstimate
+ * @property {number} totalTime - Total plot time in seconds
+ * @property {number} drawTime - Time spent drawing in seconds
+ * @property {number} travelTime - Time spent on travel moves in seconds
+ * @property {number} penTime - Time spent lifting and lowering the pen in seconds
+ * @property {number} toolChangeTime - Time spent swapping pens in seconds
+ * @property {Array<number>} polylineEndTimes - Elapsed time after each polyline in seconds
+ * @property {Array<number>} stepEndTimes - Elapsed time after each step in seconds (estimateSteps)
+ */
+
+/**
+ * Estimates plot duration with a trapezoidal motion planner
+ * (acceleration, junction deviation cornering and pen lift time)
+ * @class
+ */
+export class PlotTimeEstimator {
+    /**
+     * Estimate plot time for polylines drawn in order, with straight travel between them
+     * @param {Array<Array<[number, number]>>} polylines - Polylines in drawing order
+     * @param {EstimatorSettings} settings - Machine settings
+     * @param {[number, number]} startPoint - Starting position
+     * @returns {TimeEstimate} Time estimate
+     */
+    static estimate(polylines, settings = {}, startPoint = [0, 0]) {
+        const steps = [];
+        let current = startPoint;
+        for (const polyline of polylines) {
+            if (!polyline || polyline.length < 2) {
+                steps.push({ travel: [] });
+                continue;
+            }
+            steps.push({ travel: [current, polyline[0]], polyline });
+            current = polyline[polyline.length - 1];
+        }
+
+        const estimate = PlotTimeEstimator.estimateSteps(steps, settings);
+        return { ...estimate, polylineEndTimes: estimate.stepEndTimes };
+    }
+
+    /**
+     * Estimate plot time for a planned job (routed travel, clearance lifts and pen swaps)
+     * @param {Array<PlotStep>} steps - Job steps in order
+     * @param {EstimatorSettings} settings - Machine settings
+     * @returns {TimeEstimate} Time estimate
+     */
+    static estimateSteps(steps, settings = {}) {
+        const feedRate = PlotTimeEstimator._positive(settings.feedRate, DEFAULT_FEED_RATE);
+        const travelFeedRate = PlotTimeEstimator._positive(settings.travelFeedRate, DEFAULT_TRAVEL_FEED_RATE);
+        const acceleration = PlotTimeEstimator._positive(settings.acceleration, DEFAULT_ACCELERATION);
+        const junctionDeviation = Number.isFinite(settings.junctionDeviation) && settings.junctionDeviation >= 0
+            ? settings.junctionDeviation
+            : DEFAULT_JUNCTION_DEVIATION;
+        const penLiftTime = Number.isFinite(settings.penLiftTime) && settings.penLiftTime >= 0
+            ? settings.penLiftTime
+            : DEFAULT_PEN_LIFT_TIME;
+        const penDwell = Number.isFinite(settings.penDwell) && settings.penDwell > 0
+            ? settings.penDwell / 1000
+            : 0;
+        const toolChangeDuration = Number.isFinite(settings.toolChangeTime) && settings.toolChangeTime >= 0
+            ? settings.toolChangeTime
+            : DEFAULT_TOOL_CHANGE_TIME;
+
+        const drawSpeed = feedRate / 60;
+        const travelSpeed = travelFeedRate / 60;
+
+        let drawTime = 0;
+        let travelTime = 0;
+        let penTime = 0;
+        let toolChangeTime = 0;
+        let elapsed = 0;
+        const polylineEndTimes = [];
+        const stepEndTimes = [];
+
+        for (const step of steps) {
+            // Travel moves start and end at rest, a clearance lift goes up before and down after
+            const travel = PlotTimeEstimator._planTime(step.travel || [], travelSpeed, acceleration, junctionDeviation);
+            const lift = step.clearance > 0
+                ? 2 * PlotTimeEstimator._planTime([[0, 0], [step.clearance, 0]], travelSpeed, acceleration, junctionDeviation)
+                : 0;
+            travelTime += travel + lift;
+            elapsed += travel + lift;
+
+            if (step.toolChange) {
+                toolChangeTime += toolChangeDuration;
+                elapsed += toolChangeDuration;
+            }
+
+            if (step.polyline && step.polyline.length >= 2) {
+                const draw = PlotTimeEstimator._planTime(step.polyline, drawSpeed, acceleration, junctionDeviation);
+                const pen = 2 * (penLiftTime + penDwell);
+                drawTime += draw;
+                penTime += pen;
+                elapsed += draw + pen;
+                polylineEndTimes.push(elapsed);
+            }
+            stepEndTimes.push(elapsed);
+        }
+
+        return {
+            totalTime: elapsed,
+            drawTime,
+            travelTime,
+            penTime,
+            toolChangeTime,
+            polylineEndTimes,
+            stepEndTimes
+        };
+    }
+
+    /**
+     * Format seconds as a human readable duration
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Duration like "1h 05m 12s"
+     */
+    static formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+
+        if (hours > 0) {
+            return `${hours}h ${minutes.toString().padStart(2, '0')}m ${secs.toString().padStart(2, '0')}s`;
+        }
+        if (minutes > 0) {
+            return `${minutes}m ${secs.toString().padStart(2, '0')}s`;
+        }
+        return `${secs}s`;
+    }
+
+    /**
+     * Time to move along a polyline without stopping at corners
+     * @private
+     * @param {Array<[number, number]>} points - Path points
+     * @param {number} maxSpeed - Nominal speed in mm/s
+     * @param {number} acceleration - Acceleration in mm/s²
+     * @param {number} junctionDeviation - Junction deviation in mm
+     * @returns {number} Time in seconds
+     */
+    static _planTime(points, maxSpeed, acceleration, junctionDeviation) {
+        const segments = [];
+        for (let i = 1; i < points.length; i++) {
+            const dx = points[i][0] - points[i - 1][0];
+            const dy = points[i][1] - points[i - 1][1];
+            const length = Math.hypot(dx, dy);
+            if (length < MIN_SEGMENT_LENGTH) continue;
+            segments.push({ length, ux: dx / length, uy: dy / length });
+        }
+        if (segments.length === 0) return 0;
+
+        // Entry speed limits from cornering (junction deviation, as in GRBL/Marlin)
+        const entry = new Array(segments.length + 1).fill(0);
+        for (let i = 1; i < segments.length; i++) {
+            entry[i] = PlotTimeEstimator._junctionSpeed(segments[i - 1], segments[i], maxSpeed, acceleration, junctionDeviation);
+        }
+
+        // Backward pass: be able to decelerate into the next entry speed
+        for (let i = segments.length - 1; i >= 0; i--) {
+            entry[i] = Math.min(entry[i], Math.sqrt(entry[i + 1] ** 2 + 2 * acceleration * segments[i].length));
+        }
+
+        // Forward pass: be able to accelerate up to the next entry speed
+        for (let i = 0; i < segments.length; i++) {
+            entry[i + 1] = Math.min(entry[i + 1], Math.sqrt(entry[i] ** 2 + 2 * acceleration * segments[i].length));
+        }
+
+        let time = 0;
+        for (let i = 0; i < segments.length; i++) {
+            time += PlotTimeEstimator._trapezoidTime(segments[i].length, entry[i], entry[i + 1], maxSpeed, acceleration);
+        }
+        return time;
+    }
+
+    /**
+     * Maximum speed through the junction between two segments
+     * @private
+     * @returns {number} Junction speed in mm/s
+     */
+    static _junctionSpeed(prev, next, maxSpeed, acceleration, junctionDeviation) {
+        // cos of the angle between the incoming and the reversed outgoing direction
+        const cosTheta = -(prev.ux * next.ux + prev.uy * next.uy);
+        if (cosTheta > 0.999999) return 0; // Full reversal
+        if (cosTheta < -0.999999) return maxSpeed; // Straight line
+
+        const sinHalfTheta = Math.sqrt((1 - cosTheta) / 2);
+        const speed = Math.sqrt(acceleration * junctionDeviation * sinHalfTheta / (1 - sinHalfTheta));
+        return Math.min(speed, maxSpeed);
+    }
+
+    /**
+     * Time for one segment with a trapezoidal (or triangular) velocity profile
+     * @private
+     * @param {number} length - Segment length in mm
+     * @param {number} v0 - Entry speed in mm/s
+     * @param {number} v1 - Exit speed in mm/s
+     * @param {number} vMax - Nominal speed in mm/s
+     * @param {number} acceleration - Acceleration in mm/s²
+     * @returns {number} Time in seconds
+     */
+    static _trapezoidTime(length, v0, v1, vMax, acceleration) {
+        const peak = Math.sqrt((2 * acceleration * length + v0 * v0 + v1 * v1) / 2);
+
+        if (peak <= vMax) {
+            return Math.max(0, (peak - v0) / acceleration) + Math.max(0, (peak - v1) / acceleration);
+        }
+
+        const accelDistance = (vMax * vMax - v0 * v0) / (2 * acceleration);
+        const decelDistance = (vMax * vMax - v1 * v1) / (2 * acceleration);
+        const cruiseDistance = Math.max(0, length - accelDistance - decelDistance);
+
+        return (vMax - v0) / acceleration + (vMax - v1) / acceleration + cruiseDistance / vMax;
+    }
+
+    /**
+     * Return value when it is a positive finite number, otherwise the fallback
+     * @private
+     */
+    static _positive(value, fallback) {
+        return Number.isFinite(value) && value > 0 ? value : fallback;
+    }
+}
@@ -4,6 +4,7 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { Line2 } from 'three/examples/jsm/lines/Line2.js';
 import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js';
 import { LineGeometry } from 'three/examples/jsm/lines/LineGeometry.js';
+import { ExclusionZonesManager } from './exclusionZones.js';
 
 // Constants
 const CAMERA_POSITION = { x: -250, y: 300, z: 0 };
@@ -40,6 +41,35 @@ const EXCLUSION_ZONE_HEIGHT = 1.2;
 const EXCLUSION_ZONE_BORDER_HEIGHT = 1.25;
 const EXCLUSION_ZONE_OPACITY = 0.3;
 const EXCLUSION_ZONE_COLOR = 0xff0000;
+const EXCLUSION_ZONE_CIRCLE_SEGMENTS = 64;
+const PAPER_HEIGHT = 0.9;
+const PAPER_BORDER_HEIGHT = 0.95;
+const PAPER_COLOR = 0xffffff;
+const PAPER_OPACITY = 0.9;
+const PAPER_BORDER_COLOR = 0x64748b;
+const PAPER_MARGIN_COLOR = 0x94a3b8;
+const SIMULATION_HEIGHT = 1.8;
+const SIMULATION_DRAW_COLOR = 0x111827;
+const SIMULATION_TRAVEL_COLOR = 0xef4444;
+const SIMULATION_DASH_SIZE = 2; // mm
+const SIMULATION_GAP_SIZE = 2; // mm
+const SIMULATION_PEN_COLOR = 0x3b82f6;
+const SIMULATION_PEN_RADIUS = 2;
+const SIMULATION_PEN_LENGTH = 8;
+const SIMULATION_PEN_LIFT = 5; // mm the marker rises on travel moves
+const ZONE_DRAFT_COLOR = 0xf59e0b;
+const ZONE_HANDLE_COLOR = 0xffffff;
+const ZONE_HANDLE_SIZE = 4; // mm
+const ZONE_HANDLE_HEIGHT = 1.3;
+const ZONE_MIN_SIZE = 1; // mm
+const ZONE_SNAP_STEP = 0.5; // mm
+const PICK_TOLERANCE_PX = 10;
+const CLICK_MOVE_TOLERANCE_PX = 4;
+const GIZMO_HANDLE_SIZE = 4; // mm
+const GIZMO_HANDLE_HEIGHT = 1.7;
+const GIZMO_ROTATE_HANDLE_OFFSET = 12; // mm beyond the top edge
+const GIZMO_ROTATION_SNAP = 15; // degrees, while Shift is held
+const GIZMO_MIN_SCALE_FACTOR = 0.01;
 
 const SVG_DEFAULT_COLOR = 0x22c55e;
 const SVG_SELECTED_COLOR = 0x3b82f6;
@@ -57,6 +87,21 @@ const DIRECTIONAL_LIGHT_2_INTENSITY = 0.3;
 
 const ORBIT_DAMPING_FACTOR = 0.05;
 
+/**
+ * @typedef {Object} PreviewCallbacks
+ * @property {function(Object): void} [onZoneCreate] - A zone was drawn (zone geometry in bed mm)
+ * @property {function(string, Object): void} [onZoneChange] - A zone was moved or resized (zone ID, new geometry)
+ * @property {function(string): void} [onSVGSelect] - An SVG was clicked (SVG ID)
+ * @property {function(string, SVGTransformDelta): void} [onSVGTransform] - An SVG was dragged with the gizmo (SVG ID, change)
+ */
+
+/**
+ * @typedef {Object} SVGTransformDelta
+ * @property {[number, number]} translation - Offset of the center in mm
+ * @property {number} scale - Factor applied to the current scale
+ * @property {number} rotation - Degrees added to the current rotation
+ */
+
 /**
  * Three.js-based 3D preview for visualizing SVGs, bed, grid, and exclusion zones.
  * @class
@@ -65,22 +110,41 @@ export class Preview3D {
     /**
      * Initialize the 3D preview
      * @param {HTMLCanvasElement} container - Canvas element for rendering
+     * @param {PreviewCallbacks} callbacks - Zone editing callbacks
      */
-    constructor(container) {
+    constructor(container, callbacks = {}) {
         this.container = container;
+        this.callbacks = callbacks;
         this.svgMeshes = new Map();
         this.svgBounds = new Map();
         this.exclusionZoneMeshes = [];
+        this.paper = null;
+        this.paperMeshes = [];
         this.bedWidth = 256;
         this.bedHeight = 256;
         this.selectedId = null;
         this.selectionOutline = null;
+        this.gizmoHandleMeshes = [];
+        this.svgDrag = null;
+        this.simulation = null;
+
+        // Zone editing state
+        this.zones = [];
+        this.zoneTool = 'off';
+        this.selectedZoneId = null;
+        this.zoneHandleMeshes = [];
+        this.zoneDraft = null;
+        this.zoneDraftMeshes = [];
+        this.zoneDrag = null;
+        this.pointerDownAt = null;
         
         this._initScene();
         this._initLights();
         this._initBed();
         this._initAxes();
         this._initControls();
+        this._initZoneEditing();
+        this._initGizmo();
         this._animate();
         
         // Handle window resize
@@ -376,6 +440,7 @@ export class Preview3D {
         
         this.svgMeshes.set(id, group);
         this.svgBounds.set(id, this._calculateBounds(polylines));
+        group.visible = !this.simulation;
         this.scene.add(group);
 
         if (this.selectedId === id) {
@@ -457,6 +522,7 @@ export class Preview3D {
      */
     _updateSelectionOutline(id) {
         this._clearSelectionOutline();
+        if (this.simulation) return;
 
         const bounds = id ? this.svgBounds.get(id) : null;
         if (!bounds || bounds.width <= 0 || bounds.height <= 0) {
@@ -503,6 +569,8 @@ export class Preview3D {
 
         this.selectionOutline = line;
         this.scene.add(line);
+
+        this._renderGizmoHandles(bounds);
     }
 
     /**
@@ -510,6 +578,9 @@ export class Preview3D {
      * @private
      */
     _clearSelectionOutline() {
+        this._disposeObjects(this.gizmoHandleMeshes);
+        this.gizmoHandleMeshes = [];
+
         if (!this.selectionOutline) return;
         this.scene.remove(this.selectionOutline);
         if (this.selectionOutline.geometry) this.selectionOutline.geometry.dispose();
@@ -567,6 +638,10 @@ export class Preview3D {
         
         // Create new bed
         this._initBed();
+
+        // Zones and paper are positioned relative to the bed center
+        this.updateExclusionZones(this.zones);
+        this.updatePaperArea(this.paper);
     }
 
     /**
@@ -588,29 +663,34 @@ export class Preview3D {
 
     /**
      * Update exclusion zones on the bed
-     * @param {Array<{name: string, x: number, y: number, width: number, height: number, enabled: boolean}>} zones
+     * @param {Array<Object>} zones - Exclusion zones (rect, circle or polygon)
      */
     updateExclusionZones(zones) {
+        this.zones = zones;
+        if (!zones.some(zone => zone.id === this.selectedZoneId && zone.enabled)) {
+            this.selectedZoneId = null;
+        }
+
+        this._renderZones(zones);
+        this._renderZoneHandles();
+    }
+
+    /**
+     * Rebuild the zone meshes
+     * @private
+     * @param {Array<Object>} zones - Exclusion zones
+     */
+    _renderZones(zones) {
         // CLEANUP: Dispose old zone meshes properly to prevent memory leaks
-        this.exclusionZoneMeshes.forEach(mesh => {
-            this.scene.remove(mesh);
-            if (mesh.geometry) mesh.geometry.dispose();
-            if (mesh.material) {
-                if (Array.isArray(mesh.material)) {
-                    mesh.material.forEach(mat => mat.dispose());
-                } else {
-                    mesh.material.dispose();
-                }
-            }
-        });
+        this._disposeObjects(this.exclusionZoneMeshes);
         this.exclusionZoneMeshes = [];
         
         // Add new zone meshes
         zones.forEach(zone => {
             if (!zone.enabled) return;
             
-            // Create semi-transparent red box
-            const geometry = new THREE.PlaneGeometry(zone.width, zone.height);
+            // Create semi-transparent red area in the zone's shape
+            const geometry = new THREE.ShapeGeometry(this._createZoneShape(zone), EXCLUSION_ZONE_CIRCLE_SEGMENTS);
             const material = new THREE.MeshBasicMaterial({ 
                 color: EXCLUSION_ZONE_COLOR,
                 transparent: true,
@@ -619,13 +699,9 @@ export class Preview3D {
             });
             const mesh = new THREE.Mesh(geometry, material);
             
-            // Position on bed (XZ plane, Y is height)
-            const centerCoords = this._transformToThreeCoords(
-                zone.x + zone.width / 2,
-                zone.y + zone.height / 2
-            );
+            // Shape is already in bed coordinates, lay it flat (XZ plane, Y is height)
             mesh.rotation.x = -Math.PI / 2;
-            mesh.position.set(centerCoords.x, EXCLUSION_ZONE_HEIGHT, centerCoords.y);
+            mesh.position.set(0, EXCLUSION_ZONE_HEIGHT, 0);
             
             this.scene.add(mesh);
             this.exclusionZoneMeshes.push(mesh);
@@ -638,13 +714,841 @@ export class Preview3D {
             });
             const border = new THREE.LineSegments(borderGeometry, borderMaterial);
             border.rotation.x = -Math.PI / 2;
-            border.position.set(centerCoords.x, EXCLUSION_ZONE_BORDER_HEIGHT, centerCoords.y);
+            border.position.set(0, EXCLUSION_ZONE_BORDER_HEIGHT, 0);
             
             this.scene.add(border);
             this.exclusionZoneMeshes.push(border);
         });
     }
 
+    /**
+     * Build the outline of a zone as a Three.js shape
+     * @private
+     * @param {Object} zone - Exclusion zone
+     * @returns {THREE.Shape} Shape in the rotated bed plane
+     */
+    _createZoneShape(zone) {
+        // Shape Y is flipped because the mesh is rotated -90° around X
+        const toShape = (x, y) => {
+            const coords = this._transformToThreeCoords(x, y);
+            return new THREE.Vector2(coords.x, -coords.y);
+        };
+
+        if (zone.type === 'circle') {
+            const center = toShape(zone.cx, zone.cy);
+            const shape = new THREE.Shape();
+            shape.absarc(center.x, center.y, zone.radius, 0, Math.PI * 2, false);
+            return shape;
+        }
+
+        const corners = zone.type === 'polygon'
+            ? zone.points
+            : [
+                [zone.x, zone.y],
+                [zone.x + zone.width, zone.y],
+                [zone.x + zone.width, zone.y + zone.height],
+                [zone.x, zone.y + zone.height]
+            ];
+        return new THREE.Shape(corners.map(([x, y]) => toShape(x, y)));
+    }
+
+    /**
+     * Show the paper (keep-in area) and its margin on the bed
+     * @param {Object|null} paper - Paper settings {enabled, x, y, width, height, margin}
+     */
+    updatePaperArea(paper) {
+        this.paper = paper;
+        this._disposeObjects(this.paperMeshes);
+        this.paperMeshes = [];
+
+        if (!paper || !paper.enabled || paper.width <= 0 || paper.height <= 0) return;
+
+        const center = this._transformToThreeCoords(paper.x + paper.width / 2, paper.y + paper.height / 2);
+        const sheet = new THREE.Mesh(
+            new THREE.PlaneGeometry(paper.width, paper.height),
+            new THREE.MeshBasicMaterial({
+                color: PAPER_COLOR,
+                transparent: true,
+                opacity: PAPER_OPACITY,
+                side: THREE.DoubleSide
+            })
+        );
+        sheet.rotation.x = -Math.PI / 2;
+        sheet.position.set(center.x, PAPER_HEIGHT, center.y);
+        this.scene.add(sheet);
+        this.paperMeshes.push(sheet);
+
+        const margin = Math.max(0, paper.margin || 0);
+        const outlines = [[0, PAPER_BORDER_COLOR]];
+        if (margin > 0 && 2 * margin < Math.min(paper.width, paper.height)) {
+            outlines.push([margin, PAPER_MARGIN_COLOR]);
+        }
+
+        outlines.forEach(([inset, color]) => {
+            const x0 = paper.x + inset;
+            const y0 = paper.y + inset;
+            const x1 = paper.x + paper.width - inset;
+            const y1 = paper.y + paper.height - inset;
+            const points = [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]].map(([x, y]) => {
+                const coords = this._transformToThreeCoords(x, y);
+                return new THREE.Vector3(coords.x, PAPER_BORDER_HEIGHT, coords.y);
+            });
+            const outline = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color })
+            );
+            this.scene.add(outline);
+            this.paperMeshes.push(outline);
+        });
+    }
+
+    /**
+     * Remove objects from the scene and free their GPU resources
+     * @private
+     * @param {Array<THREE.Object3D>} objects - Objects to dispose
+     */
+    _disposeObjects(objects) {
+        objects.forEach(mesh => {
+            this.scene.remove(mesh);
+            if (mesh.geometry) mesh.geometry.dispose();
+            if (mesh.material) {
+                if (Array.isArray(mesh.material)) {
+                    mesh.material.forEach(mat => mat.dispose());
+                } else {
+                    mesh.material.dispose();
+                }
+            }
+        });
+    }
+
+    // ========================================
+    // ZONE EDITING
+    // ========================================
+
+    /**
+     * Select the interactive zone tool.
+     * 'edit' moves zones by dragging and resizes them with handles, 'rect' drags out
+     * a rectangle and 'polygon' places corners by clicking. Camera rotation is off
+     * while a tool is active, zooming and right-drag panning keep working.
+     * @param {string} tool - 'off', 'edit', 'rect' or 'polygon'
+     */
+    setZoneTool(tool) {
+        this.zoneTool = tool;
+        this._cancelZoneInteraction();
+        if (tool !== 'edit') this.selectedZoneId = null;
+
+        this.controls.enableRotate = tool === 'off';
+        this.renderer.domElement.style.cursor = tool === 'rect' || tool === 'polygon' ? 'crosshair' : '';
+        this._renderZoneHandles();
+
+        // The SVG gizmo is only active while no zone tool is
+        this._cancelSVGDrag();
+        this._updateSelectionOutline(this.selectedId);
+    }
+
+    /**
+     * Register pointer and keyboard handlers for zone editing
+     * @private
+     */
+    _initZoneEditing() {
+        this.raycaster = new THREE.Raycaster();
+        this.zonePlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -EXCLUSION_ZONE_HEIGHT);
+
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', (e) => this._onZonePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this._onZonePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this._onZonePointerUp(e));
+        canvas.addEventListener('dblclick', () => {
+            if (this.zoneTool === 'polygon') this._finishPolygonDraft();
+        });
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && (this.zoneDraft || this.zoneDrag)) this._cancelZoneInteraction();
+        });
+    }
+
+    /** @private */
+    _onZonePointerDown(event) {
+        if (this.zoneTool === 'off' || event.button !== 0) return;
+        const point = this._pointerToBed(event);
+        if (!point) return;
+
+        this.pointerDownAt = { x: event.clientX, y: event.clientY };
+
+        if (this.zoneTool === 'rect') {
+            this.zoneDraft = { type: 'rect', start: point, end: point };
+            this.renderer.domElement.setPointerCapture(event.pointerId);
+        } else if (this.zoneTool === 'edit') {
+            this._startZoneDrag(point);
+            if (this.zoneDrag) this.renderer.domElement.setPointerCapture(event.pointerId);
+        }
+    }
+
+    /** @private */
+    _onZonePointerMove(event) {
+        if (this.zoneTool === 'off' || (!this.zoneDraft && !this.zoneDrag)) return;
+        const point = this._pointerToBed(event);
+        if (!point) return;
+
+        if (this.zoneDrag) {
+            const drag = this.zoneDrag;
+            drag.geometry = drag.handle === null
+                ? this._translateZoneGeometry(drag.original, point[0] - drag.start[0], point[1] - drag.start[1])
+                : this._moveZoneHandle(drag.original, drag.handle, point);
+            drag.moved = true;
+
+            const preview = this.zones.map(zone => zone.id === drag.zoneId ? { ...zone, ...drag.geometry } : zone);
+            this._renderZones(preview);
+            this._renderZoneHandles(preview);
+            return;
+        }
+
+        if (this.zoneDraft.type === 'rect') {
+            this.zoneDraft.end = point;
+        } else {
+            this.zoneDraft.hover = point;
+        }
+        this._renderZoneDraft();
+    }
+
+    /** @private */
+    _onZonePointerUp(event) {
+        if (this.zoneTool === 'off' || event.button !== 0) return;
+        const point = this._pointerToBed(event);
+        const isClick = this.pointerDownAt &&
+            Math.hypot(event.clientX - this.pointerDownAt.x, event.clientY - this.pointerDownAt.y) <= CLICK_MOVE_TOLERANCE_PX;
+        this.pointerDownAt = null;
+
+        if (this.zoneDrag) {
+            const { zoneId, geometry, moved } = this.zoneDrag;
+            this.zoneDrag = null;
+            if (moved && geometry) {
+                this.callbacks.onZoneChange?.(zoneId, geometry);
+            }
+            // The owner updates the zones; show the stored state until it does
+            this._renderZones(this.zones);
+            this._renderZoneHandles();
+            return;
+        }
+
+        if (this.zoneTool === 'rect' && this.zoneDraft) {
+            const { start, end } = this.zoneDraft;
+            this._cancelZoneInteraction();
+
+            const width = Math.abs(end[0] - start[0]);
+            const height = Math.abs(end[1] - start[1]);
+            if (width >= ZONE_MIN_SIZE && height >= ZONE_MIN_SIZE) {
+                this.callbacks.onZoneCreate?.({
+                    type: 'rect',
+                    x: Math.min(start[0], end[0]),
+                    y: Math.min(start[1], end[1]),
+                    width,
+                    height
+                });
+            }
+            return;
+        }
+
+        if (this.zoneTool === 'polygon' && isClick && point) {
+            if (!this.zoneDraft) {
+                this.zoneDraft = { type: 'polygon', points: [], hover: point };
+            }
+
+            const points = this.zoneDraft.points;
+            const tolerance = this._pixelsToBed(PICK_TOLERANCE_PX);
+            const closesPolygon = points.length >= 3 &&
+                Math.hypot(point[0] - points[0][0], point[1] - points[0][1]) <= tolerance;
+
+            if (closesPolygon) {
+                this._finishPolygonDraft();
+                return;
+            }
+
+            // Double-clicks land on the previous corner
+            const last = points[points.length - 1];
+            if (!last || Math.hypot(point[0] - last[0], point[1] - last[1]) > tolerance) {
+                points.push(point);
+            }
+            this._renderZoneDraft();
+        }
+    }
+
+    /**
+     * Start moving or resizing the zone under the pointer
+     * @private
+     * @param {[number, number]} point - Pointer position in bed mm
+     */
+    _startZoneDrag(point) {
+        const tolerance = this._pixelsToBed(PICK_TOLERANCE_PX);
+        const selected = this.zones.find(zone => zone.id === this.selectedZoneId);
+
+        if (selected) {
+            const handle = this._getZoneHandles(selected).findIndex(([hx, hy]) =>
+                Math.hypot(point[0] - hx, point[1] - hy) <= tolerance
+            );
+            if (handle !== -1) {
+                this.zoneDrag = { zoneId: selected.id, handle, start: point, original: selected, geometry: null, moved: false };
+                return;
+            }
+        }
+
+        // Topmost (last drawn) zone wins
+        const hit = [...this.zones].reverse().find(zone =>
+            zone.enabled && ExclusionZonesManager.isPointInZone(point[0], point[1], zone)
+        );
+        this.selectedZoneId = hit ? hit.id : null;
+        this.zoneDrag = hit
+            ? { zoneId: hit.id, handle: null, start: point, original: hit, geometry: null, moved: false }
+            : null;
+        this._renderZoneHandles();
+    }
+
+    /**
+     * Hand the drawn polygon to the owner if it has enough corners
+     * @private
+     */
+    _finishPolygonDraft() {
+        const points = this.zoneDraft?.points || [];
+        this._cancelZoneInteraction();
+        if (points.length >= 3) {
+            this.callbacks.onZoneCreate?.({ type: 'polygon', points });
+        }
+    }
+
+    /**
+     * Drop any drawing or dragging in progress
+     * @private
+     */
+    _cancelZoneInteraction() {
+        const wasDragging = !!this.zoneDrag;
+        this.zoneDraft = null;
+        this.zoneDrag = null;
+        this.pointerDownAt = null;
+        this._renderZoneDraft();
+
+        if (wasDragging) {
+            this._renderZones(this.zones);
+            this._renderZoneHandles();
+        }
+    }
+
+    /**
+     * Copy of a zone's geometry moved by an offset
+     * @private
+     * @returns {Object} Zone geometry
+     */
+    _translateZoneGeometry(zone, dx, dy) {
+        if (zone.type === 'circle') {
+            return { type: 'circle', cx: this._snap(zone.cx + dx), cy: this._snap(zone.cy + dy), radius: zone.radius };
+        }
+        if (zone.type === 'polygon') {
+            return { type: 'polygon', points: zone.points.map(([x, y]) => [this._snap(x + dx), this._snap(y + dy)]) };
+        }
+        return { type: 'rect', x: this._snap(zone.x + dx), y: this._snap(zone.y + dy), width: zone.width, height: zone.height };
+    }
+
+    /**
+     * Copy of a zone's geometry with one handle dragged to a point
+     * @private
+     * @returns {Object} Zone geometry
+     */
+    _moveZoneHandle(zone, handle, point) {
+        if (zone.type === 'circle') {
+            const radius = Math.hypot(point[0] - zone.cx, point[1] - zone.cy);
+            return { type: 'circle', cx: zone.cx, cy: zone.cy, radius: Math.max(ZONE_MIN_SIZE, this._snap(radius)) };
+        }
+        if (zone.type === 'polygon') {
+            const points = zone.points.map((corner, i) => i === handle ? point : [...corner]);
+            return { type: 'polygon', points };
+        }
+
+        // The opposite corner stays put
+        const [ox, oy] = this._getZoneHandles(zone)[(handle + 2) % 4];
+        return {
+            type: 'rect',
+            x: Math.min(ox, point[0]),
+            y: Math.min(oy, point[1]),
+            width: Math.max(ZONE_MIN_SIZE, Math.abs(point[0] - ox)),
+            height: Math.max(ZONE_MIN_SIZE, Math.abs(point[1] - oy))
+        };
+    }
+
+    /**
+     * Resize handle positions of a zone in bed mm
+     * @private
+     * @returns {Array<[number, number]>} Rectangle corners, the circle's rim point or polygon corners
+     */
+    _getZoneHandles(zone) {
+        if (zone.type === 'circle') return [[zone.cx + zone.radius, zone.cy]];
+        if (zone.type === 'polygon') return zone.points;
+        return [
+            [zone.x, zone.y],
+            [zone.x + zone.width, zone.y],
+            [zone.x + zone.width, zone.y + zone.height],
+            [zone.x, zone.y + zone.height]
+        ];
+    }
+
+    /**
+     * Draw handles on the selected zone
+     * @private
+     * @param {Array<Object>} zones - Zones to look the selection up in
+     */
+    _renderZoneHandles(zones = this.zones) {
+        this._disposeObjects(this.zoneHandleMeshes);
+        this.zoneHandleMeshes = [];
+
+        const zone = this.zoneTool === 'edit' && zones.find(z => z.id === this.selectedZoneId);
+        if (!zone) return;
+
+        this._getZoneHandles(zone).forEach(([x, y]) => {
+            const coords = this._transformToThreeCoords(x, y);
+            const geometry = new THREE.PlaneGeometry(ZONE_HANDLE_SIZE, ZONE_HANDLE_SIZE);
+            const handle = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: ZONE_HANDLE_COLOR, side: THREE.DoubleSide }));
+            handle.rotation.x = -Math.PI / 2;
+            handle.position.set(coords.x, ZONE_HANDLE_HEIGHT, coords.y);
+
+            const border = new THREE.LineSegments(
+                new THREE.EdgesGeometry(geometry),
+                new THREE.LineBasicMaterial({ color: EXCLUSION_ZONE_COLOR })
+            );
+            border.rotation.x = -Math.PI / 2;
+            border.position.set(coords.x, ZONE_HANDLE_HEIGHT, coords.y);
+
+            this.scene.add(handle, border);
+            this.zoneHandleMeshes.push(handle, border);
+        });
+    }
+
+    /**
+     * Draw the outline of the zone being drawn
+     * @private
+     */
+    _renderZoneDraft() {
+        this._disposeObjects(this.zoneDraftMeshes);
+        this.zoneDraftMeshes = [];
+
+        const draft = this.zoneDraft;
+        if (!draft) return;
+
+        let corners;
+        if (draft.type === 'rect') {
+            const [x0, y0] = draft.start;
+            const [x1, y1] = draft.end;
+            corners = [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+        } else {
+            corners = [...draft.points, draft.hover];
+        }
+        if (corners.length < 2) return;
+
+        const points = corners.map(([x, y]) => {
+            const coords = this._transformToThreeCoords(x, y);
+            return new THREE.Vector3(coords.x, EXCLUSION_ZONE_BORDER_HEIGHT, coords.y);
+        });
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: ZONE_DRAFT_COLOR })
+        );
+        this.scene.add(line);
+        this.zoneDraftMeshes.push(line);
+    }
+
+    // ========================================
+    // TRANSFORM GIZMO
+    // ========================================
+
+    /**
+     * Register pointer handlers for selecting and transforming SVGs.
+     * Dragging inside the selected SVG moves it, corner handles scale it around
+     * its center and the handle above it rotates it (Shift snaps the angle).
+     * Elsewhere the left button keeps orbiting the camera.
+     * @private
+     */
+    _initGizmo() {
+        const canvas = this.renderer.domElement;
+
+        // Capture phase runs before OrbitControls, which then ignores the drag
+        canvas.addEventListener('pointerdown', (e) => this._onGizmoPointerDown(e), { capture: true });
+        canvas.addEventListener('pointermove', (e) => this._onGizmoPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this._onGizmoPointerUp(e));
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.svgDrag) this._cancelSVGDrag();
+        });
+    }
+
+    /** @private */
+    _onGizmoPointerDown(event) {
+        if (this.zoneTool !== 'off' || this.simulation || event.button !== 0) return;
+        const point = this._pointerToBed(event);
+        if (!point) return;
+
+        this.pointerDownAt = { x: event.clientX, y: event.clientY };
+
+        const bounds = this.selectedId ? this.svgBounds.get(this.selectedId) : null;
+        if (!bounds || bounds.width <= 0 || bounds.height <= 0) return;
+
+        const tolerance = this._pixelsToBed(PICK_TOLERANCE_PX);
+        const center = [(bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2];
+        const handles = this._getGizmoHandles(bounds);
+        const handle = handles.findIndex(([hx, hy]) => Math.hypot(point[0] - hx, point[1] - hy) <= tolerance);
+        const inside = point[0] >= bounds.minX && point[0] <= bounds.maxX &&
+                       point[1] >= bounds.minY && point[1] <= bounds.maxY;
+
+        let mode = null;
+        if (handle === handles.length - 1) {
+            mode = 'rotate';
+        } else if (handle !== -1) {
+            mode = 'scale';
+        } else if (inside) {
+            mode = 'move';
+        }
+        if (!mode) return;
+
+        this.svgDrag = {
+            id: this.selectedId,
+            mode,
+            start: point,
+            center,
+            dx: 0,
+            dy: 0,
+            factor: 1,
+            angle: 0,
+            moved: false
+        };
+        this.controls.enabled = false;
+        this.renderer.domElement.setPointerCapture(event.pointerId);
+    }
+
+    /** @private */
+    _onGizmoPointerMove(event) {
+        const drag = this.svgDrag;
+        if (!drag) return;
+        const point = this._pointerToBed(event);
+        if (!point) return;
+
+        const [cx, cy] = drag.center;
+        if (drag.mode === 'move') {
+            drag.dx = point[0] - drag.start[0];
+            drag.dy = point[1] - drag.start[1];
+        } else if (drag.mode === 'scale') {
+            const startDistance = Math.hypot(drag.start[0] - cx, drag.start[1] - cy);
+            const distance = Math.hypot(point[0] - cx, point[1] - cy);
+            drag.factor = startDistance > 0 ? Math.max(GIZMO_MIN_SCALE_FACTOR, distance / startDistance) : 1;
+        } else {
+            const startAngle = Math.atan2(drag.start[1] - cy, drag.start[0] - cx);
+            let angle = THREE.MathUtils.radToDeg(Math.atan2(point[1] - cy, point[0] - cx) - startAngle);
+            angle = ((angle + 540) % 360) - 180;
+            if (event.shiftKey) angle = Math.round(angle / GIZMO_ROTATION_SNAP) * GIZMO_ROTATION_SNAP;
+            drag.angle = angle;
+        }
+        drag.moved = true;
+
+        this._applySVGDragPreview();
+    }
+
+    /** @private */
+    _onGizmoPointerUp(event) {
+        if (this.zoneTool !== 'off' || event.button !== 0) return;
+
+        if (this.svgDrag) {
+            const { id, dx, dy, factor, angle, moved } = this.svgDrag;
+            this.svgDrag = null;
+            this.controls.enabled = true;
+            this.pointerDownAt = null;
+
+            if (moved && (dx !== 0 || dy !== 0 || factor !== 1 || angle !== 0)) {
+                this.callbacks.onSVGTransform?.(id, { translation: [dx, dy], scale: factor, rotation: angle });
+            }
+            // The owner redraws the SVG; restore the stored state until it does
+            this._resetSVGDragPreview(id);
+            return;
+        }
+
+        const isClick = this.pointerDownAt &&
+            Math.hypot(event.clientX - this.pointerDownAt.x, event.clientY - this.pointerDownAt.y) <= CLICK_MOVE_TOLERANCE_PX;
+        this.pointerDownAt = null;
+        if (!isClick) return;
+
+        const point = this._pointerToBed(event);
+        const id = point ? this._pickSVG(point) : null;
+        if (id && id !== this.selectedId) {
+            this.callbacks.onSVGSelect?.(id);
+        }
+    }
+
+    /**
+     * Find the SVG under a bed position, the smallest bounds win
+     * @private
+     * @param {[number, number]} point - Bed position in mm
+     * @returns {string|null} SVG ID
+     */
+    _pickSVG([x, y]) {
+        let best = null;
+        let bestArea = Infinity;
+
+        this.svgBounds.forEach((bounds, id) => {
+            const inside = x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY;
+            const area = bounds.width * bounds.height;
+            if (inside && area < bestArea) {
+                best = id;
+                bestArea = area;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Handle positions of the selected bounds in bed mm
+     * @private
+     * @returns {Array<[number, number]>} Four scale corners followed by the rotate handle
+     */
+    _getGizmoHandles(bounds) {
+        return [
+            [bounds.minX, bounds.minY],
+            [bounds.maxX, bounds.minY],
+            [bounds.maxX, bounds.maxY],
+            [bounds.minX, bounds.maxY],
+            [(bounds.minX + bounds.maxX) / 2, bounds.maxY + GIZMO_ROTATE_HANDLE_OFFSET]
+        ];
+    }
+
+    /**
+     * Draw scale and rotate handles around the selected SVG
+     * @private
+     * @param {Object} bounds - Selected SVG bounds
+     */
+    _renderGizmoHandles(bounds) {
+        this._disposeObjects(this.gizmoHandleMeshes);
+        this.gizmoHandleMeshes = [];
+        if (this.zoneTool !== 'off') return;
+
+        const handles = this._getGizmoHandles(bounds);
+        const rotateHandle = handles[handles.length - 1];
+        const toWorld = ([x, y]) => {
+            const coords = this._transformToThreeCoords(x, y);
+            return new THREE.Vector3(coords.x, GIZMO_HANDLE_HEIGHT, coords.y);
+        };
+
+        handles.forEach((handle, i) => {
+            const geometry = i === handles.length - 1
+                ? new THREE.CircleGeometry(GIZMO_HANDLE_SIZE / 2, 24)
+                : new THREE.PlaneGeometry(GIZMO_HANDLE_SIZE, GIZMO_HANDLE_SIZE);
+            const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                color: SVG_SELECTION_OUTLINE_COLOR,
+                side: THREE.DoubleSide
+            }));
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.position.copy(toWorld(handle));
+            this.scene.add(mesh);
+            this.gizmoHandleMeshes.push(mesh);
+        });
+
+        // Stem from the top edge to the rotate handle
+        const stem = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([
+                toWorld([rotateHandle[0], bounds.maxY]),
+                toWorld(rotateHandle)
+            ]),
+            new THREE.LineBasicMaterial({ color: SVG_SELECTION_OUTLINE_COLOR })
+        );
+        this.scene.add(stem);
+        this.gizmoHandleMeshes.push(stem);
+    }
+
+    /**
+     * Show the drag result by transforming the meshes, without touching the polylines
+     * @private
+     */
+    _applySVGDragPreview() {
+        const { id, center, dx, dy, factor, angle } = this.svgDrag;
+        const pivot = this._transformToThreeCoords(center[0], center[1]);
+
+        // Bed Y runs along world Z, so a counterclockwise bed rotation is negative around world Y
+        const matrix = new THREE.Matrix4().makeTranslation(pivot.x + dx, 0, pivot.y + dy)
+            .multiply(new THREE.Matrix4().makeRotationY(-THREE.MathUtils.degToRad(angle)))
+            .multiply(new THREE.Matrix4().makeScale(factor, 1, factor))
+            .multiply(new THREE.Matrix4().makeTranslation(-pivot.x, 0, -pivot.y));
+
+        const objects = [this.svgMeshes.get(id), this.selectionOutline].filter(Boolean);
+        objects.forEach(object => {
+            object.matrixAutoUpdate = false;
+            object.matrix.copy(matrix);
+            object.matrixWorldNeedsUpdate = true;
+        });
+        this.gizmoHandleMeshes.forEach(mesh => { mesh.visible = false; });
+    }
+
+    /**
+     * Undo the drag preview transform of an SVG
+     * @private
+     * @param {string} id - SVG identifier
+     */
+    _resetSVGDragPreview(id) {
+        const group = this.svgMeshes.get(id);
+        if (group) {
+            group.matrix.identity();
+            group.matrixAutoUpdate = true;
+        }
+        this._updateSelectionOutline(this.selectedId);
+    }
+
+    /**
+     * Abort a gizmo drag in progress
+     * @private
+     */
+    _cancelSVGDrag() {
+        if (!this.svgDrag) return;
+        const { id } = this.svgDrag;
+        this.svgDrag = null;
+        this.pointerDownAt = null;
+        this.controls.enabled = true;
+        this._resetSVGDragPreview(id);
+    }
+
+    /**
+     * Intersect the pointer ray with the bed plane
+     * @private
+     * @param {PointerEvent} event - Pointer event on the canvas
+     * @returns {[number, number]|null} Snapped bed position in mm, null if the ray misses the bed plane
+     */
+    _pointerToBed(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(ndc, this.camera);
+
+        const hit = new THREE.Vector3();
+        if (!this.raycaster.ray.intersectPlane(this.zonePlane, hit)) return null;
+
+        return [
+            this._snap(hit.x + this.bedWidth / 2),
+            this._snap(hit.z + this.bedHeight / 2)
+        ];
+    }
+
+    /**
+     * Approximate bed distance covered by a number of screen pixels at the orbit target
+     * @private
+     * @param {number} pixels - Screen distance
+     * @returns {number} Distance in mm
+     */
+    _pixelsToBed(pixels) {
+        const distance = this.camera.position.distanceTo(this.controls.target);
+        const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        return (pixels * visibleHeight) / this.renderer.domElement.clientHeight;
+    }
+
+    /** @private */
+    _snap(value) {
+        return Math.round(value / ZONE_SNAP_STEP) * ZONE_SNAP_STEP;
+    }
+
+    // ========================================
+    // SIMULATION
+    // ========================================
+
+    /**
+     * Replace the SVG lines with a toolpath that is revealed by setSimulationFrame
+     * @param {Object} toolpath - Parsed G-code moves from ToolpathSimulator.parse
+     */
+    showSimulation(toolpath) {
+        this.hideSimulation();
+
+        const { segments } = toolpath;
+        const drawPositions = [];
+        const travelPositions = [];
+        // Number of draw/travel segments before each segment, for the draw ranges
+        const drawBefore = new Uint32Array(segments.length + 1);
+        const travelBefore = new Uint32Array(segments.length + 1);
+
+        segments.forEach((segment, i) => {
+            const from = this._transformToThreeCoords(segment.from[0], segment.from[1]);
+            const to = this._transformToThreeCoords(segment.to[0], segment.to[1]);
+            const positions = segment.draw ? drawPositions : travelPositions;
+            positions.push(from.x, SIMULATION_HEIGHT, from.y, to.x, SIMULATION_HEIGHT, to.y);
+            drawBefore[i + 1] = drawBefore[i] + (segment.draw ? 1 : 0);
+            travelBefore[i + 1] = travelBefore[i] + (segment.draw ? 0 : 1);
+        });
+
+        const createLines = (positions, material) => {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            const lines = new THREE.LineSegments(geometry, material);
+            lines.frustumCulled = false;
+            return lines;
+        };
+
+        const drawn = createLines(drawPositions, new THREE.LineBasicMaterial({ color: SIMULATION_DRAW_COLOR }));
+        const travel = createLines(travelPositions, new THREE.LineDashedMaterial({
+            color: SIMULATION_TRAVEL_COLOR,
+            dashSize: SIMULATION_DASH_SIZE,
+            gapSize: SIMULATION_GAP_SIZE
+        }));
+        travel.computeLineDistances();
+
+        // Part of the current move that is already done
+        const head = createLines([0, 0, 0, 0, 0, 0], new THREE.LineBasicMaterial({ color: SIMULATION_DRAW_COLOR }));
+
+        const pen = new THREE.Mesh(
+            new THREE.ConeGeometry(SIMULATION_PEN_RADIUS, SIMULATION_PEN_LENGTH, 16),
+            new THREE.MeshStandardMaterial({ color: SIMULATION_PEN_COLOR })
+        );
+        pen.rotation.x = Math.PI; // Tip down
+
+        this.simulation = { segments, drawBefore, travelBefore, drawn, travel, head, pen };
+        this.scene.add(drawn, travel, head, pen);
+
+        this.svgMeshes.forEach(group => { group.visible = false; });
+        this._clearSelectionOutline();
+        this._clearCollisionMarkers();
+    }
+
+    /**
+     * Show the toolpath up to a simulation frame
+     * @param {Object} frame - Current ToolpathSimulator frame
+     */
+    setSimulationFrame(frame) {
+        const simulation = this.simulation;
+        if (!simulation) return;
+
+        const { segments, drawBefore, travelBefore, drawn, travel, head, pen } = simulation;
+        const index = frame.index;
+        const completed = Math.max(0, index);
+        drawn.geometry.setDrawRange(0, 2 * drawBefore[completed]);
+        travel.geometry.setDrawRange(0, 2 * travelBefore[completed]);
+
+        const position = this._transformToThreeCoords(frame.position[0], frame.position[1]);
+        const segment = segments[index];
+        if (segment) {
+            const from = this._transformToThreeCoords(segment.from[0], segment.from[1]);
+            const attribute = head.geometry.getAttribute('position');
+            attribute.setXYZ(0, from.x, SIMULATION_HEIGHT, from.y);
+            attribute.setXYZ(1, position.x, SIMULATION_HEIGHT, position.y);
+            attribute.needsUpdate = true;
+            head.material.color.setHex(segment.draw ? SIMULATION_DRAW_COLOR : SIMULATION_TRAVEL_COLOR);
+        }
+        head.visible = !!segment;
+
+        const lift = frame.penDown ? 0 : SIMULATION_PEN_LIFT;
+        pen.position.set(position.x, SIMULATION_HEIGHT + lift + SIMULATION_PEN_LENGTH / 2, position.y);
+    }
+
+    /**
+     * Remove the toolpath and show the SVG lines again
+     */
+    hideSimulation() {
+        if (!this.simulation) return;
+
+        const { drawn, travel, head, pen } = this.simulation;
+        this._disposeObjects([drawn, travel, head, pen]);
+        this.simulation = null;
+
+        this.svgMeshes.forEach(group => { group.visible = true; });
+        this._updateSelectionOutline(this.selectedId);
+    }
+
     // ========================================
     // COLLISION DETECTION
     // ========================================
@@ -681,7 +1585,7 @@ export class Preview3D {
 
                 // Check exclusion zones
                 exclusionZones.forEach(zone => {
-                    if (this._isPointInZone(x, y, zone)) {
+                    if (ExclusionZonesManager.isPointInZone(x, y, zone)) {
                         zoneCollisionPoints.push({ x, y, polyIdx, pointIdx });
                     }
                 });
@@ -707,17 +1611,6 @@ export class Preview3D {
         };
     }
 
-    /**
-     * Check if point is inside exclusion zone
-     * @private
-     */
-    _isPointInZone(x, y, zone) {
-        return x >= zone.x && 
-               x <= (zone.x + zone.width) && 
-               y >= zone.y && 
-               y <= (zone.y + zone.height);
-    }
-
     /**
      * Add visual marker for collision point
      * @private
@@ -0,0 +1,216 @@
+// Constants
+const HOST_TYPES = ['octoprint', 'moonraker'];
+const DEFAULT_FILENAME = 'plotter_output.gcode';
+
+/**
+ * @typedef {Object} HostSettings
+ * @property {string} type - 'octoprint' or 'moonraker'
+ * @property {string} url - Host base URL, e.g. http://octopi.local
+ * @property {string} apiKey - API key (optional for Moonraker)
+ */
+
+/**
+ * @typedef {Object} JobStatus
+ * @property {string} state - Normalized state: 'idle', 'printing', 'paused', 'complete', 'cancelled' or 'error'
+ * @property {string} filename - File of the current job
+ * @property {number} progress - Completion between 0 and 1
+ * @property {number} elapsed - Elapsed job time in seconds
+ * @property {number|null} remaining - Remaining job time in seconds if known
+ */
+
+/**
+ * REST client for printer hosts (OctoPrint and Moonraker/Klipper).
+ * Uploads G-Code, starts jobs and reads job progress.
+ * @class
+ */
+export class PrinterHostClient {
+    /**
+     * @param {HostSettings} settings - Host settings
+     * @param {Function} [fetchImpl] - fetch implementation (defaults to window fetch)
+     */
+    constructor(settings, fetchImpl = null) {
+        const { type, url, apiKey = '' } = settings;
+
+        if (!HOST_TYPES.includes(type)) {
+            throw new Error(`Unknown printer host type: ${type}`);
+        }
+        if (!url || !/^https?:\/\//i.test(url.trim())) {
+            throw new Error('Host URL must start with http:// or https://');
+        }
+
+        this.type = type;
+        this.baseUrl = url.trim().replace(/\/+$/, '');
+        this.apiKey = apiKey.trim();
+        this.fetch = fetchImpl || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Check that the host is reachable and the API key is accepted
+     * @returns {Promise<string>} Host version description
+     */
+    async testConnection() {
+        if (this.type === 'octoprint') {
+            const data = await this._request('GET', '/api/version');
+            return `OctoPrint ${data.server || ''}`.trim();
+        }
+
+        const data = await this._request('GET', '/server/info');
+        return `Moonraker (Klippy ${data.result?.klippy_state || 'unknown'})`;
+    }
+
+    /**
+     * Upload G-Code to the host (use startJob with the stored filename to plot it)
+     * @param {string} gcode - G-Code text
+     * @param {string} filename - Target filename
+     * @returns {Promise<string>} Stored filename
+     */
+    async upload(gcode, filename = DEFAULT_FILENAME) {
+        const form = new FormData();
+        form.append('file', new Blob([gcode], { type: 'text/plain' }), filename);
+
+        if (this.type === 'octoprint') {
+            const data = await this._request('POST', '/api/files/local', form);
+            return data.files?.local?.name || filename;
+        }
+
+        form.append('root', 'gcodes');
+        const data = await this._request('POST', '/server/files/upload', form);
+        return data.item?.path || data.result?.item?.path || filename;
+    }
+
+    /**
+     * Start a previously uploaded job
+     * @param {string} filename - Uploaded filename
+     * @returns {Promise<void>}
+     */
+    async startJob(filename) {
+        if (this.type === 'octoprint') {
+            await this._request('POST', `/api/files/local/${encodeURIComponent(filename)}`, {
+                command: 'select',
+                print: true
+            });
+            return;
+        }
+
+        await this._request('POST', `/printer/print/start?filename=${encodeURIComponent(filename)}`);
+    }
+
+    /**
+     * Cancel the running job
+     * @returns {Promise<void>}
+     */
+    async cancelJob() {
+        if (this.type === 'octoprint') {
+            await this._request('POST', '/api/job', { command: 'cancel' });
+            return;
+        }
+
+        await this._request('POST', '/printer/print/cancel');
+    }
+
+    /**
+     * Read the current job status
+     * @returns {Promise<JobStatus>} Normalized job status
+     */
+    async getJobStatus() {
+        if (this.type === 'octoprint') {
+            const data = await this._request('GET', '/api/job');
+            return PrinterHostClient._normalizeOctoPrintJob(data);
+        }
+
+        const data = await this._request('GET', '/printer/objects/query?print_stats&virtual_sdcard');
+        return PrinterHostClient._normalizeMoonrakerJob(data.result?.status || {});
+    }
+
+    /**
+     * Send a request to the host
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {FormData|Object} [body] - Multipart form or JSON body
+     * @returns {Promise<Object>} Parsed JSON response (empty object for empty responses)
+     */
+    async _request(method, path, body = undefined) {
+        const headers = {};
+        if (this.apiKey) {
+            headers['X-Api-Key'] = this.apiKey;
+        }
+
+        let payload = body;
+        if (body !== undefined && !(body instanceof FormData)) {
+            headers['Content-Type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await this.fetch(this.baseUrl + path, { method, headers, body: payload });
+        } catch (error) {
+            throw new Error(`Cannot reach ${this.baseUrl} (${error.message}). Check the URL and CORS settings of the host.`);
+        }
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            if (response.status === 401 || response.status === 403) {
+                throw new Error(`Host rejected the API key (HTTP ${response.status})`);
+            }
+            throw new Error(`Host request ${method} ${path} failed (HTTP ${response.status}) ${detail}`.trim());
+        }
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : {};
+    }
+
+    /**
+     * Convert an OctoPrint /api/job response
+     * @private
+     * @param {Object} data - Response body
+     * @returns {JobStatus} Normalized status
+     */
+    static _normalizeOctoPrintJob(data) {
+        const rawState = (data.state || '').toLowerCase();
+        let state = 'idle';
+        if (rawState.startsWith('printing')) state = 'printing';
+        else if (rawState.startsWith('paus')) state = 'paused';
+        else if (rawState.startsWith('cancel')) state = 'cancelled';
+        else if (rawState.includes('error') || rawState.startsWith('offline')) state = 'error';
+        else if (rawState === 'operational' && data.progress?.completion >= 100) state = 'complete';
+
+        return {
+            state,
+            filename: data.job?.file?.name || '',
+            progress: Math.min(1, Math.max(0, (data.progress?.completion || 0) / 100)),
+            elapsed: data.progress?.printTime || 0,
+            remaining: data.progress?.printTimeLeft ?? null
+        };
+    }
+
+    /**
+     * Convert a Moonraker print_stats/virtual_sdcard query result
+     * @private
+     * @param {Object} status - Printer object status
+     * @returns {JobStatus} Normalized status
+     */
+    static _normalizeMoonrakerJob(status) {
+        const printStats = status.print_stats || {};
+        const rawState = printStats.state || 'standby';
+        const stateMap = {
+            standby: 'idle',
+            printing: 'printing',
+            paused: 'paused',
+            complete: 'complete',
+            cancelled: 'cancelled',
+            error: 'error'
+        };
+        const progress = Math.min(1, Math.max(0, status.virtual_sdcard?.progress || 0));
+        const elapsed = printStats.print_duration || 0;
+
+        return {
+            state: stateMap[rawState] || 'idle',
+            filename: printStats.filename || '',
+            progress,
+            elapsed,
+            remaining: progress > 0 ? elapsed / progress - elapsed : null
+        };
+    }
+}
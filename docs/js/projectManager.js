@@ -30,6 +30,7 @@ export class ProjectManager {
             penColor: svg.penColor,
             hatchingEnabled: svg.hatchingEnabled,
             hatchingSettings: svg.hatchingSettings,
+            fills: svg.fills,
             metadata: svg.metadata
         }));
 
@@ -39,7 +40,7 @@ export class ProjectManager {
             timestamp: new Date().toISOString(),
             settings: this.settings,
             svgs,
-            exclusionZones: this.exclusionZones.getAllZones()
+            exclusionZones: this.exclusionZones.getZones()
         };
     }
 
@@ -157,7 +158,8 @@ export class ProjectManager {
                     svg.polylines,
                     svg.originalBounds,
                     svg.scale,
-                    svg.metadata
+                    svg.metadata,
+                    svg.fills || []
                 );
                 
                 // Restore properties
@@ -177,7 +179,8 @@ export class ProjectManager {
         
         // Restore exclusion zones
         projectData.exclusionZones?.forEach(zone => {
-            this.exclusionZones.addZone(zone.name, zone.x, zone.y, zone.width, zone.height);
+            const id = this.exclusionZones.createZone(zone, zone.name);
+            if (zone.enabled === false) this.exclusionZones.toggleZone(id);
         });
         
         return Promise.all(svgPromises);
@@ -0,0 +1,403 @@
+// Constants
+const DEFAULT_BAUD_RATE = 115200;
+const OK_PATTERN = /^ok\b/i;
+const ERROR_PATTERN = /^(error|!!)/i;
+const RESEND_PATTERN = /^(resend|rs)\b/i;
+const ERROR_ACK_DIALECTS = ['grbl']; // Firmware whose error line replaces the ok
+
+/**
+ * @typedef {'disconnected'|'idle'|'streaming'|'paused'|'aborting'} SenderState
+ */
+
+/**
+ * @typedef {Object} SenderCallbacks
+ * @property {function(string, string): void} [onLog] - Called with (text, direction) where direction is 'in', 'out' or 'info'
+ * @property {function(number, number): void} [onProgress] - Called with (acknowledgedLines, totalLines)
+ * @property {function(SenderState): void} [onStateChange] - Called when the sender state changes
+ */
+
+/**
+ * Streams G-Code to a machine over the Web Serial API.
+ * Uses ok-based flow control: each line is sent after the previous one was acknowledged.
+ * GRBL answers a rejected line with `error:` instead of `ok`; Marlin and Klipper
+ * report `Error:`, `!!` or `Resend:` and still send the `ok`, so the line is only
+ * finished by that `ok`. A rejected line stops the stream.
+ * Any object implementing the SerialPort interface (open, close, readable, writable)
+ * can be connected, which allows testing against a mock device.
+ * @class
+ */
+export class SerialSender {
+    /**
+     * @param {SenderCallbacks} callbacks - Event callbacks
+     */
+    constructor(callbacks = {}) {
+        this.callbacks = callbacks;
+        this.port = null;
+        this.reader = null;
+        this.writer = null;
+        this.state = 'disconnected';
+        this.dialect = 'marlin';
+        this.pendingAck = null;
+        this.pendingError = null;
+        this.pendingAckPromise = null;
+        this.resumeWaiter = null;
+        this.abortRequested = false;
+        this.disconnecting = false;
+        this.readBuffer = '';
+        this.readLoopPromise = null;
+    }
+
+    /**
+     * Check whether the browser supports Web Serial
+     * @returns {boolean} True if navigator.serial is available
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serial' in navigator;
+    }
+
+    /**
+     * Set the firmware dialect, which decides how error responses are acknowledged
+     * @param {string} dialectId - G-Code dialect id (see GCodeDialects)
+     */
+    setDialect(dialectId) {
+        this.dialect = dialectId;
+    }
+
+    /**
+     * Connect to a serial port
+     * @param {Object} [port] - SerialPort to use, asks the user when omitted
+     * @param {number} [baudRate] - Baud rate
+     * @returns {Promise<void>}
+     */
+    async connect(port = null, baudRate = DEFAULT_BAUD_RATE) {
+        if (this.port) {
+            await this.disconnect();
+        }
+
+        if (!port) {
+            if (!SerialSender.isSupported()) {
+                throw new Error('Web Serial is not supported in this browser. Use Chrome or Edge.');
+            }
+            port = await navigator.serial.requestPort();
+        }
+
+        await port.open({ baudRate });
+
+        this.port = port;
+        this.writer = port.writable.getWriter();
+        this.reader = port.readable.getReader();
+        this.readBuffer = '';
+        this.readLoopPromise = this._readLoop();
+
+        this._log(`Connected at ${baudRate} baud`, 'info');
+        this._setState('idle');
+    }
+
+    /**
+     * Disconnect from the serial port
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (!this.port) return;
+
+        this.disconnecting = true;
+        this.abortRequested = true;
+        this._resolveAck({ ok: false, line: 'disconnected' });
+        this._releaseResume();
+
+        try {
+            await this.reader?.cancel();
+        } catch (error) {
+            console.warn('Error cancelling serial reader:', error);
+        }
+        await this.readLoopPromise;
+
+        try {
+            this.reader?.releaseLock();
+            this.writer?.releaseLock();
+            await this.port.close();
+        } catch (error) {
+            console.warn('Error closing serial port:', error);
+        }
+
+        this.port = null;
+        this.reader = null;
+        this.writer = null;
+        this.disconnecting = false;
+        this._log('Disconnected', 'info');
+        this._setState('disconnected');
+    }
+
+    /**
+     * Send a single command from the console
+     * @param {string} command - G-Code command
+     * @returns {Promise<string>} Machine response line ('ok' or error)
+     */
+    async sendCommand(command) {
+        if (this.state !== 'idle' && this.state !== 'paused') {
+            throw new Error('Cannot send commands while streaming. Pause first.');
+        }
+
+        const line = SerialSender._cleanLine(command);
+        if (!line) return '';
+
+        const response = await this._sendAndWait(line);
+        return response.line;
+    }
+
+    /**
+     * Stream a G-Code program line by line
+     * @param {string} gcode - G-Code text
+     * @param {Array<string>} abortCommands - Commands sent after an abort (pen up, park)
+     * @returns {Promise<boolean>} True when the whole program was sent
+     */
+    async stream(gcode, abortCommands = []) {
+        if (this.state !== 'idle') {
+            throw new Error('Sender is not ready to stream.');
+        }
+
+        const lines = gcode.split('\n')
+            .map(SerialSender._cleanLine)
+            .filter(line => line.length > 0);
+
+        this.abortRequested = false;
+        this._setState('streaming');
+        this._log(`Streaming ${lines.length} lines`, 'info');
+        this._progress(0, lines.length);
+
+        try {
+            for (let i = 0; i < lines.length; i++) {
+                if (this.state === 'paused') {
+                    await new Promise(resolve => { this.resumeWaiter = resolve; });
+                }
+                if (this.abortRequested) break;
+
+                const response = await this._sendAndWait(lines[i]);
+                if (!response.ok) {
+                    // Plotting on after a rejected or corrupted line would draw the wrong thing
+                    if (response.line !== 'disconnected') {
+                        this._log(`Stopped at line ${i + 1} after machine error: ${response.line}`, 'info');
+                        this.abortRequested = true;
+                    }
+                    break;
+                }
+
+                this._progress(i + 1, lines.length);
+            }
+
+            if (this.abortRequested) {
+                if (this._isConnected()) {
+                    this._setState('aborting');
+                    this._log('Aborted, lifting pen and parking', 'info');
+                    for (const command of abortCommands) {
+                        const line = SerialSender._cleanLine(command);
+                        if (line) await this._sendAndWait(line);
+                    }
+                }
+                return false;
+            }
+
+            this._log('Finished', 'info');
+            return true;
+        } finally {
+            // A lost connection or failed write must not leave the sender streaming
+            const finalState = this._isConnected() ? 'idle' : 'disconnected';
+            if (this.state !== finalState) {
+                this._setState(finalState);
+            }
+        }
+    }
+
+    /**
+     * Pause streaming after the current line
+     */
+    pause() {
+        if (this.state === 'streaming') {
+            this._setState('paused');
+            this._log('Paused', 'info');
+        }
+    }
+
+    /**
+     * Resume a paused stream
+     */
+    resume() {
+        if (this.state === 'paused') {
+            this._setState('streaming');
+            this._log('Resumed', 'info');
+            this._releaseResume();
+        }
+    }
+
+    /**
+     * Abort streaming; the abort commands of the stream are sent afterwards
+     */
+    abort() {
+        if (this.state === 'streaming' || this.state === 'paused') {
+            this.abortRequested = true;
+            if (this.state === 'paused') {
+                this._setState('streaming');
+            }
+            this._releaseResume();
+        }
+    }
+
+    /**
+     * Write a line and wait for the machine to acknowledge it
+     * @private
+     * @param {string} line - Cleaned G-Code line
+     * @returns {Promise<{ok: boolean, line: string}>} Acknowledgement
+     */
+    async _sendAndWait(line) {
+        // Only one line may wait for its ok (console commands during a pause)
+        while (this.pendingAck) {
+            await this.pendingAckPromise;
+        }
+
+        const ack = new Promise(resolve => { this.pendingAck = resolve; });
+        this.pendingAckPromise = ack;
+        this.pendingError = null;
+        this._log(line, 'out');
+        try {
+            await this.writer.write(new TextEncoder().encode(line + '\n'));
+        } catch (error) {
+            // Nothing will acknowledge a line that was not written
+            this._resolveAck({ ok: false, line: 'disconnected' });
+            throw error;
+        }
+        return ack;
+    }
+
+    /**
+     * Read responses and resolve pending acknowledgements
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _readLoop() {
+        const decoder = new TextDecoder();
+        try {
+            while (true) {
+                const { value, done } = await this.reader.read();
+                if (done) break;
+
+                this.readBuffer += decoder.decode(value, { stream: true });
+                const lines = this.readBuffer.split(/\r?\n/);
+                this.readBuffer = lines.pop();
+
+                for (const raw of lines) {
+                    const line = raw.trim();
+                    if (!line) continue;
+
+                    this._log(line, 'in');
+                    if (OK_PATTERN.test(line)) {
+                        // An error reported before the ok fails the line
+                        this._resolveAck(this.pendingError
+                            ? { ok: false, line: this.pendingError }
+                            : { ok: true, line });
+                    } else if (ERROR_PATTERN.test(line) && ERROR_ACK_DIALECTS.includes(this.dialect)) {
+                        this._resolveAck({ ok: false, line });
+                    } else if ((ERROR_PATTERN.test(line) || RESEND_PATTERN.test(line)) && this.pendingAck && !this.pendingError) {
+                        // Lines are sent without line numbers, so a resend request cannot be served
+                        this.pendingError = line;
+                    }
+                }
+            }
+        } catch (error) {
+            if (this._isConnected()) {
+                console.error('Serial read error:', error);
+                this._log(`Read error: ${error.message}`, 'info');
+            }
+        }
+
+        if (this._isConnected()) {
+            await this._handleConnectionLost();
+        }
+    }
+
+    /**
+     * Clean up after the device stopped responding (unplugged or read error)
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _handleConnectionLost() {
+        const port = this.port;
+        this.port = null;
+        this.abortRequested = true;
+        this._resolveAck({ ok: false, line: 'disconnected' });
+        this._releaseResume();
+
+        try {
+            this.reader?.releaseLock();
+            this.writer?.releaseLock();
+            await port.close();
+        } catch (error) {
+            console.warn('Error closing lost serial port:', error);
+        }
+
+        this.reader = null;
+        this.writer = null;
+        this._log('Connection lost', 'info');
+        this._setState('disconnected');
+    }
+
+    /**
+     * Check whether the port is open and not being closed
+     * @private
+     * @returns {boolean} True when lines can be sent
+     */
+    _isConnected() {
+        return this.port !== null && !this.disconnecting;
+    }
+
+    /**
+     * Resolve the pending acknowledgement
+     * @private
+     * @param {{ok: boolean, line: string}} response - Machine response
+     */
+    _resolveAck(response) {
+        if (this.pendingAck) {
+            const resolve = this.pendingAck;
+            this.pendingAck = null;
+            this.pendingError = null;
+            resolve(response);
+        }
+    }
+
+    /**
+     * Release a stream waiting for resume
+     * @private
+     */
+    _releaseResume() {
+        if (this.resumeWaiter) {
+            const resolve = this.resumeWaiter;
+            this.resumeWaiter = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Strip comments and whitespace from a G-Code line
+     * @private
+     * @param {string} line - Raw line
+     * @returns {string} Cleaned line
+     */
+    static _cleanLine(line) {
+        return line.split(';')[0].trim();
+    }
+
+    /** @private */
+    _setState(state) {
+        this.state = state;
+        this.callbacks.onStateChange?.(state);
+    }
+
+    /** @private */
+    _log(text, direction) {
+        this.callbacks.onLog?.(text, direction);
+    }
+
+    /** @private */
+    _progress(acknowledged, total) {
+        this.callbacks.onProgress?.(acknowledged, total);
+    }
+}
@@ -0,0 +1,310 @@
+// Constants
+const DEFAULT_DOT_COUNT = 4000;
+const DEFAULT_ITERATIONS = 12;
+const MAX_GRID_PIXELS = 250000;
+const MIN_WEIGHT = 0.02;
+const MAX_SAMPLING_ATTEMPTS_PER_DOT = 200;
+const TWO_OPT_WINDOW = 60;
+const TWO_OPT_PASSES = 4;
+const DEFAULT_SEED = 12345;
+
+/**
+ * @typedef {Object} StippleSettings
+ * @property {number} dotCount - Number of dots to place
+ * @property {number} iterations - Lloyd relaxation iterations
+ * @property {boolean} invert - Place dots in light instead of dark areas
+ * @property {number} seed - Random seed for the initial placement
+ */
+
+/**
+ * Generates weighted Voronoi stippling (Secord 2002) from image darkness
+ * and links stipples into a single travelling-salesman tour.
+ * @class
+ */
+export class StippleGenerator {
+    /**
+     * Place dots by image darkness with weighted Lloyd relaxation
+     * @param {ImageData} imageData - Source image data
+     * @param {StippleSettings} settings - Stipple settings
+     * @returns {Array<{x: number, y: number}>} Dot centers in image pixels
+     */
+    static generate(imageData, settings = {}) {
+        const dotCount = Math.max(1, Math.round(settings.dotCount || DEFAULT_DOT_COUNT));
+        const iterations = Number.isFinite(settings.iterations) ? settings.iterations : DEFAULT_ITERATIONS;
+        const invert = !!settings.invert;
+        const random = this._createRandom(settings.seed ?? DEFAULT_SEED);
+
+        const density = this._createDensity(imageData, invert);
+        let points = this._samplePoints(density, dotCount, random);
+        if (points.length === 0) return [];
+
+        for (let i = 0; i < iterations; i++) {
+            points = this._relax(points, density);
+        }
+
+        // Back to image pixel coordinates
+        return points.map(([x, y]) => ({
+            x: x * density.cellSize,
+            y: y * density.cellSize
+        }));
+    }
+
+    /**
+     * Order dots into a short single tour (nearest neighbor, then windowed 2-opt)
+     * @param {Array<{x: number, y: number}>} points - Dot centers
+     * @returns {Array<{x: number, y: number}>} Dots in drawing order
+     */
+    static linkPath(points) {
+        if (points.length < 3) return [...points];
+
+        const tour = this._nearestNeighborTour(points);
+        this._twoOpt(tour);
+        return tour;
+    }
+
+    /**
+     * Build a darkness grid, downsampled so relaxation stays fast on large images
+     * @private
+     * @param {ImageData} imageData - Source image data
+     * @param {boolean} invert - Use lightness instead of darkness
+     * @returns {{weights: Float32Array, width: number, height: number, cellSize: number}} Density grid
+     */
+    static _createDensity(imageData, invert) {
+        const { data, width, height } = imageData;
+        const cellSize = Math.max(1, Math.ceil(Math.sqrt((width * height) / MAX_GRID_PIXELS)));
+        const gridWidth = Math.ceil(width / cellSize);
+        const gridHeight = Math.ceil(height / cellSize);
+        const weights = new Float32Array(gridWidth * gridHeight);
+        const counts = new Uint16Array(gridWidth * gridHeight);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                // Transparent pixels count as white paper
+                const alpha = data[i + 3] / 255;
+                const brightness = ((data[i] + data[i + 1] + data[i + 2]) / 3) * alpha + 255 * (1 - alpha);
+                const darkness = 1 - brightness / 255;
+                const cell = Math.floor(y / cellSize) * gridWidth + Math.floor(x / cellSize);
+                weights[cell] += invert ? 1 - darkness : darkness;
+                counts[cell]++;
+            }
+        }
+
+        for (let i = 0; i < weights.length; i++) {
+            const weight = counts[i] > 0 ? weights[i] / counts[i] : 0;
+            weights[i] = weight < MIN_WEIGHT ? 0 : weight;
+        }
+
+        return { weights, width: gridWidth, height: gridHeight, cellSize };
+    }
+
+    /**
+     * Initial dot placement by rejection sampling of the density
+     * @private
+     * @returns {Array<[number, number]>} Points in grid coordinates
+     */
+    static _samplePoints(density, dotCount, random) {
+        const { weights, width, height } = density;
+        const points = [];
+        const maxAttempts = dotCount * MAX_SAMPLING_ATTEMPTS_PER_DOT;
+
+        for (let attempt = 0; attempt < maxAttempts && points.length < dotCount; attempt++) {
+            const x = random() * width;
+            const y = random() * height;
+            if (random() < weights[Math.floor(y) * width + Math.floor(x)]) {
+                points.push([x, y]);
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * One weighted Lloyd step: move every dot to the darkness centroid of its Voronoi cell
+     * @private
+     * @returns {Array<[number, number]>} Relaxed points
+     */
+    static _relax(points, density) {
+        const { weights, width, height } = density;
+        const index = this._createPointIndex(points, width, height);
+        const sumX = new Float64Array(points.length);
+        const sumY = new Float64Array(points.length);
+        const sumW = new Float64Array(points.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const weight = weights[y * width + x];
+                if (weight === 0) continue;
+
+                const px = x + 0.5;
+                const py = y + 0.5;
+                const nearest = this._findNearest(index, points, px, py);
+                sumX[nearest] += px * weight;
+                sumY[nearest] += py * weight;
+                sumW[nearest] += weight;
+            }
+        }
+
+        return points.map((point, i) => sumW[i] > 0 ? [sumX[i] / sumW[i], sumY[i] / sumW[i]] : point);
+    }
+
+    /**
+     * Bucket points into a uniform grid for nearest neighbor queries
+     * @private
+     * @returns {{cells: Array<Array<number>>, columns: number, rows: number, size: number}} Point index
+     */
+    static _createPointIndex(points, width, height) {
+        const size = Math.max(1, Math.sqrt((width * height) / points.length));
+        const columns = Math.ceil(width / size) + 1;
+        const rows = Math.ceil(height / size) + 1;
+        const cells = Array.from({ length: columns * rows }, () => []);
+
+        points.forEach(([x, y], i) => {
+            const column = Math.min(columns - 1, Math.max(0, Math.floor(x / size)));
+            const row = Math.min(rows - 1, Math.max(0, Math.floor(y / size)));
+            cells[row * columns + column].push(i);
+        });
+
+        return { cells, columns, rows, size };
+    }
+
+    /**
+     * Find the indexed point nearest to (x, y), searching rings of grid cells outwards
+     * @private
+     * @returns {number} Point index
+     */
+    static _findNearest(index, points, x, y) {
+        const { cells, columns, rows, size } = index;
+        const column = Math.min(columns - 1, Math.floor(x / size));
+        const row = Math.min(rows - 1, Math.floor(y / size));
+        const maxRing = Math.max(columns, rows);
+        let best = -1;
+        let bestDistance = Infinity;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Points outside this ring are at least (ring - 1) cells away
+            if (best >= 0 && (ring - 1) * size > Math.sqrt(bestDistance)) break;
+
+            for (let r = row - ring; r <= row + ring; r++) {
+                if (r < 0 || r >= rows) continue;
+                const onEdgeRow = r === row - ring || r === row + ring;
+                const step = onEdgeRow ? 1 : 2 * ring;
+
+                for (let c = column - ring; c <= column + ring; c += Math.max(1, step)) {
+                    if (c < 0 || c >= columns) continue;
+
+                    for (const i of cells[r * columns + c]) {
+                        const dx = points[i][0] - x;
+                        const dy = points[i][1] - y;
+                        const distance = dx * dx + dy * dy;
+                        if (distance < bestDistance) {
+                            bestDistance = distance;
+                            best = i;
+                        }
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Greedy nearest neighbor tour starting at the top-left-most dot
+     * @private
+     * @returns {Array<{x: number, y: number}>} Ordered dots
+     */
+    static _nearestNeighborTour(points) {
+        const coords = points.map(p => [p.x, p.y]);
+        const maxX = Math.max(...coords.map(p => p[0])) + 1;
+        const maxY = Math.max(...coords.map(p => p[1])) + 1;
+        const index = this._createPointIndex(coords, maxX, maxY);
+        const cellOf = coords.map(([x, y]) =>
+            Math.min(index.rows - 1, Math.floor(y / index.size)) * index.columns +
+            Math.min(index.columns - 1, Math.floor(x / index.size))
+        );
+        const removePoint = (i) => {
+            const cell = index.cells[cellOf[i]];
+            cell.splice(cell.indexOf(i), 1);
+        };
+
+        let current = 0;
+        for (let i = 1; i < coords.length; i++) {
+            if (coords[i][0] + coords[i][1] < coords[current][0] + coords[current][1]) current = i;
+        }
+
+        const tour = [points[current]];
+        removePoint(current);
+
+        for (let n = 1; n < points.length; n++) {
+            current = this._findNearest(index, coords, coords[current][0], coords[current][1]);
+            tour.push(points[current]);
+            removePoint(current);
+        }
+
+        return tour;
+    }
+
+    /**
+     * Improve a tour in place with 2-opt moves between nearby tour positions
+     * @private
+     * @param {Array<{x: number, y: number}>} tour - Ordered dots (open path)
+     */
+    static _twoOpt(tour) {
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+        for (let pass = 0; pass < TWO_OPT_PASSES; pass++) {
+            let improved = false;
+
+            for (let i = 0; i < tour.length - 2; i++) {
+                const limit = Math.min(tour.length - 1, i + TWO_OPT_WINDOW);
+
+                for (let j = i + 2; j <= limit; j++) {
+                    const a = tour[i];
+                    const b = tour[i + 1];
+                    const c = tour[j];
+                    const d = j + 1 < tour.length ? tour[j + 1] : null;
+
+                    // Open path: the last edge may be dropped entirely
+                    const before = distance(a, b) + (d ? distance(c, d) : 0);
+                    const after = distance(a, c) + (d ? distance(b, d) : 0);
+
+                    if (after < before - 1e-9) {
+                        this._reverse(tour, i + 1, j);
+                        improved = true;
+                    }
+                }
+            }
+
+            if (!improved) break;
+        }
+    }
+
+    /** @private */
+    static _reverse(array, start, end) {
+        while (start < end) {
+            const temp = array[start];
+            array[start] = array[end];
+            array[end] = temp;
+            start++;
+            end--;
+        }
+    }
+
+    /**
+     * Seeded pseudo random generator (mulberry32) so previews are stable
+     * @private
+     * @param {number} seed - Seed value
+     * @returns {function(): number} Random number generator in [0, 1)
+     */
+    static _createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
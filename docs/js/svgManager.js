@@ -1,8 +1,12 @@
+import { HatchGenerator } from './hatchGenerator.js';
+
 // Constants
 const BED_CENTER_FACTOR = 0.5;
 const DEFAULT_SCALE = 1.0;
 const DEFAULT_ROTATION = 90.0;
 const DEFAULT_BED_SIZE = 256;
+const DEFAULT_PEN_COLOR = 'default';
+const DEFAULT_HATCHING_SETTINGS = { spacing: 2, angle: 45, pattern: 'parallel' };
 
 /**
  * @typedef {Object} SVGObject
@@ -16,6 +20,10 @@ const DEFAULT_BED_SIZE = 256;
  * @property {number} rotation - Rotation angle in degrees
  * @property {boolean} visible - Visibility flag
  * @property {Object} metadata - Contains scaleFactor, physical dimensions, viewBox
+ * @property {string} penColor - Pen used to draw this SVG ('default' for the initially attached pen)
+ * @property {Array<{rings: Array<Array<[number, number]>>, fillRule: string}>} fills - Filled shapes in ViewBox units
+ * @property {boolean} hatchingEnabled - Whether filled shapes get hatch lines
+ * @property {{spacing: number, angle: number, pattern: string}} hatchingSettings - Hatch spacing (mm), angle (°) and pattern
  */
 
 /**
@@ -38,9 +46,10 @@ export class SVGManager {
      * @param {Object} originalBounds - Bounding box {minX, minY, maxX, maxY}
      * @param {number} initialScale - Initial scale factor
      * @param {Object} metadata - SVG metadata (scaleFactor, physical, viewBox)
+     * @param {Array<Object>} fills - Filled shapes ({rings, fillRule}) used for hatching
      * @returns {string} Generated SVG ID
      */
-    addSVG(filename, polylines, originalBounds, initialScale = DEFAULT_SCALE, metadata = {}) {
+    addSVG(filename, polylines, originalBounds, initialScale = DEFAULT_SCALE, metadata = {}, fills = []) {
         const id = `svg_${this.nextId++}`;
         
         // Calculate SVG center for rotation pivot
@@ -62,7 +71,11 @@ export class SVGManager {
             scale: initialScale,
             rotation: DEFAULT_ROTATION,
             visible: true,
-            metadata: metadata // Contains scaleFactor, physical, viewBox
+            metadata: metadata, // Contains scaleFactor, physical, viewBox
+            fills: fills || [],
+            penColor: DEFAULT_PEN_COLOR,
+            hatchingEnabled: false,
+            hatchingSettings: { ...DEFAULT_HATCHING_SETTINGS }
         };
         this.svgObjects.set(id, svgObject);
         this.selectedId = id;
@@ -112,6 +125,55 @@ export class SVGManager {
         }
     }
 
+    /**
+     * Replace the geometry of an SVG, keeping its position, scale, rotation and pen
+     * @param {string} id - SVG ID
+     * @param {string} filename - New display name
+     * @param {Array<Array<[number, number]>>} polylines - New polylines
+     * @param {Object} originalBounds - Bounding box {minX, minY, maxX, maxY}
+     * @param {Object} metadata - SVG metadata (scaleFactor, physical, viewBox)
+     */
+    updateGeometry(id, filename, polylines, originalBounds, metadata = {}) {
+        const svg = this.svgObjects.get(id);
+        if (svg) {
+            svg.filename = filename;
+            svg.polylines = polylines;
+            svg.originalBounds = originalBounds;
+            svg.centerViewBox = [
+                (originalBounds.minX + originalBounds.maxX) / 2,
+                (originalBounds.minY + originalBounds.maxY) / 2
+            ];
+            svg.metadata = metadata;
+            svg.fills = [];
+        }
+    }
+
+    /**
+     * Assign the pen used to draw an SVG
+     * @param {string} id - SVG ID
+     * @param {string} penColor - Pen color name
+     */
+    updatePenColor(id, penColor) {
+        const svg = this.svgObjects.get(id);
+        if (svg) {
+            svg.penColor = penColor || DEFAULT_PEN_COLOR;
+        }
+    }
+
+    /**
+     * Update hatching for an SVG
+     * @param {string} id - SVG ID
+     * @param {boolean} enabled - Whether hatching is enabled
+     * @param {Object} settings - Partial hatching settings {spacing, angle, pattern}
+     */
+    updateHatching(id, enabled, settings = {}) {
+        const svg = this.svgObjects.get(id);
+        if (svg) {
+            svg.hatchingEnabled = enabled;
+            svg.hatchingSettings = { ...DEFAULT_HATCHING_SETTINGS, ...svg.hatchingSettings, ...settings };
+        }
+    }
+
     /**
      * Toggle SVG visibility
      * @param {string} id - SVG ID
@@ -150,11 +212,36 @@ export class SVGManager {
 
     /**
      * Get transformed polylines for a specific SVG
+     * Includes hatch lines for filled shapes when hatching is enabled.
      * @param {SVGObject} svg - SVG object
      * @returns {Array<Array<[number, number]>>} Transformed polylines
      */
     getTransformedPolylines(svg) {
-        const { polylines, translation, scale, rotation, metadata, centerViewBox, originalBounds } = svg;
+        const transformPoint = this._createPointTransform(svg);
+        const transformed = svg.polylines.map(polyline => polyline.map(transformPoint));
+
+        if (!svg.hatchingEnabled || !svg.fills || svg.fills.length === 0) {
+            return transformed;
+        }
+
+        const fills = svg.fills.map(fill => ({
+            rings: fill.rings.map(ring => ring.map(transformPoint)),
+            fillRule: fill.fillRule
+        }));
+        const hatchLines = HatchGenerator.generate(fills, svg.hatchingSettings || DEFAULT_HATCHING_SETTINGS);
+
+        return [...transformed, ...hatchLines];
+    }
+
+    /**
+     * Build the ViewBox-to-bed point transform for an SVG
+     * Scales to mm, rotates around the SVG center and positions the rotated bounds center at the translation.
+     * @private
+     * @param {SVGObject} svg - SVG object
+     * @returns {function([number, number]): [number, number]} Point transform
+     */
+    _createPointTransform(svg) {
+        const { polylines, translation, scale, rotation, metadata, centerViewBox } = svg;
         const [tx, ty] = translation;
         const rad = (rotation * Math.PI) / 180;
         const cos = Math.cos(rad);
@@ -166,34 +253,32 @@ export class SVGManager {
         const pivotX = centerX * mmScale * scale;
         const pivotY = centerY * mmScale * scale;
 
-        // First pass: transform all points
-        const transformed = polylines.map(polyline => 
-            polyline.map(([x, y]) => {
-                // Convert from ViewBox units to mm
-                const x_mm = x * mmScale;
-                const y_mm = y * mmScale;
-                
-                // Scale (user scale)
-                const sx = x_mm * scale;
-                const sy = y_mm * scale;
-                
-                // Rotate around pivot (SVG center in mm after scaling)
-                const dx = sx - pivotX;
-                const dy = sy - pivotY;
-                const rx = dx * cos - dy * sin + pivotX;
-                const ry = dx * sin + dy * cos + pivotY;
-                
-                return [rx, ry];
-            })
-        );
+        const rotatePoint = ([x, y]) => {
+            // Convert from ViewBox units to mm
+            const x_mm = x * mmScale;
+            const y_mm = y * mmScale;
+            
+            // Scale (user scale)
+            const sx = x_mm * scale;
+            const sy = y_mm * scale;
+            
+            // Rotate around pivot (SVG center in mm after scaling)
+            const dx = sx - pivotX;
+            const dy = sy - pivotY;
+            const rx = dx * cos - dy * sin + pivotX;
+            const ry = dx * sin + dy * cos + pivotY;
+            
+            return [rx, ry];
+        };
 
         // Calculate bounds of rotated polylines
         let minX = Infinity;
         let minY = Infinity;
         let maxX = -Infinity;
         let maxY = -Infinity;
-        for (const polyline of transformed) {
-            for (const [x, y] of polyline) {
+        for (const polyline of polylines) {
+            for (const point of polyline) {
+                const [x, y] = rotatePoint(point);
                 minX = Math.min(minX, x);
                 minY = Math.min(minY, y);
                 maxX = Math.max(maxX, x);
@@ -207,21 +292,23 @@ export class SVGManager {
 
         // Adjust so translation represents the center position
         // Shift the rotated SVG so its center is at (tx, ty)
-        return transformed.map(polyline => 
-            polyline.map(([x, y]) => [x - rotatedCenterX + tx, y - rotatedCenterY + ty])
-        );
+        return (point) => {
+            const [x, y] = rotatePoint(point);
+            return [x - rotatedCenterX + tx, y - rotatedCenterY + ty];
+        };
     }
 
     /**
      * Get SVG objects with their polylines for G-Code generation
-     * @returns {Array} Array of objects with id, polylines, visible
+     * @returns {Array} Array of objects with id, polylines, visible, penColor
      */
     getAllSVGsWithPolylines() {
         return Array.from(this.svgObjects.values()).map(svg => ({
             id: svg.id,
             filename: svg.filename,
             polylines: this.getTransformedPolylines(svg),
-            visible: svg.visible
+            visible: svg.visible,
+            penColor: svg.penColor || DEFAULT_PEN_COLOR
         }));
     }
 }
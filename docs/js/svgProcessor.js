@@ -1,3 +1,5 @@
+import { HersheyFont } from './hersheyFont.js';
+
 /**
  * SVG path processor for PlotLab.
  * Parses SVG files, extracts paths, and converts to polylines with physical dimensions.
@@ -27,6 +29,18 @@ class SVGProcessor {
     /** Minimum segments for arc sampling */
     static ARC_MIN_SEGMENTS = 32;
     
+    /** Segment fractions closer than this are the same clip crossing */
+    static CLIP_EPSILON = 1e-9;
+    
+    /** Elements that produce geometry (containers are processed recursively) */
+    static DRAWABLE_TAGS = ['path', 'line', 'polyline', 'polygon', 'circle', 'ellipse', 'rect', 'text'];
+    
+    /** Canvas context used to parse CSS colors, created on first use */
+    static _colorContext = null;
+    
+    /** Font size when none is set (user units, CSS default) */
+    static DEFAULT_FONT_SIZE = 16;
+    
     /** Unit conversion factors to millimeters */
     static UNIT_CONVERSIONS = {
         'mm': 1,
@@ -88,6 +102,25 @@ class SVGProcessor {
      * @property {number[]} viewBox - SVG viewBox [x, y, width, height]
      * @property {ScaleFactor|null} scaleFactor - Scale factor information
      * @property {PhysicalDimensions|null} physical - Physical dimensions
+     * @property {FillShape[]} fills - Filled shapes (rings grouped per element) for hatching
+     */
+
+    /**
+     * @typedef {Object} FillShape
+     * @property {Polyline[]} rings - Closed rings of one filled element (outer contours and holes)
+     * @property {string} fillRule - SVG fill-rule ('nonzero' or 'evenodd')
+     */
+
+    /**
+     * @typedef {Object} SplitPart
+     * @property {string} name - Layer label, group id or color
+     * @property {string|null} color - Source color as '#rrggbb', null if the part has none
+     * @property {SVGLoadResult} result - Parsed SVG data of the part (shares the ViewBox of the full SVG)
+     */
+
+    /**
+     * @typedef {Object} ClipRegion
+     * @property {Array<{rings: Polyline[], rule: string}>} shapes - Shapes in document coordinates; inside any shape is inside the region
      */
 
     // ========================================
@@ -118,6 +151,49 @@ class SVGProcessor {
         }
     }
 
+    /**
+     * Count the objects an SVG would be split into per split mode
+     * @param {string} svgContent - SVG content as string
+     * @returns {{layer: number, group: number, color: number}} Number of parts per mode
+     */
+    static getSplitOptions(svgContent) {
+        const svg = SVGProcessor._parseSplitDocument(svgContent);
+        return {
+            layer: SVGProcessor._getSplitGroups(svg, 'layer').length,
+            group: SVGProcessor._getSplitGroups(svg, 'group').length,
+            color: SVGProcessor._getSplitGroups(svg, 'color').length
+        };
+    }
+
+    /**
+     * Split an SVG into separate parts
+     * @param {string} svgContent - SVG content as string
+     * @param {string} mode - 'layer' (Inkscape layers), 'group' (top-level groups) or 'color' (stroke color)
+     * @param {boolean} [flipY=false] - Whether to flip Y axis
+     * @param {number} [samplesPerUnit=2.0] - Sampling density
+     * @returns {SplitPart[]} Parts with drawable geometry, in document order
+     */
+    static splitContent(svgContent, mode, flipY = false, samplesPerUnit = 2.0) {
+        const svg = SVGProcessor._parseSplitDocument(svgContent);
+        const viewBox = SVGProcessor._getSVGBounds(svg);
+        const elementIndices = new Map(Array.from(svg.querySelectorAll('*'), (element, index) => [element, index]));
+        const splitElements = SVGProcessor._getSplitElements(svg);
+        
+        return SVGProcessor._getSplitGroups(svg, mode)
+            .map(group => {
+                // Remove the elements of all other parts from a copy; indices match between copies
+                const clone = svg.cloneNode(true);
+                const cloneElements = Array.from(clone.querySelectorAll('*'));
+                splitElements
+                    .filter(element => !group.elements.has(element))
+                    .forEach(element => cloneElements[elementIndices.get(element)].remove());
+                
+                const result = SVGProcessor._processDocument(clone, flipY, samplesPerUnit, viewBox);
+                return { name: group.name, color: group.color, result };
+            })
+            .filter(part => part.result.polylines.length > 0);
+    }
+
     // ========================================
     // CORE SVG PROCESSING
     // ========================================
@@ -132,56 +208,206 @@ class SVGProcessor {
      */
     static _processContent(svgContent, flipY = false, samplesPerUnit = 2.0) {
         try {
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(svgContent, 'image/svg+xml');
-            
-            // Check for parsing errors
-            const parserError = doc.querySelector('parsererror');
-            if (parserError) {
-                throw new Error('Failed to parse SVG file');
-            }
-
-            const svg = doc.documentElement;
-            
-            // Extract canvas dimensions from viewBox, width/height, or path bounds
-            const [vx, vy, vw, vh] = SVGProcessor._getSVGBounds(svg);
-            
-            // Get physical dimensions and scale factor
-            const scaleFactor = SVGProcessor._getScaleFactor(svg, [vx, vy, vw, vh]);
-            
-            // Collect all strokes (no fill) and polygons (with fill)
-            const strokes = [];
-            const polygons = [];
-            
-            // Expand <use> elements and clone <defs>
-            SVGProcessor._expandUseElements(svg);
-            
-            // Process all drawable elements recursively (including nested groups)
-            SVGProcessor._processElements(svg, strokes, polygons, flipY, vx, vy, vh, samplesPerUnit);
-            
-            // Merge continuous strokes
-            const mergedStrokes = SVGProcessor._mergeContinuousStrokes(strokes);
-            
-            // Combine all polylines (strokes + polygons)
-            const allPolylines = [...mergedStrokes, ...polygons];
-            
-            // Calculate bounds from all polylines
-            const bounds = SVGProcessor._calculateBounds(allPolylines, vw, vh);
-
-            return { 
-                polylines: allPolylines, 
-                bounds,
-                viewBox: [vx, vy, vw, vh],
-                scaleFactor,
-                physical: scaleFactor?.physical || null
-            };
-            
+            const svg = SVGProcessor._parseDocument(svgContent);
+            return SVGProcessor._processDocument(svg, flipY, samplesPerUnit);
         } catch (error) {
             console.error('SVG loading error:', error);
             throw error;
         }
     }
 
+    /**
+     * Parse SVG content into its root element
+     * @private
+     * @param {string} svgContent - SVG content as string
+     * @returns {SVGSVGElement} SVG root element
+     */
+    static _parseDocument(svgContent) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(svgContent, 'image/svg+xml');
+        
+        // Check for parsing errors
+        const parserError = doc.querySelector('parsererror');
+        if (parserError) {
+            throw new Error('Failed to parse SVG file');
+        }
+        
+        return doc.documentElement;
+    }
+
+    /**
+     * Extract polylines from a parsed SVG root element
+     * @private
+     * @param {SVGSVGElement} svg - SVG root element (modified: <use> elements are expanded)
+     * @param {boolean} flipY - Whether to flip Y axis
+     * @param {number} samplesPerUnit - Sampling density
+     * @param {number[]|null} [viewBox=null] - Canvas [x, y, width, height]; derived from the SVG when null
+     * @returns {SVGLoadResult} Parsed SVG data
+     */
+    static _processDocument(svg, flipY, samplesPerUnit, viewBox = null) {
+        // Extract canvas dimensions from viewBox, width/height, or path bounds
+        const [vx, vy, vw, vh] = viewBox || SVGProcessor._getSVGBounds(svg);
+        
+        // Get physical dimensions and scale factor
+        const scaleFactor = SVGProcessor._getScaleFactor(svg, [vx, vy, vw, vh]);
+        
+        // Collect all strokes (no fill) and polygons (with fill)
+        const strokes = [];
+        const polygons = [];
+        const fills = [];
+        
+        // Expand <use> elements and clone <defs>
+        SVGProcessor._expandUseElements(svg);
+        
+        // Process all drawable elements recursively (including nested groups)
+        SVGProcessor._processElements(svg, strokes, polygons, flipY, vx, vy, vh, samplesPerUnit, fills);
+        
+        // Merge continuous strokes
+        const mergedStrokes = SVGProcessor._mergeContinuousStrokes(strokes);
+        
+        // Combine all polylines (strokes + polygons)
+        const allPolylines = [...mergedStrokes, ...polygons];
+        
+        // Calculate bounds from all polylines
+        const bounds = SVGProcessor._calculateBounds(allPolylines, vw, vh);
+
+        return { 
+            polylines: allPolylines, 
+            bounds,
+            viewBox: [vx, vy, vw, vh],
+            scaleFactor,
+            physical: scaleFactor?.physical || null,
+            fills
+        };
+    }
+
+    /**
+     * Group the drawable elements of an SVG for splitting
+     * Elements outside any layer or group form a part of their own.
+     * @private
+     * @param {SVGSVGElement} svg - SVG root element
+     * @param {string} mode - 'layer', 'group' or 'color'
+     * @returns {Array<{name: string, color: string|null, elements: Set<Element>}>} Groups in document order
+     */
+    static _getSplitGroups(svg, mode) {
+        const groups = new Map();
+        const addToGroup = (key, name, element) => {
+            if (!groups.has(key)) {
+                groups.set(key, { name, color: null, elements: new Set() });
+            }
+            groups.get(key).elements.add(element);
+        };
+        
+        for (const element of SVGProcessor._getSplitElements(svg)) {
+            if (mode === 'color') {
+                const color = SVGProcessor._getElementColor(element);
+                addToGroup(color || 'none', color || 'no color', element);
+                continue;
+            }
+            
+            // Find the top-level layer or group the element belongs to (sublayers stay in their layer)
+            let topLevel = element;
+            while (topLevel.parentElement && topLevel.parentElement !== svg) {
+                topLevel = topLevel.parentElement;
+            }
+            const isGroup = topLevel !== element && topLevel.tagName.toLowerCase() === 'g';
+            const isLayer = isGroup && topLevel.getAttribute('inkscape:groupmode') === 'layer';
+            const container = (mode === 'group' ? isGroup : isLayer) ? topLevel : null;
+            
+            if (container) {
+                const name = container.getAttribute('inkscape:label') || container.getAttribute('id') ||
+                    `${mode} ${groups.size + 1}`;
+                addToGroup(container, name, element);
+            } else {
+                addToGroup('ungrouped', 'ungrouped', element);
+            }
+        }
+        
+        // Layers and groups are colored by their most common color
+        for (const group of groups.values()) {
+            const counts = new Map();
+            for (const element of group.elements) {
+                const color = SVGProcessor._getElementColor(element);
+                if (color) counts.set(color, (counts.get(color) || 0) + 1);
+            }
+            group.color = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+        }
+        
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Parse an SVG for splitting with <use> elements replaced by copies of their content,
+     * so every drawn element can be assigned to exactly one part
+     * @private
+     * @param {string} svgContent - SVG content as string
+     * @returns {SVGSVGElement} SVG root element
+     */
+    static _parseSplitDocument(svgContent) {
+        const svg = SVGProcessor._parseDocument(svgContent);
+        SVGProcessor._expandUseElements(svg);
+        svg.querySelectorAll('use').forEach(useEl => useEl.remove());
+        return svg;
+    }
+
+    /**
+     * Get the drawable elements that are drawn directly (not inside defs, clip paths or masks)
+     * @private
+     * @param {Element} parent - Element to search
+     * @param {Element[]} [elements=[]] - Array to collect elements
+     * @returns {Element[]} Elements in document order
+     */
+    static _getSplitElements(parent, elements = []) {
+        for (const element of parent.children) {
+            const tagName = element.tagName.toLowerCase();
+            if (tagName === 'g' || tagName === 'svg') {
+                SVGProcessor._getSplitElements(element, elements);
+            } else if (SVGProcessor.DRAWABLE_TAGS.includes(tagName)) {
+                elements.push(element);
+            }
+        }
+        return elements;
+    }
+
+    /**
+     * Get the color an element is drawn with (stroke, or fill for unstroked shapes)
+     * @private
+     * @param {Element} element - Drawable element
+     * @returns {string|null} Color as '#rrggbb' or null
+     */
+    static _getElementColor(element) {
+        for (const property of ['stroke', 'fill']) {
+            let value = SVGProcessor._getInheritedStyle(element, property);
+            if (value === 'currentcolor') {
+                value = SVGProcessor._getInheritedStyle(element, 'color');
+            }
+            const color = SVGProcessor._normalizeColor(value);
+            if (color) return color;
+        }
+        return null;
+    }
+
+    /**
+     * Convert a CSS color to '#rrggbb'
+     * @private
+     * @param {string|null} value - CSS color value
+     * @returns {string|null} Hex color, null for none, gradients or invalid values
+     */
+    static _normalizeColor(value) {
+        if (!value || value === 'none' || value === 'transparent' || value.startsWith('url(')) return null;
+        
+        // Let the canvas parse named, rgb() and hsl() colors; invalid values keep the sentinel
+        const sentinel = '#010203';
+        SVGProcessor._colorContext ??= document.createElement('canvas').getContext('2d');
+        const ctx = SVGProcessor._colorContext;
+        ctx.fillStyle = sentinel;
+        ctx.fillStyle = value;
+        const color = String(ctx.fillStyle).toLowerCase();
+        
+        if (color === sentinel && value !== sentinel) return null;
+        return /^#[0-9a-f]{6}$/.test(color) ? color : null;
+    }
+
     /**
      * Expand <use> elements by cloning referenced elements
      * @private
@@ -244,8 +470,9 @@ class SVGProcessor {
      * @param {number} vy - ViewBox y offset
      * @param {number} vh - ViewBox height
      * @param {number} samplesPerUnit - Sampling density
+     * @param {FillShape[]} [fills] - Array to collect filled shapes for hatching
      */
-    static _processElements(parent, strokes, polygons, flipY, vx, vy, vh, samplesPerUnit) {
+    static _processElements(parent, strokes, polygons, flipY, vx, vy, vh, samplesPerUnit, fills = [], clips = []) {
         const children = parent.children;
         
         for (const element of children) {
@@ -259,18 +486,19 @@ class SVGProcessor {
                 
                 // Process groups recursively
                 if (tagName === 'g' || tagName === 'svg') {
-                    SVGProcessor._processElements(element, strokes, polygons, flipY, vx, vy, vh, samplesPerUnit);
+                    const groupClips = [...clips, ...SVGProcessor._getClipRegions(element)];
+                    SVGProcessor._processElements(element, strokes, polygons, flipY, vx, vy, vh, samplesPerUnit, fills, groupClips);
                     continue;
                 }
                 
                 // Skip non-drawable elements
-                if (!['path', 'line', 'polyline', 'polygon', 'circle', 'ellipse', 'rect'].includes(tagName)) {
+                if (!SVGProcessor.DRAWABLE_TAGS.includes(tagName)) {
                     continue;
                 }
                 
                 // Process drawable element
                 SVGProcessor._processDrawableElement(
-                    element, tagName, strokes, polygons, flipY, vx, vy, vh, samplesPerUnit
+                    element, tagName, strokes, polygons, flipY, vx, vy, vh, samplesPerUnit, fills, clips
                 );
                 
             } catch (error) {
@@ -305,7 +533,7 @@ class SVGProcessor {
      * Process a single drawable element
      * @private
      */
-    static _processDrawableElement(element, tagName, strokes, polygons, flipY, vx, vy, vh, samplesPerUnit) {
+    static _processDrawableElement(element, tagName, strokes, polygons, flipY, vx, vy, vh, samplesPerUnit, fills = [], clips = []) {
         // Get fill attribute (check both direct attribute and computed style)
         let fill = (element.getAttribute('fill') || '').toLowerCase();
         if (!fill || fill === '') {
@@ -314,9 +542,89 @@ class SVGProcessor {
             fill = computedFill || 'none';
         }
         
+        let polylines = SVGProcessor._extractGeometry(element, tagName, samplesPerUnit);
+        
+        // Single-stroke glyphs are drawn as strokes, never filled
+        if (tagName === 'text') {
+            fill = 'none';
+        }
+        const isFilled = !!fill && fill !== 'none';
+        
+        // Split dashed strokes in user space, so transforms scale the dashes with the shape.
+        // Filled shapes plot the dashes as outline and keep their closed rings for hatching.
+        let dashedOutlines = null;
+        const dash = SVGProcessor._getDashPattern(element);
+        if (dash) {
+            const dashed = polylines.flatMap(pl => SVGProcessor._applyDashPattern(pl, dash.dashes, dash.offset));
+            if (isFilled) {
+                dashedOutlines = dashed;
+            } else {
+                polylines = dashed;
+            }
+        }
+        
+        // Clip regions in objectBoundingBox units need the untransformed bounds
+        const clipRegions = [...clips, ...SVGProcessor._getClipRegions(element, SVGProcessor._calculateBounds(polylines, 0, 0))];
+        
+        // Apply transforms
+        const matrix = SVGProcessor._getTransformMatrix(element);
+        polylines = polylines.map(pl => SVGProcessor._applyTransform(pl, matrix));
+        dashedOutlines = dashedOutlines?.map(pl => SVGProcessor._applyTransform(pl, matrix)) || null;
+        
+        // Clip in document coordinates; filled outlines that get cut are only kept as strokes
+        let cutOutlines = [];
+        if (clipRegions.length > 0) {
+            polylines = polylines.filter(pl => {
+                const pieces = SVGProcessor._clipPolyline(pl, clipRegions);
+                if (pieces.length === 1 && pieces[0] === pl) return true;
+                cutOutlines.push(...pieces);
+                return false;
+            });
+            dashedOutlines = dashedOutlines?.flatMap(pl => SVGProcessor._clipPolyline(pl, clipRegions)) || null;
+        }
+        
+        // Dashes replace the solid outline pieces of cut filled shapes
+        if (dashedOutlines) {
+            cutOutlines = dashedOutlines;
+        }
+        
+        // Normalize coordinates relative to viewBox, with Y-flip if requested
+        const toViewBox = pl => pl.map(([x, y]) => [x - vx, flipY ? vh - (y - vy) : y - vy]);
+        polylines = polylines.map(toViewBox);
+        cutOutlines = cutOutlines.map(toViewBox);
+        
+        // Sort into strokes or polygons based on fill
+        strokes.push(...cutOutlines.filter(pl => pl.length >= 2));
+        const rings = [];
+        for (const polyline of polylines) {
+            if (polyline.length >= 2) {
+                if (!isFilled) {
+                    strokes.push(polyline);
+                } else if (polyline.length >= 3) {
+                    if (!dashedOutlines) polygons.push(polyline);
+                    rings.push(polyline);
+                }
+            }
+        }
+        
+        // Keep subpaths of one element together so holes survive hatching
+        if (rings.length > 0) {
+            const fillRule = SVGProcessor._getInheritedStyle(element, 'fill-rule');
+            fills.push({ rings, fillRule: fillRule === 'evenodd' ? 'evenodd' : 'nonzero' });
+        }
+    }
+
+    /**
+     * Extract the untransformed geometry of a drawable element
+     * @private
+     * @param {Element} element - Drawable element
+     * @param {string} tagName - Lowercase tag name
+     * @param {number} samplesPerUnit - Sampling density
+     * @returns {Polyline[]} Polylines in the element's user space
+     */
+    static _extractGeometry(element, tagName, samplesPerUnit) {
         let polylines = [];
         
-        // Extract geometry based on element type
         switch (tagName) {
             case 'path': {
                 const d = element.getAttribute('d');
@@ -406,30 +714,351 @@ class SVGProcessor {
                 }
                 break;
             }
+            case 'text': {
+                polylines = SVGProcessor._layoutText(element);
+                break;
+            }
         }
         
-        // Apply transforms
-        const matrix = SVGProcessor._getTransformMatrix(element);
-        polylines = polylines.map(pl => SVGProcessor._applyTransform(pl, matrix));
+        return polylines;
+    }
+
+    /**
+     * Resolve the clip-path and mask references of an element into clip regions
+     * Masks are approximated by the outline of their shapes (luminance and opacity are ignored).
+     * @private
+     * @param {Element} element - Element that may reference a clipPath or mask
+     * @param {Bounds|null} [bounds=null] - Untransformed bounds of the element for objectBoundingBox units
+     * @param {Element} [target=element] - Element whose user space the clip is in
+     * @param {Set<Element>} [visited] - Clip elements already resolved (guards against reference cycles)
+     * @returns {Array<ClipRegion>} Regions the element must stay inside (all of them)
+     */
+    static _getClipRegions(element, bounds = null, target = element, visited = new Set()) {
+        const regions = [];
         
-        // Normalize coordinates relative to viewBox
-        polylines = polylines.map(pl => pl.map(([x, y]) => [x - vx, y - vy]));
+        for (const property of ['clip-path', 'mask']) {
+            const clipElement = SVGProcessor._getReferencedElement(element, property);
+            if (!clipElement || visited.has(clipElement)) continue;
+            visited.add(clipElement);
+            
+            const unitsAttribute = property === 'mask' ? 'maskContentUnits' : 'clipPathUnits';
+            const boundingBoxUnits = clipElement.getAttribute(unitsAttribute) === 'objectBoundingBox';
+            if (boundingBoxUnits && !bounds) {
+                console.warn(`${property} with objectBoundingBox units is only supported on shapes, ignoring it`);
+                continue;
+            }
+            
+            const targetMatrix = SVGProcessor._getTransformMatrix(target);
+            const shapes = [];
+            const collectShapes = (parent) => {
+                for (const child of parent.children) {
+                    const tagName = child.tagName.toLowerCase();
+                    if (!SVGProcessor._isElementVisible(child)) continue;
+                    if (tagName === 'g') {
+                        collectShapes(child);
+                        continue;
+                    }
+                    
+                    const localMatrix = SVGProcessor._getTransformMatrix(child, clipElement);
+                    let rings = SVGProcessor._extractGeometry(child, tagName, SVGProcessor.PREVIEW_SAMPLE_RATE)
+                        .filter(ring => ring.length >= 3)
+                        .map(ring => SVGProcessor._applyTransform(ring, localMatrix));
+                    if (boundingBoxUnits) {
+                        rings = rings.map(ring => ring.map(([x, y]) => [
+                            bounds.minX + x * bounds.width,
+                            bounds.minY + y * bounds.height
+                        ]));
+                    }
+                    rings = rings.map(ring => SVGProcessor._applyTransform(ring, targetMatrix));
+                    
+                    if (rings.length > 0) {
+                        const rule = SVGProcessor._getInheritedStyle(child, property === 'mask' ? 'fill-rule' : 'clip-rule');
+                        shapes.push({ rings, rule: rule === 'evenodd' ? 'evenodd' : 'nonzero' });
+                    }
+                }
+            };
+            collectShapes(clipElement);
+            regions.push({ shapes });
+            
+            // A clipPath can itself be clipped, which intersects both regions
+            regions.push(...SVGProcessor._getClipRegions(clipElement, bounds, target, visited));
+        }
         
-        // Apply Y-flip if requested
-        if (flipY) {
-            polylines = polylines.map(pl => pl.map(([x, y]) => [x, vh - y]));
+        return regions;
+    }
+
+    /**
+     * Find the element referenced by url(#id) in a property (attribute or inline style)
+     * @private
+     * @param {Element} element - Referencing element
+     * @param {string} property - Property name (e.g. 'clip-path')
+     * @returns {Element|null} Referenced element
+     */
+    static _getReferencedElement(element, property) {
+        const style = element.getAttribute('style') || '';
+        const styleMatch = style.match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`, 'i'));
+        const value = styleMatch ? styleMatch[1] : element.getAttribute(property);
+        const urlMatch = value && value.match(/url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/);
+        if (!urlMatch) return null;
+        
+        return element.ownerDocument.querySelector(`#${CSS.escape(urlMatch[1])}`);
+    }
+
+    /**
+     * Clip a polyline so only the parts inside every region remain
+     * @private
+     * @param {Polyline} polyline - Polyline in document coordinates
+     * @param {Array<ClipRegion>} regions - Clip regions in document coordinates
+     * @returns {Polyline[]} Visible pieces; [polyline] itself when nothing was cut
+     */
+    static _clipPolyline(polyline, regions) {
+        const edges = regions.flatMap(region => region.shapes.flatMap(shape => shape.rings.flatMap(ring =>
+            ring.map((point, i) => [point, ring[(i + 1) % ring.length]])
+        )));
+        const isInside = ([x, y]) => regions.every(region => region.shapes.some(shape =>
+            SVGProcessor._isPointInRings(x, y, shape.rings, shape.rule)
+        ));
+        
+        const pieces = [];
+        let current = null;
+        let cut = false;
+        
+        for (let i = 1; i < polyline.length; i++) {
+            const [x0, y0] = polyline[i - 1];
+            const [x1, y1] = polyline[i];
+            const dx = x1 - x0;
+            const dy = y1 - y0;
+            
+            // Split the segment where it crosses a clip edge
+            const ts = [0, 1];
+            for (const [[ax, ay], [bx, by]] of edges) {
+                const ex = bx - ax;
+                const ey = by - ay;
+                const denom = dx * ey - dy * ex;
+                if (denom === 0) continue;
+                const t = ((ax - x0) * ey - (ay - y0) * ex) / denom;
+                const u = ((ax - x0) * dy - (ay - y0) * dx) / denom;
+                if (t > 0 && t < 1 && u >= 0 && u <= 1) ts.push(t);
+            }
+            ts.sort((a, b) => a - b);
+            
+            for (let k = 1; k < ts.length; k++) {
+                const t0 = ts[k - 1];
+                const t1 = ts[k];
+                if (t1 - t0 < SVGProcessor.CLIP_EPSILON) continue;
+                const mid = (t0 + t1) / 2;
+                if (isInside([x0 + dx * mid, y0 + dy * mid])) {
+                    if (!current) {
+                        current = [[x0 + dx * t0, y0 + dy * t0]];
+                        pieces.push(current);
+                        if (i > 1 || t0 > 0) cut = true;
+                    }
+                    current.push([x0 + dx * t1, y0 + dy * t1]);
+                } else {
+                    current = null;
+                    cut = true;
+                }
+            }
         }
         
-        // Sort into strokes or polygons based on fill
-        for (const polyline of polylines) {
-            if (polyline.length >= 2) {
-                if (fill === 'none' || !fill) {
-                    strokes.push(polyline);
-                } else if (polyline.length >= 3) {
-                    polygons.push(polyline);
+        if (!cut && pieces.length === 1) return [polyline];
+        return pieces.filter(piece => piece.length >= 2);
+    }
+
+    /**
+     * Point-in-polygon test for rings with an SVG fill rule
+     * @private
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Polyline[]} rings - Closed rings (the last point connects to the first)
+     * @param {string} rule - 'nonzero' or 'evenodd'
+     * @returns {boolean} True if inside
+     */
+    static _isPointInRings(x, y, rings, rule) {
+        let winding = 0;
+        let crossings = 0;
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length; i++) {
+                const [x1, y1] = ring[i];
+                const [x2, y2] = ring[(i + 1) % ring.length];
+                if ((y1 <= y) === (y2 <= y)) continue;
+                const xCross = x1 + ((y - y1) / (y2 - y1)) * (x2 - x1);
+                if (xCross > x) {
+                    crossings++;
+                    winding += y2 > y1 ? 1 : -1;
+                }
+            }
+        }
+        return rule === 'evenodd' ? crossings % 2 === 1 : winding !== 0;
+    }
+
+    /**
+     * Get the inherited stroke-dasharray and stroke-dashoffset
+     * @private
+     * @param {Element} element - Element to check
+     * @returns {{dashes: number[], offset: number}|null} Dash and gap lengths in user units, null for solid strokes
+     */
+    static _getDashPattern(element) {
+        const value = SVGProcessor._getInheritedStyle(element, 'stroke-dasharray');
+        if (!value || value === 'none') return null;
+        
+        let dashes = value.split(/[\s,]+/).filter(Boolean).map(parseFloat);
+        if (dashes.length === 0 || dashes.some(d => isNaN(d) || d < 0)) return null;
+        if (dashes.reduce((sum, d) => sum + d, 0) <= 0) return null;
+        
+        // An odd number of values is repeated to get dash/gap pairs
+        if (dashes.length % 2 === 1) {
+            dashes = [...dashes, ...dashes];
+        }
+        
+        const offset = parseFloat(SVGProcessor._getInheritedStyle(element, 'stroke-dashoffset')) || 0;
+        return { dashes, offset };
+    }
+
+    /**
+     * Split a polyline into dashes
+     * @private
+     * @param {Polyline} polyline - Polyline to split
+     * @param {number[]} dashes - Alternating dash and gap lengths (even count)
+     * @param {number} offset - Distance into the pattern at the start of the polyline
+     * @returns {Polyline[]} Dash polylines
+     */
+    static _applyDashPattern(polyline, dashes, offset) {
+        const patternLength = dashes.reduce((sum, d) => sum + d, 0);
+        
+        // Find the dash or gap the polyline starts in (a zero-length dash at the start is a dot)
+        let position = ((offset % patternLength) + patternLength) % patternLength;
+        let index = 0;
+        while (position > dashes[index] || (position === dashes[index] && dashes[index] > 0)) {
+            position -= dashes[index];
+            index = (index + 1) % dashes.length;
+        }
+        let remaining = dashes[index] - position;
+        let drawing = index % 2 === 0;
+        
+        const result = [];
+        let current = drawing ? [polyline[0]] : null;
+        
+        for (let i = 1; i < polyline.length; i++) {
+            const [x0, y0] = polyline[i - 1];
+            const [x1, y1] = polyline[i];
+            const length = Math.hypot(x1 - x0, y1 - y0);
+            if (length === 0) continue;
+            let travelled = 0;
+            
+            while (length - travelled >= remaining) {
+                travelled += remaining;
+                const t = travelled / length;
+                const point = [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+                if (drawing) {
+                    current.push(point);
+                    result.push(current);
+                    current = null;
+                } else {
+                    current = [point];
+                }
+                drawing = !drawing;
+                index = (index + 1) % dashes.length;
+                remaining = dashes[index];
+            }
+            
+            remaining -= length - travelled;
+            
+            // A dash that starts exactly at the vertex already holds it
+            const last = current?.[current.length - 1];
+            if (drawing && (last[0] !== x1 || last[1] !== y1)) current.push([x1, y1]);
+        }
+        
+        if (drawing && current.length >= 2) {
+            result.push(current);
+        }
+        return result;
+    }
+
+    /**
+     * Lay out <text> content (including nested <tspan>) with the Hershey font
+     * Supports x/y/dx/dy (first value only), font-size, letter-spacing and text-anchor.
+     * @private
+     * @param {Element} element - <text> element
+     * @returns {Polyline[]} Strokes in the element's user space
+     */
+    static _layoutText(element) {
+        const firstValue = (el, name) => {
+            const value = parseFloat((el.getAttribute(name) || '').trim().split(/[\s,]+/)[0]);
+            return isNaN(value) ? null : value;
+        };
+        
+        // A text chunk starts at every absolute position and is anchored as a whole
+        const chunks = [];
+        let chunk = null;
+        let cursorX = 0;
+        let cursorY = 0;
+        
+        const visit = (el) => {
+            const x = firstValue(el, 'x');
+            const y = firstValue(el, 'y');
+            if (!chunk || x !== null || y !== null) {
+                if (chunk) chunk.end = cursorX - chunk.trailingSpace;
+                if (x !== null) cursorX = x;
+                if (y !== null) cursorY = y;
+                chunk = {
+                    anchor: SVGProcessor._getInheritedStyle(el, 'text-anchor') || 'start',
+                    start: cursorX,
+                    polylines: [],
+                    trailingSpace: 0,
+                    empty: true
+                };
+                chunks.push(chunk);
+            }
+            cursorX += firstValue(el, 'dx') || 0;
+            cursorY += firstValue(el, 'dy') || 0;
+            
+            const fontSize = SVGProcessor._getFontSize(el);
+            const letterSpacing = parseFloat(SVGProcessor._getInheritedStyle(el, 'letter-spacing')) || 0;
+            
+            for (const node of el.childNodes) {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    // Collapse whitespace like xml:space="default"
+                    let text = node.textContent.replace(/\s+/g, ' ');
+                    if (chunk.empty || chunk.trailingSpace > 0) text = text.replace(/^ /, '');
+                    if (!text) continue;
+                    
+                    chunk.polylines.push(...HersheyFont.layoutText(text, { x: cursorX, y: cursorY, fontSize, letterSpacing }));
+                    cursorX += HersheyFont.measureText(text, fontSize, letterSpacing);
+                    chunk.trailingSpace = text.endsWith(' ') ? HersheyFont.measureText(' ', fontSize, letterSpacing) : 0;
+                    chunk.empty = false;
+                } else if (node.tagName && node.tagName.toLowerCase() === 'tspan' && SVGProcessor._isElementVisible(node)) {
+                    visit(node);
                 }
             }
+            chunk.end = cursorX - chunk.trailingSpace;
+        };
+        visit(element);
+        
+        const polylines = [];
+        for (const { anchor, start, end, polylines: chunkPolylines } of chunks) {
+            const width = end - start;
+            const shift = anchor === 'middle' ? -width / 2 : (anchor === 'end' ? -width : 0);
+            polylines.push(...chunkPolylines.map(pl => pl.map(([x, y]) => [x + shift, y])));
         }
+        return polylines;
+    }
+
+    /**
+     * Get the inherited font size in user units
+     * @private
+     * @param {Element} element - Text or tspan element
+     * @returns {number} Font size in user units
+     */
+    static _getFontSize(element) {
+        const value = SVGProcessor._getInheritedStyle(element, 'font-size');
+        if (!value) return SVGProcessor.DEFAULT_FONT_SIZE;
+        
+        const { value: size, unit } = SVGProcessor._parseLength(value);
+        if (size <= 0) return SVGProcessor.DEFAULT_FONT_SIZE;
+        
+        // User units are px, so convert other absolute units through millimeters
+        return SVGProcessor._convertToMM(size, unit) / SVGProcessor.UNIT_CONVERSIONS['px'];
     }
 
     /**
@@ -439,10 +1068,35 @@ class SVGProcessor {
      * @returns {string|null} Fill value or null
      */
     static _getComputedFill(element) {
+        return SVGProcessor._getInheritedStyle(element, 'fill');
+    }
+
+    /**
+     * Get an inherited presentation property from inline style or attribute
+     * Walks up the parent chain; inline style wins over the attribute on each element.
+     * @private
+     * @param {Element} element - Element to check
+     * @param {string} property - CSS property name (e.g. 'fill', 'fill-rule')
+     * @returns {string|null} Lowercased value or null if not set
+     */
+    static _getInheritedStyle(element, property) {
         let current = element;
         while (current && current.getAttribute) {
-            const fill = current.getAttribute('fill');
-            if (fill) return fill.toLowerCase();
+            const style = current.getAttribute('style');
+            if (style) {
+                for (const declaration of style.split(';')) {
+                    const colon = declaration.indexOf(':');
+                    if (colon === -1) continue;
+                    if (declaration.substring(0, colon).trim().toLowerCase() === property) {
+                        const value = declaration.substring(colon + 1).replace(/!important/i, '').trim();
+                        if (value && value !== 'inherit') return value.toLowerCase();
+                    }
+                }
+            }
+            
+            const attr = current.getAttribute(property);
+            if (attr && attr.trim() !== 'inherit') return attr.trim().toLowerCase();
+            
             current = current.parentElement;
         }
         return null;
@@ -1794,9 +2448,10 @@ class SVGProcessor {
      * Get accumulated transform matrix for an element
      * @private
      * @param {Element} element - SVG element
+     * @param {Element|null} [root=null] - Last ancestor whose transform is included (null: up to the document root)
      * @returns {Object} Transform matrix {a, b, c, d, e, f}
      */
-    static _getTransformMatrix(element) {
+    static _getTransformMatrix(element, root = null) {
         if (!element) {
             return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
         }
@@ -1905,6 +2560,7 @@ class SVGProcessor {
                 if (tMatrix) {
                     matrix = multiply(tMatrix, matrix);
                 }
+                if (current === root) break;
                 current = current.parentElement;
             } catch (error) {
                 console.warn('Error processing transform for element:', current.tagName, error);
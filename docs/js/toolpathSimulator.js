@@ -0,0 +1,409 @@
+// Constants
+const DEFAULT_FEED_RATE = 3000;
+const DEFAULT_TRAVEL_FEED_RATE = 9000;
+const ARC_SEGMENT_LENGTH = 1; // mm per interpolated arc chord
+const MIN_SEGMENT_LENGTH = 1e-6;
+const MAX_FRAME_TIME = 0.1; // seconds of wall time per frame, avoids jumps after inactive tabs
+const PEN_Z_TOLERANCE = 0.1; // mm above the lowest Z that still counts as pen down
+const Z_MOVE_PATTERN = /^[^;(\n]*\bG0?[0-3]\b[^;(\n]*\bZ\s*([-+]?(?:\d+\.?\d*|\.\d+))/gim;
+const SERVO_COMMAND_PATTERN = /^\s*(M0?3|M0?5|PEN_UP|PEN_DOWN)\b(?:.*\bS\s*([-+]?[\d.]+))?/;
+const XY_WORD_PATTERN = /[XY]\s*[-+]?(?:\d|\.\d)/;
+
+/**
+ * @typedef {Object} ToolpathSegment
+ * @property {[number, number]} from - Start point in drawing coordinates (mm)
+ * @property {[number, number]} to - End point in drawing coordinates (mm)
+ * @property {boolean} draw - True for pen-down moves, false for travel
+ * @property {number} line - Zero-based G-code line index the move came from
+ * @property {number} start - Start time in seconds
+ * @property {number} duration - Move time in seconds
+ */
+
+/**
+ * @typedef {Object} Toolpath
+ * @property {Array<ToolpathSegment>} segments - Moves in execution order
+ * @property {number} totalTime - Total move time in seconds
+ */
+
+/**
+ * @typedef {Object} SimulationFrame
+ * @property {number} time - Simulated time in seconds
+ * @property {number} totalTime - Total time in seconds
+ * @property {number} index - Index of the current segment (-1 before the first move)
+ * @property {[number, number]} position - Pen position in drawing coordinates
+ * @property {boolean} penDown - Whether the current move draws
+ * @property {number} line - Zero-based G-code line of the current move (-1 if none)
+ */
+
+/**
+ * @typedef {Object} SimulatorCallbacks
+ * @property {function(SimulationFrame): void} [onFrame] - Playback position changed
+ * @property {function(boolean): void} [onPlayStateChange] - Playback started (true) or stopped (false)
+ */
+
+/**
+ * Parses G-code into timed moves and plays them back in real time (times a speed multiplier).
+ * Timing assumes constant feed rate per move; use PlotTimeEstimator for realistic durations.
+ * @class
+ */
+export class ToolpathSimulator {
+    /**
+     * @param {SimulatorCallbacks} callbacks - Playback callbacks
+     */
+    constructor(callbacks = {}) {
+        this.callbacks = callbacks;
+        this.toolpath = { segments: [], totalTime: 0 };
+        this.time = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.frameRequest = null;
+        this.lastFrameAt = null;
+    }
+
+    /**
+     * Guess how a G-code file lifts the pen
+     * Z moves win over M3/M5, which CNC files also use to start the spindle once.
+     * @param {string} gcode - G-code text
+     * @returns {string} 'z' (several Z levels), 'servo' (M3/M5 or PEN_UP/PEN_DOWN switching between moves) or 'motion' (G0 travel, G1 draw)
+     */
+    static detectPenMode(gcode) {
+        const zValues = new Set();
+        for (const [, value] of gcode.matchAll(Z_MOVE_PATTERN)) {
+            zValues.add(parseFloat(value));
+            if (zValues.size > 1) return 'z';
+        }
+
+        // A servo pen moves both while up and while down
+        const servoStatesWithMoves = new Set();
+        let servoDown = null;
+        for (const rawLine of gcode.split('\n')) {
+            const command = ToolpathSimulator._cleanCommand(rawLine);
+            const down = ToolpathSimulator._parseServoCommand(command);
+            if (down !== null) {
+                servoDown = down;
+            } else if (servoDown !== null && XY_WORD_PATTERN.test(command)) {
+                servoStatesWithMoves.add(servoDown);
+                if (servoStatesWithMoves.size > 1) return 'servo';
+            }
+        }
+        return 'motion';
+    }
+
+    /**
+     * Parse G-code moves into timed segments
+     * @param {string} gcode - G-code text
+     * @param {Object} settings - Parse settings
+     * @param {number} settings.feedRate - Feed rate used until the first F word (mm/min)
+     * @param {number} settings.travelFeedRate - Feed rate for G0 moves without F word (mm/min)
+     * @param {[number, number]} settings.offset - Pen offset added back to G-code coordinates
+     * @param {string} settings.penMode - 'motion' (default), 'z', 'servo' or 'auto' to detect it
+     * @returns {Toolpath} Timed segments
+     */
+    static parse(gcode, settings = {}) {
+        const feedRate = settings.feedRate > 0 ? settings.feedRate : DEFAULT_FEED_RATE;
+        const travelFeedRate = settings.travelFeedRate > 0 ? settings.travelFeedRate : DEFAULT_TRAVEL_FEED_RATE;
+        const [offsetX, offsetY] = settings.offset || [0, 0];
+        const penMode = settings.penMode === 'auto' ? ToolpathSimulator.detectPenMode(gcode) : (settings.penMode || 'motion');
+
+        const segments = [];
+        let time = 0;
+        let x = 0;
+        let y = 0;
+        let z = null;
+        let servoDown = false;
+        let absolute = true;
+        let motion = null;
+        let feed = null;
+
+        // The pen draws at the lowest Z of the file
+        let drawZ = Infinity;
+        if (penMode === 'z') {
+            for (const [, value] of gcode.matchAll(Z_MOVE_PATTERN)) {
+                drawZ = Math.min(drawZ, parseFloat(value));
+            }
+        }
+        const isDrawing = () => {
+            if (penMode === 'servo') return servoDown;
+            if (penMode === 'z') return z !== null && z <= drawZ + PEN_Z_TOLERANCE;
+            return motion !== 0;
+        };
+
+        const addMove = (toX, toY, draw, line, speed) => {
+            const length = Math.hypot(toX - x, toY - y);
+            if (length < MIN_SEGMENT_LENGTH) return;
+
+            const duration = length / (speed / 60);
+            segments.push({
+                from: [x + offsetX, y + offsetY],
+                to: [toX + offsetX, toY + offsetY],
+                draw,
+                line,
+                start: time,
+                duration
+            });
+            time += duration;
+            x = toX;
+            y = toY;
+        };
+
+        gcode.split('\n').forEach((rawLine, lineIndex) => {
+            const command = ToolpathSimulator._cleanCommand(rawLine);
+
+            if (penMode === 'servo') {
+                const down = ToolpathSimulator._parseServoCommand(command);
+                if (down !== null) {
+                    servoDown = down;
+                    return;
+                }
+            }
+
+            const words = {};
+            const gCodes = [];
+            for (const [, letter, value] of command.matchAll(/([A-Z])\s*([-+]?(?:\d+\.?\d*|\.\d+))/g)) {
+                if (letter === 'G') {
+                    gCodes.push(parseFloat(value));
+                } else {
+                    words[letter] = parseFloat(value);
+                }
+            }
+
+            for (const code of gCodes) {
+                if (code === 90) absolute = true;
+                if (code === 91) absolute = false;
+                if (code >= 0 && code <= 3 && Number.isInteger(code)) motion = code;
+                if (code === 28) {
+                    z = null;
+                    addMove(0, 0, false, lineIndex, travelFeedRate);
+                }
+            }
+            if (words.F > 0) feed = words.F;
+            if (words.Z !== undefined && motion !== null && !gCodes.includes(28) && !gCodes.includes(92)) {
+                z = absolute || z === null ? words.Z : z + words.Z;
+            }
+
+            const hasTarget = words.X !== undefined || words.Y !== undefined;
+            if (!hasTarget || motion === null || gCodes.includes(28) || gCodes.includes(92)) return;
+
+            const targetX = words.X === undefined ? x : (absolute ? words.X : x + words.X);
+            const targetY = words.Y === undefined ? y : (absolute ? words.Y : y + words.Y);
+
+            const draw = isDrawing();
+            const speed = feed || (motion === 0 ? travelFeedRate : feedRate);
+            if (motion === 0 || motion === 1) {
+                addMove(targetX, targetY, draw, lineIndex, speed);
+            } else {
+                const center = ToolpathSimulator._getArcCenter([x, y], [targetX, targetY], words, motion === 2);
+                if (!center) {
+                    console.warn(`G-code line ${lineIndex + 1}: arc without I/J or R, drawn as a straight move`);
+                    addMove(targetX, targetY, draw, lineIndex, speed);
+                    return;
+                }
+                ToolpathSimulator._interpolateArc([x, y], [targetX, targetY], center, motion === 2)
+                    .forEach(([px, py]) => addMove(px, py, draw, lineIndex, speed));
+            }
+        });
+
+        return { segments, totalTime: time };
+    }
+
+    /**
+     * Load a toolpath and rewind to the start
+     * @param {Toolpath} toolpath - Parsed toolpath
+     */
+    load(toolpath) {
+        this.pause();
+        this.toolpath = toolpath;
+        this.seek(0);
+    }
+
+    /**
+     * Start playback, restarting from the beginning when at the end
+     */
+    play() {
+        if (this.playing || this.toolpath.segments.length === 0) return;
+        if (this.time >= this.toolpath.totalTime) this.time = 0;
+
+        this.playing = true;
+        this.lastFrameAt = null;
+        this.callbacks.onPlayStateChange?.(true);
+        this.frameRequest = requestAnimationFrame((now) => this._tick(now));
+    }
+
+    /**
+     * Stop playback at the current position
+     */
+    pause() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        if (this.playing) {
+            this.playing = false;
+            this.callbacks.onPlayStateChange?.(false);
+        }
+    }
+
+    /**
+     * Set the playback speed multiplier
+     * @param {number} speed - Simulated seconds per real second
+     */
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+    }
+
+    /**
+     * Jump to a point in time
+     * @param {number} time - Simulated time in seconds
+     */
+    seek(time) {
+        this.time = Math.min(Math.max(0, time), this.toolpath.totalTime);
+        this.callbacks.onFrame?.(this.getFrame());
+    }
+
+    /**
+     * Describe the pen state at the current time
+     * @returns {SimulationFrame} Current frame
+     */
+    getFrame() {
+        const { segments, totalTime } = this.toolpath;
+        const index = ToolpathSimulator._findSegment(segments, this.time);
+        const frame = { time: this.time, totalTime, index, position: [0, 0], penDown: false, line: -1 };
+        if (index === -1) {
+            if (segments.length > 0) frame.position = [...segments[0].from];
+            return frame;
+        }
+
+        const segment = segments[index];
+        const t = segment.duration > 0 ? Math.min(1, (this.time - segment.start) / segment.duration) : 1;
+        frame.position = [
+            segment.from[0] + (segment.to[0] - segment.from[0]) * t,
+            segment.from[1] + (segment.to[1] - segment.from[1]) * t
+        ];
+        frame.penDown = segment.draw;
+        frame.line = segment.line;
+        return frame;
+    }
+
+    /**
+     * Advance playback by the wall time since the last frame
+     * @private
+     * @param {number} now - Animation frame timestamp in ms
+     */
+    _tick(now) {
+        const elapsed = this.lastFrameAt === null ? 0 : Math.min(MAX_FRAME_TIME, (now - this.lastFrameAt) / 1000);
+        this.lastFrameAt = now;
+        this.seek(this.time + elapsed * this.speed);
+
+        if (this.time >= this.toolpath.totalTime) {
+            this.frameRequest = null;
+            this.pause();
+            return;
+        }
+        this.frameRequest = requestAnimationFrame((next) => this._tick(next));
+    }
+
+    /**
+     * Binary search for the segment running at a time
+     * @private
+     * @returns {number} Segment index, -1 before the first move
+     */
+    static _findSegment(segments, time) {
+        if (segments.length === 0 || time <= 0) return -1;
+
+        let low = 0;
+        let high = segments.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (segments[mid].start < time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Remove comments from a G-code line
+     * @private
+     * @param {string} rawLine - G-code line
+     * @returns {string} Upper-case command without comments
+     */
+    static _cleanCommand(rawLine) {
+        return rawLine.split(';')[0].replace(/\([^)]*\)/g, '').toUpperCase();
+    }
+
+    /**
+     * Read a servo pen command
+     * @private
+     * @param {string} command - Cleaned G-code line
+     * @returns {boolean|null} True for pen down (M3 with S other than 0, PEN_DOWN), false for pen up, null for other commands
+     */
+    static _parseServoCommand(command) {
+        const servo = command.match(SERVO_COMMAND_PATTERN);
+        if (!servo) return null;
+
+        const name = servo[1];
+        const power = servo[2] === undefined ? null : parseFloat(servo[2]);
+        return name === 'PEN_DOWN' || (/^M0?3$/.test(name) && power !== 0);
+    }
+
+    /**
+     * Find the center of a G2/G3 arc from its I/J offsets or R radius
+     * @private
+     * @param {[number, number]} start - Arc start
+     * @param {[number, number]} end - Arc end
+     * @param {Object<string, number>} words - Words of the G-code line
+     * @param {boolean} clockwise - True for G2
+     * @returns {[number, number]|null} Arc center, null if the line has neither I/J nor R
+     */
+    static _getArcCenter(start, end, words, clockwise) {
+        if (words.I !== undefined || words.J !== undefined) {
+            return [start[0] + (words.I || 0), start[1] + (words.J || 0)];
+        }
+        if (words.R === undefined) return null;
+
+        // The center lies on the chord bisector; a negative R selects the arc longer than 180°
+        const dx = end[0] - start[0];
+        const dy = end[1] - start[1];
+        const chord = Math.hypot(dx, dy);
+        const radius = Math.abs(words.R);
+        if (chord < MIN_SEGMENT_LENGTH) return null;
+
+        const offset = Math.sqrt(Math.max(0, radius * radius - (chord / 2) ** 2));
+        const side = (clockwise ? -1 : 1) * (words.R < 0 ? -1 : 1);
+        return [
+            (start[0] + end[0]) / 2 - side * offset * dy / chord,
+            (start[1] + end[1]) / 2 + side * offset * dx / chord
+        ];
+    }
+
+    /**
+     * Split a G2/G3 arc into chords
+     * @private
+     * @param {[number, number]} start - Arc start
+     * @param {[number, number]} end - Arc end
+     * @param {[number, number]} center - Arc center
+     * @param {boolean} clockwise - True for G2
+     * @returns {Array<[number, number]>} Chord end points, ending at `end`
+     */
+    static _interpolateArc(start, end, center, clockwise) {
+        const radius = Math.hypot(start[0] - center[0], start[1] - center[1]);
+        const startAngle = Math.atan2(start[1] - center[1], start[0] - center[0]);
+        const endAngle = Math.atan2(end[1] - center[1], end[0] - center[0]);
+
+        // Sweep in (0, 2π], equal start and end is a full circle
+        let sweep = clockwise ? startAngle - endAngle : endAngle - startAngle;
+        while (sweep <= MIN_SEGMENT_LENGTH) sweep += Math.PI * 2;
+
+        const steps = Math.max(1, Math.ceil((radius * sweep) / ARC_SEGMENT_LENGTH));
+        const direction = clockwise ? -1 : 1;
+        const points = [];
+        for (let i = 1; i < steps; i++) {
+            const angle = startAngle + direction * sweep * (i / steps);
+            points.push([center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)]);
+        }
+        points.push(end);
+        return points;
+    }
+}
@@ -0,0 +1,301 @@
+import { ExclusionZonesManager } from './exclusionZones.js';
+
+// Constants
+const DEFAULT_ZONE_MARGIN = 2;
+const CORNER_CLEARANCE = 1e-3;
+const EPSILON = 1e-9;
+const MIN_BLOCKED_LENGTH = 1e-6; // mm of travel inside an obstacle that counts as crossing it
+const CIRCLE_WAYPOINTS = 16;
+const MAX_CORNER_STEP = Math.PI / 4; // Largest turn between waypoints around a convex polygon corner
+
+/**
+ * Obstacle in drawing coordinates, shaped like an exclusion zone
+ * @typedef {Object} Obstacle
+ * @property {string} [type] - 'rect' (default), 'circle' or 'polygon'
+ * @property {number} x - Left edge in mm (bounding box for circles and polygons)
+ * @property {number} y - Bottom edge in mm (bounding box for circles and polygons)
+ * @property {number} width - Width in mm (bounding box for circles and polygons)
+ * @property {number} height - Height in mm (bounding box for circles and polygons)
+ * @property {number} [cx] - Circle center X in mm
+ * @property {number} [cy] - Circle center Y in mm
+ * @property {number} [radius] - Circle radius in mm
+ * @property {Array<[number, number]>} [points] - Polygon corners in mm
+ */
+
+/**
+ * Plans pen-up travel moves around obstacles (exclusion zones) using a
+ * visibility graph over waypoints that keep a margin around each shape.
+ * @class
+ */
+export class TravelPlanner {
+    /**
+     * Check whether the straight travel from one point to another crosses an obstacle
+     * @param {[number, number]} from - Start point
+     * @param {[number, number]} to - End point
+     * @param {Array<Obstacle>} obstacles - Obstacles
+     * @returns {boolean} True if the line passes through an obstacle
+     */
+    static crossesObstacle(from, to, obstacles) {
+        return obstacles.some(obstacle => this._segmentBlocked(from, to, obstacle, 0));
+    }
+
+    /**
+     * Find the shortest travel path that keeps a margin around all obstacles
+     * @param {[number, number]} from - Start point
+     * @param {[number, number]} to - End point
+     * @param {Array<Obstacle>} obstacles - Obstacles
+     * @param {number} margin - Clearance kept around obstacles in mm
+     * @param {Obstacle|null} bounds - Area waypoints must stay in (the bed), unlimited when null
+     * @returns {Array<[number, number]>|null} Waypoints after `from`, ending with `to`; null if no route exists
+     */
+    static route(from, to, obstacles, margin = DEFAULT_ZONE_MARGIN, bounds = null) {
+        if (!obstacles || obstacles.length === 0) return [to];
+
+        // Obstacles touching an end point (e.g. paths clipped at a zone edge) only block their own area
+        const blockers = obstacles.map(obstacle => {
+            const touchesEnd = this._isNear(from, obstacle, margin) || this._isNear(to, obstacle, margin);
+            return { obstacle, margin: touchesEnd ? 0 : margin };
+        });
+
+        const isClear = (a, b) => !blockers.some(blocker => this._segmentBlocked(a, b, blocker.obstacle, blocker.margin));
+        if (isClear(from, to)) return [to];
+
+        const nodes = [from, to];
+        for (const obstacle of obstacles) {
+            const waypoints = this._waypoints(obstacle, margin + CORNER_CLEARANCE);
+            nodes.push(...waypoints.filter(point => !bounds || this._containsPoint(bounds, point)));
+        }
+
+        // Dijkstra over the visibility graph (few nodes, dense search is fine)
+        const count = nodes.length;
+        const distance = new Array(count).fill(Infinity);
+        const previous = new Array(count).fill(-1);
+        const done = new Array(count).fill(false);
+        distance[0] = 0;
+
+        for (let iteration = 0; iteration < count; iteration++) {
+            let current = -1;
+            for (let i = 0; i < count; i++) {
+                if (!done[i] && (current === -1 || distance[i] < distance[current])) current = i;
+            }
+            if (current === -1 || distance[current] === Infinity) break;
+            if (current === 1) break;
+            done[current] = true;
+
+            for (let next = 0; next < count; next++) {
+                if (done[next] || next === current) continue;
+                const length = Math.hypot(nodes[next][0] - nodes[current][0], nodes[next][1] - nodes[current][1]);
+                if (distance[current] + length >= distance[next]) continue;
+                if (!isClear(nodes[current], nodes[next])) continue;
+
+                distance[next] = distance[current] + length;
+                previous[next] = current;
+            }
+        }
+
+        if (distance[1] === Infinity) return null;
+
+        const path = [];
+        for (let node = 1; node !== 0; node = previous[node]) {
+            path.unshift(nodes[node]);
+        }
+        return path;
+    }
+
+    /**
+     * Check whether a segment passes through an obstacle or within the margin around it
+     * @private
+     * @returns {boolean} True if blocked; running along an edge is allowed
+     */
+    static _segmentBlocked(a, b, obstacle, margin) {
+        if (obstacle.type === 'circle' || obstacle.type === 'polygon') {
+            const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+            const shape = obstacle.type === 'circle'
+                ? { ...obstacle, radius: obstacle.radius + margin }
+                : obstacle;
+            const inside = ExclusionZonesManager._segmentZoneIntervals(a, b, shape, 0, 0)
+                .reduce((sum, [t0, t1]) => sum + (t1 - t0) * length, 0);
+            if (inside > MIN_BLOCKED_LENGTH) return true;
+
+            return obstacle.type === 'polygon' && margin > 0 &&
+                this._edges(obstacle.points).some(([p, q]) => this._segmentDistance(a, b, p, q) < margin - MIN_BLOCKED_LENGTH);
+        }
+
+        // Rectangles (Liang-Barsky)
+        const rect = this._inflate(obstacle, margin);
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        let tEnter = 0;
+        let tExit = 1;
+        const checks = [
+            [-dx, a[0] - rect.x],
+            [dx, rect.x + rect.width - a[0]],
+            [-dy, a[1] - rect.y],
+            [dy, rect.y + rect.height - a[1]]
+        ];
+
+        for (const [p, q] of checks) {
+            if (Math.abs(p) < EPSILON) {
+                if (q <= EPSILON) return false; // Parallel on or outside this edge
+                continue;
+            }
+            const t = q / p;
+            if (p < 0) {
+                tEnter = Math.max(tEnter, t);
+            } else {
+                tExit = Math.min(tExit, t);
+            }
+        }
+
+        const length = Math.hypot(dx, dy);
+        return (tExit - tEnter) * length > MIN_BLOCKED_LENGTH;
+    }
+
+    /**
+     * Check whether a point lies inside an obstacle or within the margin around it
+     * @private
+     */
+    static _isNear(point, obstacle, margin) {
+        const [x, y] = point;
+        if (obstacle.type === 'circle') {
+            return Math.hypot(x - obstacle.cx, y - obstacle.cy) < obstacle.radius + margin;
+        }
+        if (obstacle.type === 'polygon') {
+            return ExclusionZonesManager.isPointInZone(x, y, obstacle) ||
+                this._edges(obstacle.points).some(([p, q]) => this._pointSegmentDistance(point, p, q) < margin);
+        }
+        return this._containsPoint(this._inflate(obstacle, margin), point);
+    }
+
+    /**
+     * Waypoints around an obstacle at the given clearance; the straight lines
+     * between neighbouring waypoints keep that clearance from the shape
+     * @private
+     * @returns {Array<[number, number]>} Waypoints
+     */
+    static _waypoints(obstacle, clearance) {
+        if (obstacle.type === 'circle') {
+            // Corners of a polygon drawn around the inflated circle
+            const radius = (obstacle.radius + clearance) / Math.cos(Math.PI / CIRCLE_WAYPOINTS);
+            return Array.from({ length: CIRCLE_WAYPOINTS }, (_, i) => {
+                const angle = (2 * Math.PI * i) / CIRCLE_WAYPOINTS;
+                return [obstacle.cx + radius * Math.cos(angle), obstacle.cy + radius * Math.sin(angle)];
+            });
+        }
+
+        if (obstacle.type === 'polygon') {
+            return this._polygonWaypoints(obstacle.points, clearance);
+        }
+
+        const corner = this._inflate(obstacle, clearance);
+        return [
+            [corner.x, corner.y],
+            [corner.x + corner.width, corner.y],
+            [corner.x + corner.width, corner.y + corner.height],
+            [corner.x, corner.y + corner.height]
+        ];
+    }
+
+    /**
+     * Waypoints outside each polygon corner. Convex corners get a fan of points
+     * around the corner, concave corners the point at the clearance from both edges.
+     * @private
+     */
+    static _polygonWaypoints(points, clearance) {
+        const count = points.length;
+        const area = points.reduce((sum, [x, y], i) => {
+            const [nx, ny] = points[(i + 1) % count];
+            return sum + x * ny - nx * y;
+        }, 0);
+        const orientation = area >= 0 ? 1 : -1;
+
+        // Outward unit normal of the edge from points[i] to points[i + 1]
+        const normal = i => {
+            const [x0, y0] = points[i];
+            const [x1, y1] = points[(i + 1) % count];
+            const length = Math.hypot(x1 - x0, y1 - y0) || 1;
+            return [orientation * (y1 - y0) / length, -orientation * (x1 - x0) / length];
+        };
+
+        const waypoints = [];
+        for (let i = 0; i < count; i++) {
+            const [vx, vy] = points[i];
+            const [ax, ay] = normal((i + count - 1) % count);
+            const [bx, by] = normal(i);
+            const cross = ax * by - ay * bx;
+            const turn = Math.atan2(cross, ax * bx + ay * by) * orientation;
+
+            if (turn <= EPSILON) {
+                // Concave (or straight) corner: meet both offset edges
+                const dot = ax * bx + ay * by;
+                if (1 + dot < EPSILON) continue;
+                const scale = clearance / (1 + dot);
+                waypoints.push([vx + (ax + bx) * scale, vy + (ay + by) * scale]);
+                continue;
+            }
+
+            // Convex corner: points on a polygon drawn around a circle at the clearance
+            const steps = Math.ceil(turn / MAX_CORNER_STEP);
+            const step = turn / steps;
+            const radius = clearance / Math.cos(step / 2);
+            const start = Math.atan2(ay, ax);
+            waypoints.push([vx + ax * clearance, vy + ay * clearance]);
+            for (let k = 0; k < steps; k++) {
+                const angle = start + orientation * step * (k + 0.5);
+                waypoints.push([vx + radius * Math.cos(angle), vy + radius * Math.sin(angle)]);
+            }
+            waypoints.push([vx + bx * clearance, vy + by * clearance]);
+        }
+        return waypoints;
+    }
+
+    /** @private */
+    static _edges(points) {
+        return points.map((point, i) => [point, points[(i + 1) % points.length]]);
+    }
+
+    /** @private */
+    static _pointSegmentDistance([x, y], [x0, y0], [x1, y1]) {
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared < EPSILON
+            ? 0
+            : Math.max(0, Math.min(1, ((x - x0) * dx + (y - y0) * dy) / lengthSquared));
+        return Math.hypot(x - (x0 + t * dx), y - (y0 + t * dy));
+    }
+
+    /** @private */
+    static _segmentDistance(a, b, p, q) {
+        const side = (o, s, e) => (s[0] - o[0]) * (e[1] - o[1]) - (s[1] - o[1]) * (e[0] - o[0]);
+        const d1 = side(a, b, p);
+        const d2 = side(a, b, q);
+        const d3 = side(p, q, a);
+        const d4 = side(p, q, b);
+        if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+            return 0;
+        }
+        return Math.min(
+            this._pointSegmentDistance(a, p, q),
+            this._pointSegmentDistance(b, p, q),
+            this._pointSegmentDistance(p, a, b),
+            this._pointSegmentDistance(q, a, b)
+        );
+    }
+
+    /** @private */
+    static _inflate(obstacle, margin) {
+        return {
+            x: obstacle.x - margin,
+            y: obstacle.y - margin,
+            width: obstacle.width + 2 * margin,
+            height: obstacle.height + 2 * margin
+        };
+    }
+
+    /** @private */
+    static _containsPoint(obstacle, [x, y]) {
+        return x > obstacle.x && x < obstacle.x + obstacle.width &&
+               y > obstacle.y && y < obstacle.y + obstacle.height;
+    }
+}